@@ -0,0 +1,54 @@
+// lib/adapters.js - The system integrations the capture pipeline uses live in state, so they can be swapped for other
+// implementations (e.g. fakes in tests, see useAdapters()): state.screenshotter, state.worker (OCR), state.aiProvider,
+// state.notifier and state.clipboard.
+
+const screenshot = require('screenshot-desktop');
+const notifier = require('node-notifier');
+const { state } = require('./state');
+const { createSystemClipboard } = require('./clipboard');
+
+/**
+ * Creates a screenshot adapter backed by screenshot-desktop.
+ * @returns {{listDisplays: function(): Promise<object[]>, capture: function({filename: string, screen: *}): Promise<*>}}
+ *   listDisplays resolves with { id, name?, width?, height? } entries; capture writes a PNG of a display to filename.
+ */
+function createSystemScreenshotter() {
+    return {
+        listDisplays: () => screenshot.listDisplays(),
+        capture: (options) => screenshot(options),
+    };
+}
+
+// Fills in the system adapters for everything that wasn't replaced with useAdapters()
+function useSystemAdapters() {
+    state.clipboard = state.clipboard || createSystemClipboard(state.operatingSystem);
+    state.screenshotter = state.screenshotter || createSystemScreenshotter();
+    state.notifier = state.notifier || notifier;
+}
+
+/**
+ * Replaces system integrations, e.g. to run the capture pipeline without a screen, Tesseract or network access.
+ * Omitted adapters are left as they are.
+ * @param {object} adapters
+ * @param {object} [adapters.screenshot] See createSystemScreenshotter().
+ * @param {object} [adapters.ocr] Object with recognize(image, options, output) resolving like Tesseract's
+ *   worker.recognize() ({ data: { text, blocks } }), and terminate().
+ * @param {object} [adapters.ai] Provider like those in AI_PROVIDERS; only generate(modelName, contents, { stream,
+ *   signal }) resolving with the response text is required. Used instead of the selected provider.
+ * @param {object} [adapters.notifier] Object with notify(options) and optionally on(event, handler), like node-notifier.
+ * @param {object} [adapters.clipboard] See createSystemClipboard().
+ */
+function useAdapters({ screenshot: screenshotter, ocr, ai, notifier: notificationAdapter, clipboard } = {}) {
+    if (screenshotter) state.screenshotter = screenshotter;
+    if (ocr) state.worker = ocr;
+    if (ai) {
+        state.aiProvider = {
+            id: 'custom', label: 'Custom AI', modelKey: 'aiModel', isReady: () => true, setupHint: '',
+            listModels: async () => [], activateModel: () => true, ...ai,
+        };
+    }
+    if (notificationAdapter) state.notifier = notificationAdapter;
+    if (clipboard) state.clipboard = clipboard;
+}
+
+module.exports = { createSystemScreenshotter, useSystemAdapters, useAdapters };
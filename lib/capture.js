@@ -0,0 +1,246 @@
+// lib/capture.js - Captures: taking the screenshots (of a display, all displays or a region) and the triggers that
+// snapshot a screen, the clipboard or a history entry for the capture queue.
+
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const { state } = require('./state');
+const { logDebug, logWarn, logError } = require('./log');
+const { checkUsageLimits, reportUsageLimit } = require('./usage');
+const { getProvider } = require('./providers');
+const { HISTORY_DIR, loadHistoryEntry } = require('./history');
+const { capturesNeedOcr } = require('./pipeline');
+const { enqueueJob, deleteJobFiles } = require('./queue');
+const { getActiveProfile } = require('./profiles');
+
+const CAPTURE_DIR = path.join(__dirname, '..'); // Captured images are kept next to main.js until their job is done
+const SCREENSHOT_BASENAME = 'screenshot'; // Saved as screenshot-<job>.png (or screenshot-<job>-<display>.png)
+const CLIPBOARD_IMAGE_BASENAME = 'clipboard';
+
+/**
+ * Crops an image file in place to the given region. The region is clamped to the image bounds,
+ * so a region that extends past the edge of the screen still yields the visible part.
+ * @param {string} imagePath Path to the PNG to crop.
+ * @param {{x: number, y: number, width: number, height: number}} region Region in image pixels.
+ * @returns {Promise<{x: number, y: number, width: number, height: number}>} The region actually used.
+ */
+async function cropImageToRegion(imagePath, region) {
+    const input = await fs.readFile(imagePath); // Read into memory first; sharp can't write over its own input file
+    const { width: imageWidth, height: imageHeight } = await sharp(input).metadata();
+
+    const left = Math.min(Math.max(region.x, 0), imageWidth);
+    const top = Math.min(Math.max(region.y, 0), imageHeight);
+    const width = Math.min(region.width, imageWidth - left);
+    const height = Math.min(region.height, imageHeight - top);
+    if (width <= 0 || height <= 0) {
+        throw new Error(`Region ${formatRegion(region)} is outside the captured image (${imageWidth}x${imageHeight}).`);
+    }
+
+    const cropped = await sharp(input).extract({ left, top, width, height }).png().toBuffer();
+    await fs.writeFile(imagePath, cropped);
+    return { x: left, y: top, width, height };
+}
+
+/**
+ * Takes the screenshot(s) for a capture: the configured display (or all displays), optionally cropped to a region.
+ * Entries are pushed onto `captures` as soon as their file name is known, so the caller can clean up after a failure.
+ * @param {object[]} captures Array to fill with { imagePath, label } entries.
+ * @param {{x: number, y: number, width: number, height: number}|null} region Region to crop to, or null.
+ * @param {string} [baseName] File name without extension; a display number is appended when capturing all displays.
+ */
+async function takeScreenshots(captures, region, baseName = SCREENSHOT_BASENAME) {
+    logDebug("Taking screenshot...");
+    const displays = await state.screenshotter.listDisplays();
+    if (!displays || displays.length === 0) throw new Error("No displays found.");
+
+    let displaysToCapture;
+    if (state.displayId === 'all') {
+        displaysToCapture = displays;
+    } else {
+        const selectedDisplay = state.displayId ? displays.find(d => String(d.id) === state.displayId) : null;
+        if (state.displayId && !selectedDisplay) {
+            logWarn(`Configured display "${state.displayId}" not found. Using the first display. Use 'set-display' to choose again.`);
+        }
+        displaysToCapture = [selectedDisplay || displays[0]];
+    }
+
+    for (const [index, display] of displaysToCapture.entries()) {
+        const imagePath = displaysToCapture.length > 1
+            ? path.join(CAPTURE_DIR, `${baseName}-${index + 1}.png`)
+            : path.join(CAPTURE_DIR, `${baseName}.png`);
+        captures.push({ imagePath, label: formatDisplayName(display, index) });
+        await state.screenshotter.capture({ filename: imagePath, screen: display.id });
+        logDebug(`Screenshot of display ${display.id} saved to ${imagePath}`);
+    }
+
+    if (region && captures.length === 1) {
+        const usedRegion = await cropImageToRegion(captures[0].imagePath, region);
+        logDebug(`Screenshot cropped to region ${formatRegion(usedRegion)}`);
+    } else if (region) {
+        logWarn("Capture region is ignored when capturing all displays.");
+    }
+}
+
+// --- Triggers ---
+// Each trigger snapshots its input right away and adds it to the capture queue (see lib/queue.js).
+
+/**
+ * Takes a screenshot now and queues it for analysis.
+ * @param {string} triggerSource Where the capture came from (e.g. 'hotkey', 'command'). Used for logging and re-prompting.
+ * @param {object} [captureOptions]
+ * @param {{x: number, y: number, width: number, height: number}} [captureOptions.region] Region to crop to. Defaults to
+ *   the remembered region when the capture mode is 'region', otherwise the whole display is used.
+ * @param {object} [captureOptions.profile] Prompt profile to use (with its name). Defaults to the active profile.
+ * @returns {Promise<{ok: boolean, id?: number, reason?: 'busy'|'cancelled'|'not-configured'|'limit'|'failed', error?: string,
+ *   response?: string, provider?: string, model?: string, profile?: string|null, captures?: Array<{label: string, ocrText: string}>}>}
+ *   Outcome of the capture once it has been processed (used by the HTTP API; the hotkey and CLI ignore it).
+ */
+async function handleCapture(triggerSource = "unknown", captureOptions = {}) {
+    // Check prerequisites
+    if (!getProvider().isReady()) {
+         logError(`Cannot capture: ${getProvider().label} is not configured/initialized.`);
+         logWarn(getProvider().setupHint);
+         if(state.isRunning && triggerSource === 'command' && state.cli) state.cli.prompt();
+         return { ok: false, reason: 'not-configured', error: `${getProvider().label} is not configured/initialized.` };
+    }
+     if (capturesNeedOcr() && !state.worker) {
+         logError("Cannot capture: Tesseract worker not initialized. Use 'pipeline image-only' to capture without OCR.");
+         if(state.isRunning && triggerSource === 'command' && state.cli) state.cli.prompt();
+         return { ok: false, reason: 'not-configured', error: "Tesseract worker not initialized." };
+     }
+    const limitProblem = await checkUsageLimits();
+    if (limitProblem) {
+        reportUsageLimit(limitProblem);
+        if(state.isRunning && triggerSource === 'command' && state.cli) state.cli.prompt();
+        return { ok: false, reason: 'limit', error: limitProblem };
+    }
+
+    const region = captureOptions.region || (state.captureMode === 'region' ? state.captureRegion : null);
+    const job = { id: state.nextJobId++, kind: 'screen', triggerSource, captures: [], deleteFiles: true };
+    job.analyzeOptions = { profile: captureOptions.profile || getActiveProfile() };
+
+    try {
+        // 1. Take Screenshot(s) now, so the queued capture shows the screen at the time of the trigger
+        await takeScreenshots(job.captures, region, `${SCREENSHOT_BASENAME}-${job.id}`);
+    } catch (error) {
+        logError(`Capture #${job.id} failed: ${error.message}`, state.debugMode ? error.stack : '');
+        await deleteJobFiles(job);
+        if(state.isRunning && triggerSource === 'command' && state.cli) state.cli.prompt();
+        return { ok: false, id: job.id, reason: 'failed', error: error.message };
+    }
+    return enqueueJob(job);
+}
+
+/**
+ * Reads the clipboard now and queues it for analysis. An image on the clipboard goes through OCR like a screenshot;
+ * text is sent to the AI as is.
+ * @param {string} triggerSource Where the trigger came from (e.g. 'hotkey', 'command').
+ * @returns {Promise<object>} Outcome of the capture once it has been processed, like handleCapture().
+ */
+async function handleClipboardCapture(triggerSource = "unknown") {
+    if (!getProvider().isReady()) {
+         logError(`Cannot analyze clipboard: ${getProvider().label} is not configured/initialized.`);
+         logWarn(getProvider().setupHint);
+         if(state.isRunning && triggerSource === 'command' && state.cli) state.cli.prompt();
+         return { ok: false, reason: 'not-configured', error: `${getProvider().label} is not configured/initialized.` };
+    }
+    const limitProblem = await checkUsageLimits();
+    if (limitProblem) {
+        reportUsageLimit(limitProblem);
+        if(state.isRunning && triggerSource === 'command' && state.cli) state.cli.prompt();
+        return { ok: false, reason: 'limit', error: limitProblem };
+    }
+
+    const job = { id: state.nextJobId++, kind: 'clipboard', triggerSource: `clipboard:${triggerSource}`, deleteFiles: true };
+    job.analyzeOptions = { profile: getActiveProfile() };
+    const imagePath = path.join(CAPTURE_DIR, `${CLIPBOARD_IMAGE_BASENAME}-${job.id}.png`);
+    job.captures = [{ imagePath, label: 'Clipboard image' }];
+
+    try {
+        // 1. Read the clipboard, preferring an image
+        if (await state.clipboard.readImage(imagePath)) {
+            logDebug(`Clipboard image saved to ${imagePath}`);
+            if (capturesNeedOcr() && !state.worker) throw new Error("Tesseract worker not initialized.");
+        } else {
+            const text = (await state.clipboard.readText()).trim();
+            if (!text) throw new Error("The clipboard is empty or holds neither text nor an image.");
+            logDebug(`Using ${text.length} characters of clipboard text.`);
+            job.captures = [{ imagePath: null, label: 'Clipboard text', ocrText: text }];
+        }
+    } catch (error) {
+        logError(`Clipboard capture failed: ${error.message}`, state.debugMode ? error.stack : '');
+        await fs.rm(imagePath, { force: true }).catch(unlinkError => logWarn(`Could not delete clipboard image: ${unlinkError.message}`));
+        if(state.isRunning && triggerSource === 'command' && state.cli) state.cli.prompt();
+        return { ok: false, id: job.id, reason: 'failed', error: error.message };
+    }
+    return enqueueJob(job);
+}
+
+/**
+ * Queues a history entry's stored images and OCR text to be sent to the AI again, optionally with a different prompt.
+ * The result is shown like a normal capture and recorded as a new history entry.
+ * @param {string} id History entry id.
+ * @param {string|null} prompt Prompt to use instead of the entry's original prompt.
+ */
+async function resendHistoryEntry(id, prompt) {
+    if (!getProvider().isReady()) {
+        logError(`Cannot resend: ${getProvider().label} is not configured/initialized.`);
+        logWarn(getProvider().setupHint);
+        return;
+    }
+    const entry = await loadHistoryEntry(id);
+    if (!entry) {
+        logError(`History entry "${id}" not found. Use 'history list' to see entries.`);
+        return;
+    }
+
+    const captures = entry.captures.map(capture => ({
+        imagePath: capture.image ? path.join(HISTORY_DIR, id, capture.image) : null,
+        label: capture.label,
+        ocrText: capture.ocrText,
+    }));
+    enqueueJob({ kind: 'history', triggerSource: `history:${id}`, captures, analyzeOptions: { prompt: prompt || entry.prompt } });
+}
+
+// --- Displays and Regions ---
+
+// Helper to format a display from screenshot.listDisplays() into a readable label
+function formatDisplayName(display, index) {
+    const name = display.name && display.name !== String(display.id) ? ` ${display.name}` : '';
+    const size = display.width && display.height ? ` ${display.width}x${display.height}` : '';
+    return `Display ${index + 1}${name}${size}`.trim();
+}
+
+// Helper to format the configured display for status output
+function formatDisplaySetting(displayId) {
+    if (displayId === 'all') return 'All displays';
+    return displayId ? `Display id ${displayId}` : 'First display (default)';
+}
+
+// Helper to format a region object as "x,y,w,h" (the same format parseRegion accepts)
+function formatRegion(region) {
+    return `${region.x},${region.y},${region.width},${region.height}`;
+}
+
+// Helper to parse a string like "100,200,800,600" (x,y,width,height) into a region object
+function parseRegion(regionString) {
+    if (!regionString || typeof regionString !== 'string') return null;
+
+    const parts = regionString.split(',').map(p => p.trim());
+    if (parts.length !== 4 || parts.some(p => !/^\d+$/.test(p))) return null;
+
+    const [x, y, width, height] = parts.map(p => parseInt(p, 10));
+    if (width === 0 || height === 0) return null;
+    return { x, y, width, height };
+}
+
+module.exports = {
+    takeScreenshots,
+    handleCapture,
+    handleClipboardCapture,
+    resendHistoryEntry,
+    formatDisplayName,
+    formatDisplaySetting,
+    formatRegion,
+    parseRegion,
+};
@@ -0,0 +1,37 @@
+// lib/cli-input.js - Questions asked on the console, through the interactive CLI's readline interface (state.cli).
+
+const readline = require('readline');
+const chalk = require('chalk'); // Use chalk@4 for CommonJS
+const { state } = require('./state');
+
+// Wrapper for state.cli.question that returns a Promise
+function askQuestion(query) {
+    // Use light yellow for questions
+    return new Promise(resolve => state.cli.question(chalk.yellowBright(query), resolve));
+}
+
+// Like askQuestion, but the answer isn't echoed or kept in the input history (API keys, passphrases).
+// Before the CLI is set up (e.g. unlocking secrets on start) a temporary readline interface is used.
+function askHidden(query) {
+    const prompter = state.cli || readline.createInterface({ input: process.stdin, output: process.stdout });
+    const writeToOutput = prompter._writeToOutput;
+    return new Promise(resolve => {
+        prompter.question(chalk.yellowBright(query), (answer) => {
+            prompter._writeToOutput = writeToOutput;
+            if (prompter.history && prompter.history[0] === answer) prompter.history.shift();
+            if (prompter !== state.cli) prompter.close();
+            resolve(answer.trim());
+        });
+        // The prompt is already written; from here only the final line break gets through
+        prompter._writeToOutput = (text) => {
+            if (text.includes('\n')) writeToOutput.call(prompter, '\n');
+        };
+    });
+}
+
+// Removes the last entered line from the input history if it contains `secret` (e.g. "set-apikey <key>")
+function forgetHistoryLine(secret) {
+    if (state.cli && state.cli.history && state.cli.history.length > 0 && state.cli.history[0].includes(secret)) state.cli.history.shift();
+}
+
+module.exports = { askQuestion, askHidden, forgetHistoryLine };
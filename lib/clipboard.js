@@ -0,0 +1,92 @@
+// lib/clipboard.js - The system clipboard. It is reached through an adapter ({ readText, readImage, writeText }) so the
+// rest of the code never shells out directly and a fake adapter can stand in for the real clipboard.
+
+const os = require('os');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+
+// Runs a command and resolves with its stdout as a Buffer. `input` is written to stdin.
+// Failures reject with an Error carrying the exit code (or spawn error code) as `exitCode` and the trimmed `stderr`.
+function runCommand(command, args, input = null) {
+    return new Promise((resolve, reject) => {
+        const child = execFile(command, args, { encoding: 'buffer', maxBuffer: 64 * 1024 * 1024, windowsHide: true }, (error, stdout, stderr) => {
+            if (error) {
+                const stderrText = stderr && stderr.length ? stderr.toString().trim() : '';
+                const details = stderrText ? `: ${stderrText}` : '';
+                reject(Object.assign(new Error(`${command} failed${details || `: ${error.message}`}`), { exitCode: error.code, stderr: stderrText }));
+                return;
+            }
+            resolve(stdout);
+        });
+        if (input !== null) child.stdin.end(input);
+    });
+}
+
+/**
+ * Creates a clipboard adapter backed by the operating system's clipboard tools:
+ * pbcopy/pbpaste/osascript on macOS, PowerShell on Windows, wl-clipboard (Wayland) or xclip (X11) on Linux.
+ * @param {string} [platform] os.platform() value.
+ * @param {function(string, string[], (string|null)=): Promise<Buffer>} [run] Command runner, injectable for tests.
+ * @returns {{readText: function(): Promise<string>, readImage: function(string): Promise<boolean>, writeText: function(string): Promise<void>}}
+ *   readImage writes the clipboard image as a PNG to the given path and resolves false if there is no image.
+ */
+function createSystemClipboard(platform = os.platform(), run = runCommand) {
+    if (platform === 'darwin') {
+        return {
+            readText: async () => (await run('pbpaste', [])).toString('utf8'),
+            readImage: async (destPath) => {
+                const script = [
+                    'try',
+                    '  set png to (the clipboard as «class PNGf»)',
+                    'on error',
+                    '  return "none"',
+                    'end try',
+                    `set f to open for access (POSIX file "${destPath.replace(/"/g, '\\"')}") with write permission`,
+                    'set eof of f to 0',
+                    'write png to f',
+                    'close access f',
+                    'return "ok"',
+                ];
+                return (await run('osascript', script.flatMap(line => ['-e', line]))).toString().trim() === 'ok';
+            },
+            writeText: async (text) => { await run('pbcopy', [], text); },
+        };
+    }
+    if (platform === 'win32') {
+        const powershell = (script, input = null) => run('powershell', ['-NoProfile', '-NonInteractive', '-STA', '-Command', script], input);
+        return {
+            readText: async () => (await powershell('[Console]::OutputEncoding = [Text.Encoding]::UTF8; Get-Clipboard -Raw')).toString('utf8').replace(/\r?\n$/, ''),
+            readImage: async (destPath) => {
+                const script = 'Add-Type -AssemblyName System.Windows.Forms; $img = [System.Windows.Forms.Clipboard]::GetImage(); ' +
+                    `if ($img) { $img.Save('${destPath.replace(/'/g, "''")}', [System.Drawing.Imaging.ImageFormat]::Png); 'ok' } else { 'none' }`;
+                return (await powershell(script)).toString().trim() === 'ok';
+            },
+            writeText: async (text) => {
+                await powershell('[Console]::InputEncoding = [Text.Encoding]::UTF8; Set-Clipboard -Value ([Console]::In.ReadToEnd())', text);
+            },
+        };
+    }
+    const wayland = !!process.env.WAYLAND_DISPLAY;
+    return {
+        readText: async () => (wayland
+            ? await run('wl-paste', ['--no-newline'])
+            : await run('xclip', ['-selection', 'clipboard', '-o'])).toString('utf8'),
+        readImage: async (destPath) => {
+            const types = (wayland
+                ? await run('wl-paste', ['--list-types'])
+                : await run('xclip', ['-selection', 'clipboard', '-t', 'TARGETS', '-o'])).toString();
+            if (!types.split('\n').map(t => t.trim()).includes('image/png')) return false;
+            const png = wayland
+                ? await run('wl-paste', ['--type', 'image/png'])
+                : await run('xclip', ['-selection', 'clipboard', '-t', 'image/png', '-o']);
+            await fs.writeFile(destPath, png);
+            return true;
+        },
+        writeText: async (text) => {
+            if (wayland) await run('wl-copy', [], text);
+            else await run('xclip', ['-selection', 'clipboard'], text);
+        },
+    };
+}
+
+module.exports = { runCommand, createSystemClipboard };
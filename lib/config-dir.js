@@ -0,0 +1,18 @@
+// lib/config-dir.js - The user config directory, where config.json, the profiles, the history and the usage log live.
+
+const os = require('os');
+const path = require('path');
+
+// Per-platform user config directory, overridable with AI_HELPER_CONFIG_DIR (e.g. for a portable setup)
+function getConfigDir() {
+    if (process.env.AI_HELPER_CONFIG_DIR) return path.resolve(process.env.AI_HELPER_CONFIG_DIR);
+    switch (os.platform()) {
+        case 'win32': return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'ai-helper');
+        case 'darwin': return path.join(os.homedir(), 'Library', 'Application Support', 'ai-helper');
+        default: return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'ai-helper');
+    }
+}
+
+const CONFIG_DIR = getConfigDir();
+
+module.exports = { CONFIG_DIR, getConfigDir };
@@ -0,0 +1,165 @@
+// lib/history.js - Capture history. Each entry is a directory under HISTORY_DIR named by its id (a sortable timestamp),
+// holding entry.json and the images.
+
+const fs = require('fs').promises;
+const fss = require('fs'); // Synchronous fs for specific checks like existsSync
+const path = require('path');
+const chalk = require('chalk'); // Use chalk@4 for CommonJS
+const { state } = require('./state');
+const { logDebug, logWarn, logSuccess, logError } = require('./log');
+const { CONFIG_DIR } = require('./config-dir');
+
+const HISTORY_DIR = path.join(CONFIG_DIR, 'history');
+const LEGACY_HISTORY_DIR = path.join(__dirname, '..', 'history'); // Where older versions kept the history, migrated on first start
+const HISTORY_ENTRY_FILENAME = 'entry.json';
+
+// Helper to parse a retention (or other non-negative count) setting ("none"/"0" disables it); returns the fallback
+// for invalid values
+function parseRetentionValue(value, fallback) {
+    if (String(value).toLowerCase() === 'none') return 0;
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed) || parsed < 0 || String(parsed) !== String(value).trim()) {
+        logWarn(`Invalid value "${value}". Using ${fallback}.`);
+        return fallback;
+    }
+    return parsed;
+}
+
+// Builds a new, unused entry id like "20261019-181423" (with a "-2", "-3"... suffix for same-second captures)
+function createHistoryId(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const baseId = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    let id = baseId;
+    for (let suffix = 2; fss.existsSync(path.join(HISTORY_DIR, id)); suffix++) {
+        id = `${baseId}-${suffix}`;
+    }
+    return id;
+}
+
+/**
+ * Stores a completed capture in the history directory and applies the retention limits.
+ * Failures are logged but never fail the capture itself.
+ * @param {{imagePath: string, label?: string, ocrText: string}[]} captures
+ * @param {object} details Prompt, profile, provider, model, response and trigger source of the capture.
+ * @returns {Promise<string|null>} The new entry id, or null if it could not be saved.
+ */
+async function saveHistoryEntry(captures, details) {
+    const id = createHistoryId();
+    const entryDir = path.join(HISTORY_DIR, id);
+    try {
+        await fs.mkdir(entryDir, { recursive: true });
+        const storedCaptures = [];
+        for (const [index, capture] of captures.entries()) {
+            const image = capture.imagePath ? `image-${index + 1}${path.extname(capture.imagePath) || '.png'}` : null;
+            if (image) await fs.copyFile(capture.imagePath, path.join(entryDir, image));
+            storedCaptures.push({ label: capture.label || null, image, ocrText: capture.ocrText });
+        }
+        const entry = { id, timestamp: new Date().toISOString(), ...details, captures: storedCaptures };
+        await fs.writeFile(path.join(entryDir, HISTORY_ENTRY_FILENAME), JSON.stringify(entry, null, 2));
+        logDebug(`History entry ${id} saved.`);
+    } catch (error) {
+        logError("Failed to save history entry", error);
+        return null;
+    }
+    await applyHistoryRetention();
+    return id;
+}
+
+/**
+ * Moves the entries of the old history folder next to main.js into HISTORY_DIR, then removes the folder once it's empty.
+ * Entries that already exist in HISTORY_DIR are left where they are.
+ * @param {string} [legacyDir] The old history folder.
+ */
+async function migrateLegacyHistory(legacyDir = LEGACY_HISTORY_DIR) {
+    let ids;
+    try {
+        ids = await fs.readdir(legacyDir);
+    } catch (error) {
+        if (error.code !== 'ENOENT') logWarn(`Could not read the old history folder ${legacyDir}: ${error.message}`);
+        return;
+    }
+    let moved = 0;
+    try {
+        await fs.mkdir(HISTORY_DIR, { recursive: true });
+        for (const id of ids) {
+            const target = path.join(HISTORY_DIR, id);
+            if (fss.existsSync(target)) continue;
+            try {
+                await fs.rename(path.join(legacyDir, id), target);
+            } catch (error) {
+                if (error.code !== 'EXDEV') throw error;
+                // The config directory is on another drive; copy, then delete the original
+                await fs.cp(path.join(legacyDir, id), target, { recursive: true });
+                await fs.rm(path.join(legacyDir, id), { recursive: true, force: true });
+            }
+            moved++;
+        }
+        if ((await fs.readdir(legacyDir)).length === 0) await fs.rmdir(legacyDir);
+    } catch (error) {
+        logWarn(`Could not move the capture history from ${legacyDir}: ${error.message}`);
+    }
+    if (moved > 0) logSuccess(`Moved ${moved} history entries to ${HISTORY_DIR}.`);
+}
+
+// Loads one history entry, or returns null if it doesn't exist or is unreadable
+async function loadHistoryEntry(id) {
+    if (!id || id.includes('/') || id.includes('\\') || id.startsWith('.')) return null;
+    try {
+        return JSON.parse(await fs.readFile(path.join(HISTORY_DIR, id, HISTORY_ENTRY_FILENAME), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') logWarn(`Could not read history entry ${id}: ${error.message}`);
+        return null;
+    }
+}
+
+// Loads all history entries, newest first
+async function loadHistoryEntries() {
+    let ids;
+    try {
+        ids = await fs.readdir(HISTORY_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const entries = [];
+    for (const id of ids.sort().reverse()) {
+        const entry = await loadHistoryEntry(id);
+        if (entry) entries.push(entry);
+    }
+    return entries;
+}
+
+// Deletes entries beyond historyMaxEntries and entries older than historyMaxAgeDays
+async function applyHistoryRetention() {
+    try {
+        const entries = await loadHistoryEntries();
+        const oldestAllowed = state.historyMaxAgeDays > 0 ? Date.now() - state.historyMaxAgeDays * 24 * 60 * 60 * 1000 : null;
+        const expired = entries.filter((entry, index) =>
+            (state.historyMaxEntries > 0 && index >= state.historyMaxEntries) ||
+            (oldestAllowed !== null && new Date(entry.timestamp).getTime() < oldestAllowed));
+        for (const entry of expired) {
+            await fs.rm(path.join(HISTORY_DIR, entry.id), { recursive: true, force: true });
+        }
+        if (expired.length > 0) logDebug(`Removed ${expired.length} expired history entries.`);
+    } catch (error) {
+        logWarn(`Could not apply history retention: ${error.message}`);
+    }
+}
+
+// Helper to print a one-line summary of a history entry
+function printHistoryEntrySummary(entry) {
+    const when = new Date(entry.timestamp).toLocaleString();
+    const preview = (entry.response || '').replace(/\s+/g, ' ').substring(0, 60);
+    console.log(`${chalk.blueBright(entry.id)}  ${when}  ${chalk.blueBright(entry.model)}  ${preview}${entry.response && entry.response.length > 60 ? '...' : ''}`);
+}
+
+module.exports = {
+    HISTORY_DIR,
+    parseRetentionValue,
+    saveHistoryEntry,
+    migrateLegacyHistory,
+    loadHistoryEntry,
+    loadHistoryEntries,
+    applyHistoryRetention,
+    printHistoryEntrySummary,
+};
@@ -0,0 +1,84 @@
+// lib/hotkeys.js - Trigger key combinations: parsing "CTRL+SHIFT+C" style strings, formatting them, and matching
+// them against key events from node-global-key-listener.
+
+const chalk = require('chalk'); // Use chalk@4 for CommonJS
+const { state } = require('./state');
+const { logWarn, logError } = require('./log');
+
+// Helper to parse a string like "CTRL+SHIFT+K" into a trigger key object
+function parseTriggerKey(keyString) {
+    if (!keyString || typeof keyString !== 'string') return null;
+
+    const parts = keyString.toUpperCase().split('+').map(p => p.trim()).filter(p => p);
+    if (parts.length === 0) return null;
+
+    const newTrigger = { name: null, ctrl: false, shift: false, alt: false, meta: false };
+    const keyNamePart = parts[parts.length - 1];
+
+    // Basic validation for key name (allow common special keys)
+    const allowedSpecialKeys = ['F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9', 'F10', 'F11', 'F12', 'SPACE', 'ENTER', 'TAB', 'ESCAPE', 'DELETE', 'BACKSPACE', 'UP ARROW', 'DOWN ARROW', 'LEFT ARROW', 'RIGHT ARROW', 'PAGE UP', 'PAGE DOWN', 'HOME', 'END', 'INSERT'];
+    if (keyNamePart.length > 1 && !/^[A-Z0-9]$/.test(keyNamePart) && !allowedSpecialKeys.includes(keyNamePart)) {
+         logWarn(`Possibly invalid key name detected: "${keyNamePart}". Ensure it's a single letter/number or a known special key (e.g., F1, SPACE, ENTER).`);
+    }
+     if (keyNamePart.length === 1 && !/^[A-Z0-9]$/.test(keyNamePart)) {
+         logWarn(`Possibly invalid single character key name detected: "${keyNamePart}". Use A-Z or 0-9.`);
+     }
+
+    newTrigger.name = keyNamePart; // Store the key name as parsed
+
+    for (let i = 0; i < parts.length - 1; i++) {
+        switch (parts[i]) {
+            case 'CTRL': case 'CONTROL': newTrigger.ctrl = true; break;
+            case 'SHIFT': newTrigger.shift = true; break;
+            case 'ALT': newTrigger.alt = true; break;
+            case 'META': case 'CMD': case 'COMMAND': case 'WIN': case 'WINDOWS': newTrigger.meta = true; break;
+            default: logWarn(`Unrecognized modifier: "${parts[i]}". Ignoring.`);
+        }
+    }
+
+    if (!newTrigger.name) {
+        logError("Invalid trigger key string: No key name found.");
+        return null;
+    }
+    return newTrigger;
+}
+
+// Helper to check whether a key event (and the map of keys held down) matches a trigger key combination
+function matchesTriggerKey(triggerKey, event, down) {
+    const keyNameMatch = event.name === triggerKey.name;
+    // Handle Ctrl/Cmd mapping for Mac
+    const ctrlOrMeta = down['LEFT CTRL'] || down['RIGHT CTRL'] || (state.operatingSystem === 'darwin' && (down['LEFT META'] || down['RIGHT META']));
+    const ctrlMatch = triggerKey.ctrl ? ctrlOrMeta : !ctrlOrMeta;
+    const shiftMatch = triggerKey.shift ? (down['LEFT SHIFT'] || down['RIGHT SHIFT']) : !(down['LEFT SHIFT'] || down['RIGHT SHIFT']);
+    const altMatch = triggerKey.alt ? (down['LEFT ALT'] || down['RIGHT ALT']) : !(down['LEFT ALT'] || down['RIGHT ALT']);
+    // Explicitly check meta key state (usually Command on Mac, Windows key on Win)
+    const metaPressed = down['LEFT META'] || down['RIGHT META'];
+    const metaMatch = triggerKey.meta ? metaPressed : !metaPressed;
+
+    return !!(keyNameMatch && ctrlMatch && shiftMatch && altMatch && metaMatch);
+}
+
+// Helper to compare two trigger key objects
+function isSameTriggerKey(a, b) {
+    return a.name === b.name && a.ctrl === b.ctrl && a.shift === b.shift && a.alt === b.alt && a.meta === b.meta;
+}
+
+// Helper to format a trigger key as plain text in the format parseTriggerKey accepts (e.g. "CTRL+SHIFT+V")
+function formatTriggerKeyPlain(keyConfig) {
+    return [keyConfig.ctrl && 'CTRL', keyConfig.shift && 'SHIFT', keyConfig.alt && 'ALT', keyConfig.meta && 'META', keyConfig.name]
+        .filter(part => part).join('+');
+}
+
+// Helper to format the trigger key object into a readable string
+function formatTriggerKey(keyConfig) {
+    let parts = [];
+    if (keyConfig.ctrl) parts.push("CTRL");
+    if (keyConfig.shift) parts.push("SHIFT");
+    if (keyConfig.alt) parts.push("ALT");
+    if (keyConfig.meta) parts.push("META");
+    // Bold the key name part
+    parts.push(chalk.bold(keyConfig.name || '<?>'));
+    return parts.join('+');
+}
+
+module.exports = { parseTriggerKey, formatTriggerKey, formatTriggerKeyPlain, isSameTriggerKey, matchesTriggerKey };
@@ -0,0 +1,98 @@
+// lib/http.js - HTTP(S) requests for the AI providers that don't go through a client library, and the errors that
+// failed responses are turned into.
+
+const https = require('https'); // Built-in HTTPS module for API calls
+const http = require('http'); // Plain HTTP for local AI servers (e.g. Ollama)
+
+/**
+ * Sends an HTTP(S) request and collects the response body.
+ * @param {string} url Full URL; http: and https: are both supported.
+ * @param {object} [options]
+ * @param {string} [options.method='GET']
+ * @param {object} [options.headers]
+ * @param {string} [options.body] Request body (already serialized).
+ * @param {function(string): void} [options.onLine] Called with each non-empty line of a 200 response as it arrives,
+ *   for streaming APIs. An exception thrown here aborts the request.
+ * @param {AbortSignal} [options.signal] Aborts the request (rejecting with an AbortError).
+ * @returns {Promise<{statusCode: number, headers: object, body: string}>}
+ */
+function sendHttpRequest(url, { method = 'GET', headers = {}, body = null, onLine = null, signal = undefined } = {}) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const req = client.request(url, { method, headers, signal }, (res) => {
+            let data = '';
+            let pendingLine = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                data += chunk;
+                if (!onLine || res.statusCode !== 200) return;
+                pendingLine += chunk;
+                const lines = pendingLine.split('\n');
+                pendingLine = lines.pop(); // Keep the incomplete last line for the next chunk
+                try {
+                    lines.map(line => line.trim()).filter(line => line).forEach(onLine);
+                } catch (error) {
+                    req.destroy();
+                    reject(error);
+                }
+            });
+            res.on('end', () => {
+                try {
+                    if (onLine && res.statusCode === 200 && pendingLine.trim()) onLine(pendingLine.trim());
+                } catch (error) {
+                    reject(error);
+                    return;
+                }
+                resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+            });
+            res.on('error', reject);
+        });
+        req.on('error', reject);
+        if (body) req.write(body);
+        req.end();
+    });
+}
+
+// Helper to pull the error code out of an API error body ({ error: { code: "model_not_found" } }), or null
+function getHttpErrorCode(body) {
+    try {
+        const code = JSON.parse(body).error?.code;
+        return typeof code === 'string' ? code : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+// Helper to pull a readable message out of an API error body ({ error: { message } } or { error: "..." })
+function describeHttpError(body) {
+    try {
+        const parsed = JSON.parse(body);
+        const message = parsed.error?.message || parsed.error || parsed.message;
+        if (typeof message === 'string') return message;
+    } catch (_) { /* Not JSON, fall through to the raw body */ }
+    return String(body || '').substring(0, 200);
+}
+
+/**
+ * Builds the error thrown for a non-200 AI server response. It carries the status code, the error code from the body
+ * and any Retry-After delay so generateWithRetry can decide whether to retry.
+ * @param {{statusCode: number, headers: object, body: string}} res
+ * @returns {Error & {status: number, errorCode: string|null, retryAfterMs: number|null}}
+ */
+function createHttpStatusError(res) {
+    const retryAfter = res.headers?.['retry-after'];
+    let retryAfterMs = null;
+    if (retryAfter) {
+        // Either a number of seconds or an HTTP date
+        retryAfterMs = /^\d+(\.\d+)?$/.test(retryAfter) ? parseFloat(retryAfter) * 1000 : Math.max(0, Date.parse(retryAfter) - Date.now()) || null;
+    }
+    const error = new Error(`Server returned status code ${res.statusCode}: ${describeHttpError(res.body)}`);
+    return Object.assign(error, { status: res.statusCode, errorCode: getHttpErrorCode(res.body), retryAfterMs });
+}
+
+module.exports = {
+    sendHttpRequest,
+    getHttpErrorCode,
+    describeHttpError,
+    createHttpStatusError,
+};
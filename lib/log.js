@@ -0,0 +1,67 @@
+// lib/log.js - Console loggers. Errors are also shown as a notification while the helper is idle.
+
+const path = require('path');
+const chalk = require('chalk'); // Use chalk@4 for CommonJS
+const { state } = require('./state');
+
+// Emojis for Status
+const WARN_PREFIX = '>';
+const ERROR_PREFIX = '>';
+const SUCCESS_PREFIX = '>'; // Optional: for success
+
+const NOTIFICATION_MAX_LENGTH = 256; // Longer responses are truncated in the notification and linked to the viewer
+const ICON_PATH = path.join(__dirname, '..', 'icon.png'); // Ensure you have an icon.png
+
+// Loggers with Revised Chalk Colors
+const logTimestamp = () => chalk.gray(`[${new Date().toISOString()}]`); // Keep timestamp subtle
+
+// In headless (one-shot) mode stdout is reserved for the result, so all logging goes to stderr
+const logOutput = (...args) => (state.headless ? console.error : console.log)(...args);
+
+const logDebug = (message) => {
+    if (state.debugMode) {
+        // Keep debug gray
+        logOutput(chalk.gray(`${logTimestamp()} [DEBUG] ${message}`));
+    }
+};
+const logInfo = (message) => {
+    // Regular info is plain white
+    logOutput(message);
+};
+const logWarn = (message) => {
+    // Light yellow for warnings
+    console.warn(chalk.yellowBright(`${WARN_PREFIX} [WARN] ${message}`));
+};
+const logSuccess = (message) => {
+    // Light green for success messages
+    logOutput(chalk.greenBright(`${SUCCESS_PREFIX} [SUCCESS] ${message}`));
+};
+const logError = (message, error) => {
+    // Light red for errors
+    const errorMessage = error instanceof Error ? error.message : (error || '');
+    const errorDetails = state.debugMode && error instanceof Error ? `\n${error.stack}` : '';
+    console.error(chalk.redBright.bold(`${logTimestamp()} ${ERROR_PREFIX} [ERROR] ${message} ${errorMessage}`), errorDetails);
+    // Notify on error only if not processing (to avoid notification flood during capture failure)
+    if (state.isRunning && !state.isProcessing && !state.headless && state.notifier) {
+        state.notifier.notify({
+            title: 'AI Helper Error',
+            message: `Error: ${message}. Check console.`.substring(0, NOTIFICATION_MAX_LENGTH),
+            icon: ICON_PATH,
+            sound: true,
+            // timeout removed
+        });
+    }
+};
+
+module.exports = {
+    logDebug,
+    logInfo,
+    logWarn,
+    logSuccess,
+    logError,
+    WARN_PREFIX,
+    ERROR_PREFIX,
+    SUCCESS_PREFIX,
+    NOTIFICATION_MAX_LENGTH,
+    ICON_PATH,
+};
@@ -0,0 +1,44 @@
+// lib/model-picker.js - Paging through the model list of 'set-model'. On every page the models are numbered from 1,
+// followed by "Show More" and "Go Previous" (when there is such a page); 0 cancels.
+
+const MODELS_PER_PAGE = 5; // Number of models to show per page in set-model
+
+/**
+ * Describes one page of the model list.
+ * @param {string[]} models All models.
+ * @param {number} page Zero-based page number; clamped to the existing pages.
+ * @param {number} [perPage]
+ * @returns {{page: number, pageCount: number, models: string[], showMoreOption: number|null,
+ *   goPreviousOption: number|null, cancelOption: number}} The models on the page and the numbers of the menu options
+ *   (null when the option isn't offered).
+ */
+function getModelPage(models, page, perPage = MODELS_PER_PAGE) {
+    const pageCount = Math.max(1, Math.ceil(models.length / perPage));
+    const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+    const startIndex = currentPage * perPage;
+    const pageModels = models.slice(startIndex, startIndex + perPage);
+
+    // Option numbering starts *after* the last model number on the page
+    let nextOptionNumber = pageModels.length + 1;
+    const showMoreOption = startIndex + perPage < models.length ? nextOptionNumber++ : null;
+    const goPreviousOption = currentPage > 0 ? nextOptionNumber++ : null;
+    return { page: currentPage, pageCount, models: pageModels, showMoreOption, goPreviousOption, cancelOption: 0 };
+}
+
+/**
+ * Interprets the number entered on a page of the model list.
+ * @param {object} modelPage Page from getModelPage().
+ * @param {string} input What the user typed.
+ * @returns {{action: 'select', model: string}|{action: 'next'|'previous'|'cancel'|'not-a-number'|'invalid'}}
+ */
+function resolveModelChoice(modelPage, input) {
+    const choice = parseInt(input, 10);
+    if (isNaN(choice)) return { action: 'not-a-number' };
+    if (choice === modelPage.cancelOption) return { action: 'cancel' };
+    if (choice === modelPage.showMoreOption) return { action: 'next' };
+    if (choice === modelPage.goPreviousOption) return { action: 'previous' };
+    if (choice > 0 && choice <= modelPage.models.length) return { action: 'select', model: modelPage.models[choice - 1] };
+    return { action: 'invalid' };
+}
+
+module.exports = { MODELS_PER_PAGE, getModelPage, resolveModelChoice };
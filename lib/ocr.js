@@ -0,0 +1,296 @@
+// lib/ocr.js - OCR with Tesseract (or the OCR adapter in state.worker): the worker and its settings, the image
+// preprocessing, and formatting the recognized text for the AI.
+
+const Tesseract = require('tesseract.js');
+const chalk = require('chalk'); // Use chalk@4 for CommonJS
+const sharp = require('sharp');
+const { state, DEFAULT_OCR_PREPROCESSING } = require('./state');
+const { logDebug, logInfo, logWarn, logError } = require('./log');
+
+/**
+ * Runs OCR on an image.
+ * @param {string} imagePath
+ * @returns {Promise<{text: string, lines: object[]|null}>} The text (a message starting with "Error" if OCR failed) and
+ *   the recognized lines with their words (null if OCR failed), see getOcrLines().
+ */
+async function performOCR(imagePath) {
+    logDebug(`Performing OCR on ${imagePath}...`);
+    if (!state.worker) {
+        logError("Tesseract worker not initialized.");
+        return { text: "Error: Tesseract not ready.", lines: null };
+    }
+    try {
+        const { upscale } = state.ocrPreprocessing;
+        const input = await preprocessOcrImage(imagePath).catch((error) => {
+            logWarn(`OCR preprocessing failed (${error.message}). Using the original image.`);
+            return imagePath;
+        });
+        const { data } = await state.worker.recognize(input, {}, { text: true, blocks: true });
+        logDebug(`OCR Result (first 100 chars): ${data.text.substring(0, 100)}...`);
+        return { text: data.text, lines: getOcrLines(data, input === imagePath ? 1 : upscale) };
+    } catch (error) {
+        logError("OCR process failed", error);
+        return { text: "Error during OCR.", lines: null };
+    }
+}
+
+/**
+ * Flattens Tesseract's block/paragraph/line/word tree into lines of words.
+ * @param {object} data Result of worker.recognize() with the blocks output.
+ * @param {number} scale How much the image was upscaled before OCR; boxes are scaled back to the original image.
+ * @returns {{text: string, confidence: number, bbox: object, words: {text: string, confidence: number, bbox: object}[]}[]}
+ *   Bounding boxes are { x0, y0, x1, y1 } in pixels of the original image.
+ */
+function getOcrLines(data, scale = 1) {
+    const scaleBox = ({ x0, y0, x1, y1 }) => ({
+        x0: Math.floor(x0 / scale), y0: Math.floor(y0 / scale), x1: Math.ceil(x1 / scale), y1: Math.ceil(y1 / scale),
+    });
+    return (data.blocks || [])
+        .flatMap(block => block.paragraphs.flatMap(paragraph => paragraph.lines))
+        .map(line => ({
+            text: line.text.trim(),
+            confidence: line.confidence,
+            bbox: scaleBox(line.bbox),
+            words: line.words.map(word => ({ text: word.text, confidence: word.confidence, bbox: scaleBox(word.bbox) })),
+        }));
+}
+
+// --- OCR Settings ---
+// Language, engine and Tesseract parameters are applied when the worker is created (see createOcrWorker); the
+// preprocessing steps run on every image before OCR. All are changed with the set-ocr-* and ocr-prep commands.
+
+// Engines selectable with 'set-ocr-engine'. The legacy engines download extra language data.
+const OCR_ENGINES = {
+    lstm: Tesseract.OEM.LSTM_ONLY,
+    legacy: Tesseract.OEM.TESSERACT_ONLY,
+    combined: Tesseract.OEM.TESSERACT_LSTM_COMBINED,
+};
+
+const OCR_INVERT_MODES = ['off', 'on', 'auto']; // 'auto' inverts dark images (dark-mode UIs) only
+
+const OCR_MAX_UPSCALE = 4;
+
+// Creates a Tesseract worker for the current language, engine, page segmentation mode and whitelist
+async function createOcrWorker() {
+    logDebug(`Creating Tesseract worker for language: ${state.ocrLanguages} (${state.ocrEngine})...`);
+    const worker = await Tesseract.createWorker(state.ocrLanguages, OCR_ENGINES[state.ocrEngine]);
+    try {
+        await worker.setParameters({
+            tessedit_pageseg_mode: String(state.ocrPageSegMode),
+            tessedit_char_whitelist: state.ocrWhitelist || '',
+        });
+    } catch (error) {
+        await worker.terminate().catch(() => {});
+        throw error;
+    }
+    return worker;
+}
+
+// Whether an image is mostly dark (e.g. a dark-mode UI), judged by its average brightness
+async function isDarkImage(input) {
+    const { channels } = await sharp(input).stats();
+    const colorChannels = channels.slice(0, 3);
+    return colorChannels.reduce((sum, channel) => sum + channel.mean, 0) / colorChannels.length < 128;
+}
+
+/**
+ * Applies the OCR preprocessing steps: upscale, grayscale, invert and threshold (black and white).
+ * @param {string|Buffer} input Image file path or data.
+ * @param {object} [preprocessing] Steps to apply, defaults to the current settings.
+ * @returns {Promise<string|Buffer>} A PNG buffer, or the input unchanged when no step is enabled.
+ */
+async function preprocessOcrImage(input, preprocessing = state.ocrPreprocessing) {
+    const { grayscale, upscale, invert, threshold } = preprocessing;
+    const shouldInvert = invert === 'on' || (invert === 'auto' && await isDarkImage(input));
+    if (!grayscale && upscale <= 1 && !shouldInvert && !threshold) return input;
+
+    let image = sharp(input);
+    if (upscale > 1) {
+        const { width } = await sharp(input).metadata();
+        image = image.resize({ width: Math.round(width * upscale), kernel: 'lanczos3' });
+    }
+    if (grayscale || threshold) image = image.grayscale();
+    if (shouldInvert) image = image.negate({ alpha: false });
+    let output = await image.png().toBuffer();
+    // sharp applies its operations in a fixed order, so thresholding gets its own pass after the inversion
+    if (threshold) output = await sharp(output).threshold(threshold).png().toBuffer();
+    return output;
+}
+
+// Formats the low-confidence threshold, e.g. "60%" or "none"
+function formatOcrMinConfidence() {
+    return state.ocrMinConfidence ? `${state.ocrMinConfidence}%` : 'none';
+}
+
+// Formats the OCR settings for display, e.g. "eng+deu, lstm engine, PSM 3, no whitelist"
+function formatOcrSettings() {
+    const whitelist = state.ocrWhitelist ? `whitelist "${state.ocrWhitelist}"` : 'no whitelist';
+    return `${state.ocrLanguages}, ${state.ocrEngine} engine, PSM ${state.ocrPageSegMode}, ${whitelist}`;
+}
+
+// Formats the enabled preprocessing steps, e.g. "grayscale, upscale 2x, invert auto" or "none"
+function formatOcrPreprocessing(preprocessing = state.ocrPreprocessing) {
+    const steps = [
+        preprocessing.grayscale && 'grayscale',
+        preprocessing.upscale > 1 && `upscale ${preprocessing.upscale}x`,
+        preprocessing.invert !== 'off' && `invert ${preprocessing.invert}`,
+        preprocessing.threshold && `threshold ${preprocessing.threshold}`,
+    ].filter(step => step);
+    return steps.length > 0 ? steps.join(', ') : 'none';
+}
+
+/**
+ * Runs OCR on an image with and without the current preprocessing and prints both results side by side, so the
+ * settings can be tuned.
+ * @param {string} imagePath Image to test.
+ */
+async function runOcrTest(imagePath) {
+    const variants = [['Original', DEFAULT_OCR_PREPROCESSING], [`Preprocessed (${formatOcrPreprocessing()})`, state.ocrPreprocessing]];
+    for (const [label, preprocessing] of variants) {
+        const startTime = Date.now();
+        const input = await preprocessOcrImage(imagePath, preprocessing);
+        const { data } = await state.worker.recognize(input, {}, { text: true, blocks: true });
+        const { confidence } = data;
+        const text = formatOcrText({ ocrText: data.text, ocrLines: getOcrLines(data, preprocessing.upscale) });
+        const seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+        console.group(chalk.bold(`--- ${label} ---`));
+        console.log(chalk.gray(`${text.trim().length} characters, confidence ${Math.round(confidence || 0)}%, ${seconds}s`));
+        console.log(text.trim() || chalk.gray('(no text found)'));
+        console.groupEnd();
+    }
+    if (formatOcrPreprocessing() === 'none') {
+        logInfo(`No preprocessing is enabled, so both results are the same. Try ${chalk.blueBright('ocr-prep')} to enable some.`);
+    }
+}
+
+// --- OCR Layout ---
+// Plain OCR text runs tables and multi-column pages together. The 'lines' and 'table' formats rebuild the layout from
+// Tesseract's word boxes and mark words recognized with low confidence, so the model knows what to double-check.
+
+const OCR_TEXT_FORMATS = {
+    plain: 'the text as Tesseract reads it',
+    lines: 'one text line per line, with its position in the image',
+    table: 'rows with several columns as Markdown tables, for spreadsheets and forms',
+};
+
+const OCR_LOW_CONFIDENCE_MARK = '(?)';
+
+const OCR_CELL_GAP_FACTOR = 1.2; // A gap between words wider than this many word heights starts a new table cell
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// A word with the low-confidence mark appended if Tesseract wasn't sure about it
+function formatOcrWord(word) {
+    return state.ocrMinConfidence && word.confidence < state.ocrMinConfidence ? `${word.text}${OCR_LOW_CONFIDENCE_MARK}` : word.text;
+}
+
+// Formats lines as "[x,y] text", x and y being the top-left corner of the line in pixels
+function formatOcrLayoutLines(lines) {
+    return lines.map(line => `[${line.bbox.x0},${line.bbox.y0}] ${line.words.map(formatOcrWord).join(' ')}`).join('\n');
+}
+
+// Splits a line into cells at gaps that are much wider than a space
+function splitOcrCells(line) {
+    const maxGap = median(line.words.map(word => word.bbox.y1 - word.bbox.y0)) * OCR_CELL_GAP_FACTOR;
+    const cells = [];
+    for (const word of line.words) {
+        const cell = cells[cells.length - 1];
+        if (cell && word.bbox.x0 - cell.x1 <= maxGap) {
+            cell.words.push(word);
+            cell.x1 = word.bbox.x1;
+        } else {
+            cells.push({ x0: word.bbox.x0, x1: word.bbox.x1, words: [word] });
+        }
+    }
+    return cells;
+}
+
+/**
+ * Formats consecutive rows of cells as a Markdown table. Columns are the horizontal ranges covered by the cells of all
+ * rows, so both left- and right-aligned columns line up; the first row becomes the header.
+ * @param {{x0: number, x1: number, words: object[]}[][]} rows
+ * @returns {string|null} The table, or null if the cells don't form at least two columns.
+ */
+function formatOcrTable(rows) {
+    const columns = [];
+    for (const cell of rows.flat().sort((a, b) => a.x0 - b.x0)) {
+        const column = columns[columns.length - 1];
+        if (column && cell.x0 <= column.x1) {
+            column.x1 = Math.max(column.x1, cell.x1);
+        } else {
+            columns.push({ x0: cell.x0, x1: cell.x1 });
+        }
+    }
+    if (columns.length < 2) return null;
+
+    const tableRows = rows.map((cells) => {
+        const values = columns.map(() => []);
+        for (const cell of cells) {
+            values[columns.findIndex(column => cell.x0 <= column.x1)].push(cell.words.map(formatOcrWord).join(' ').replace(/\|/g, '\\|'));
+        }
+        return `| ${values.map(value => value.join(' ')).join(' | ')} |`;
+    });
+    return [tableRows[0], `|${' --- |'.repeat(columns.length)}`, ...tableRows.slice(1)].join('\n');
+}
+
+// Formats lines as text, turning runs of two or more lines with several cells into Markdown tables
+function formatOcrTables(lines) {
+    const output = [];
+    let tableRows = [];
+    const flushTable = () => {
+        const table = tableRows.length > 1 ? formatOcrTable(tableRows) : null;
+        output.push(table || tableRows.map(cells => cells.flatMap(cell => cell.words).map(formatOcrWord).join(' ')).join('\n'));
+        tableRows = [];
+    };
+    for (const line of lines) {
+        const cells = splitOcrCells(line);
+        if (cells.length > 1) {
+            tableRows.push(cells);
+            continue;
+        }
+        if (tableRows.length > 0) flushTable();
+        output.push(line.words.map(formatOcrWord).join(' '));
+    }
+    if (tableRows.length > 0) flushTable();
+    return output.join('\n');
+}
+
+/**
+ * The OCR text of a capture in the requested format. Falls back to the plain text when there are no word boxes
+ * (e.g. text from the clipboard or a history entry).
+ * @param {{ocrText: string|null, ocrLines?: object[]|null}} capture
+ * @param {string} [format] Key of OCR_TEXT_FORMATS.
+ * @returns {string|null}
+ */
+function formatOcrText(capture, format = state.ocrTextFormat) {
+    const lines = (capture.ocrLines || []).filter(line => line.words.length > 0);
+    if (format === 'plain' || !capture.ocrLines) return capture.ocrText;
+    if (lines.length === 0) return '';
+
+    const notes = [
+        format === 'lines' && 'Each line starts with its [x,y] position in pixels from the top left of the image.',
+        lines.some(line => line.words.some(word => formatOcrWord(word) !== word.text)) && `Words marked ${OCR_LOW_CONFIDENCE_MARK} were recognized with low confidence.`,
+    ].filter(note => note);
+    const text = format === 'table' ? formatOcrTables(lines) : formatOcrLayoutLines(lines);
+    return notes.length > 0 ? `(${notes.join(' ')})\n${text}` : text;
+}
+
+module.exports = {
+    performOCR,
+    getOcrLines,
+    OCR_ENGINES,
+    OCR_INVERT_MODES,
+    OCR_MAX_UPSCALE,
+    createOcrWorker,
+    formatOcrMinConfidence,
+    formatOcrSettings,
+    formatOcrPreprocessing,
+    runOcrTest,
+    OCR_TEXT_FORMATS,
+    OCR_LOW_CONFIDENCE_MARK,
+    formatOcrText,
+};
@@ -0,0 +1,393 @@
+// lib/pipeline.js - The capture pipeline: what a capture sends to the AI (see Pipeline Mode, Image Upload and
+// Redaction) and analyzeCaptures(), which takes captured images from OCR to the presented and recorded response.
+
+const os = require('os');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const crypto = require('crypto');
+const { state } = require('./state');
+const { logDebug, logInfo, logWarn, logError, ERROR_PREFIX, NOTIFICATION_MAX_LENGTH, ICON_PATH } = require('./log');
+const { getRedactionRules, findRedactions, redactText, findRedactedWords, redactOcrLines, blackOutRegions } = require('./redaction');
+const { checkUsageLimits } = require('./usage');
+const { getProvider, getModelName, generateWithRetry } = require('./providers');
+const { performOCR, formatOcrText } = require('./ocr');
+const { saveHistoryEntry } = require('./history');
+const { writeResponseViewer } = require('./response-viewer');
+
+const MAX_FOLLOW_UP_TURNS = 10; // Follow-up question/answer pairs kept in the 'ask' conversation history
+const IMAGE_FILE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.tif', '.tiff']; // Picked up by 'watch' and 'batch'
+
+// --- Pipeline Mode ---
+// Vision models don't need the OCR text, and some policies don't allow sending images, so what a capture sends can be
+// limited with the 'pipeline' command.
+
+const PIPELINE_MODES = {
+    'image+text': 'the image and its OCR text',
+    'image-only': 'only the image, without running OCR',
+    'text-only': 'only the OCR text, images are never uploaded',
+};
+
+// Whether the OCR text is sent to the AI
+function pipelineSendsText() {
+    return state.pipelineMode !== 'image-only';
+}
+
+// Whether images are sent to the AI
+function pipelineSendsImages() {
+    return state.pipelineMode !== 'text-only';
+}
+
+// Whether captures are OCR'd (and Tesseract is needed): for the text, or to find what to black out in the image
+function capturesNeedOcr() {
+    return pipelineSendsText() || redactsImages();
+}
+
+// --- Image Upload ---
+// Screenshots of 4K and 5K displays are several megabytes as PNG, so images are scaled down to imageMaxDimension and
+// can be re-encoded as JPEG or WebP before they are sent. OCR and redaction still work on the full-resolution capture.
+
+const IMAGE_UPLOAD_FORMATS = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' }; // Format -> MIME type
+
+/**
+ * Scales an image down to fit imageMaxDimension and encodes it in the imageFormat setting. A PNG that is already small
+ * enough is used as is.
+ * @param {string|Buffer} input Image file path or data.
+ * @returns {Promise<{data: Buffer, mimeType: string, width: number, height: number, originalBytes: number}>}
+ */
+async function prepareUploadImage(input) {
+    const original = Buffer.isBuffer(input) ? input : await fs.readFile(input);
+    const { width, height, format } = await sharp(original).metadata();
+    const maxDimension = state.imageMaxDimension;
+    const needsResize = maxDimension > 0 && Math.max(width, height) > maxDimension;
+    if (!needsResize && format === state.imageFormat && format === 'png') {
+        return { data: original, mimeType: IMAGE_UPLOAD_FORMATS.png, width, height, originalBytes: original.length };
+    }
+
+    let image = sharp(original);
+    if (needsResize) image = image.resize({ width: maxDimension, height: maxDimension, fit: 'inside' });
+    if (state.imageFormat === 'jpeg') image = image.flatten({ background: '#ffffff' }); // JPEG has no transparency
+    const { data, info } = await image
+        .toFormat(state.imageFormat, state.imageFormat === 'png' ? {} : { quality: state.imageQuality })
+        .toBuffer({ resolveWithObject: true });
+    logDebug(`Prepared ${width}x${height} image for upload: ${info.width}x${info.height} ${state.imageFormat}, ${formatByteSize(original.length)} -> ${formatByteSize(data.length)}.`);
+    return { data, mimeType: IMAGE_UPLOAD_FORMATS[state.imageFormat], width: info.width, height: info.height, originalBytes: original.length };
+}
+
+// E.g. "340 KB" or "4.2 MB"
+function formatByteSize(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatImageUploadSettings() {
+    const quality = state.imageFormat === 'png' ? '' : ` quality ${state.imageQuality}`;
+    return `${state.imageFormat}${quality}, max ${state.imageMaxDimension ? `${state.imageMaxDimension}px` : 'full size'}`;
+}
+
+// Size of the images in the last request, e.g. "2 images, 610 KB (4.8 MB as captured)"
+function formatLastImageUpload() {
+    const upload = state.lastImageUpload;
+    if (!upload) return 'No images sent yet';
+    const size = formatByteSize(upload.bytes);
+    const originalSize = formatByteSize(upload.originalBytes);
+    return `${upload.images} image${upload.images === 1 ? '' : 's'}, ${size}${originalSize !== size ? ` (${originalSize} as captured)` : ''}`;
+}
+
+// --- Redaction ---
+// When enabled, sensitive data is removed before anything is sent to the AI: matches of the built-in and user rules are
+// replaced in the OCR text, and the words they cover are blacked out in the image using Tesseract's word boxes. Only
+// text that OCR recognized can be found, so it's a safety net rather than a guarantee. The rules, their matching and
+// the blacking out are in lib/redaction.js.
+
+// Formats counts like { email: 2, 'api-token': 1 } as "2 email, 1 api-token"
+function formatRedactionCounts(counts) {
+    return Object.entries(counts).map(([rule, count]) => `${count} ${rule}`).join(', ');
+}
+
+/**
+ * Redacts the captures of a job before they are sent: the OCR text (or clipboard text) and OCR lines are replaced with
+ * their redacted versions, and images that are sent get a blacked-out copy in capture.redactedImage.
+ * @param {{imagePath: string|null, ocrText: string|null, ocrLines?: object[]|null}[]} captures
+ */
+async function redactCaptures(captures) {
+    const rules = getRedactionRules();
+    const textCounts = {};
+    let regionCount = 0;
+    for (const capture of captures) {
+        // Text captures are always sent; the OCR text of images only if the pipeline sends it
+        if (capture.ocrText && (!capture.imagePath || pipelineSendsText())) {
+            const matches = findRedactions(capture.ocrText, rules);
+            matches.forEach(match => { textCounts[match.rule] = (textCounts[match.rule] || 0) + 1; });
+            capture.ocrText = redactText(capture.ocrText, matches);
+        }
+        if (!capture.ocrLines) continue;
+        const redactedWords = findRedactedWords(capture.ocrLines, rules);
+        if (redactedWords.size === 0) continue;
+        if (capture.imagePath && pipelineSendsImages()) {
+            capture.redactedImage = await blackOutRegions(capture.imagePath, [...redactedWords.keys()].map(word => word.bbox));
+            regionCount += redactedWords.size;
+        }
+        capture.ocrLines = redactOcrLines(capture.ocrLines, redactedWords); // For the layout formats, see formatOcrText()
+    }
+    const summary = [
+        Object.keys(textCounts).length > 0 && `${formatRedactionCounts(textCounts)} from the text`,
+        regionCount > 0 && `${regionCount} word(s) in the image`,
+    ].filter(part => part);
+    if (summary.length > 0) {
+        logInfo(`Redacted ${summary.join(' and ')}.`);
+    } else {
+        logDebug("Nothing to redact.");
+    }
+}
+
+// Whether image captures are redacted before they are sent (which needs OCR, even in the image-only pipeline)
+function redactsImages() {
+    return state.redactionEnabled && pipelineSendsImages();
+}
+
+// --- Analysis ---
+// analyzeCaptures() runs captured images through OCR and redaction, sends them to the AI with queryAI() (retries and
+// fallback models are handled by generateWithRetry() in lib/providers.js) and presents and records the response.
+
+/**
+ * Sends the prompt plus one or more captured images (and their OCR text) to the active AI provider in a single request.
+ * The pipeline mode decides whether the images, the OCR text or both are included.
+ * @param {{imagePath: string, ocrText: string|null, label?: string}[]} captures One entry per captured image. The label
+ *   (e.g. the display name) is only used to tell images apart when there is more than one.
+ * @param {object} [queryOptions]
+ * @param {string} [queryOptions.prompt] Prompt to use instead of the custom prompt (e.g. from a profile).
+ * @param {string} [queryOptions.modelName] Model to use instead of the selected one (e.g. from a profile).
+ * @param {string} [queryOptions.ocrFormat] How to send the OCR text (a key of OCR_TEXT_FORMATS) instead of the setting.
+ * @param {boolean} [queryOptions.stream] Print the response to the console while it is generated.
+ * @param {AbortSignal} [queryOptions.signal] Cancels the request.
+ * @returns {Promise<{text: string, modelName: string, providerId: string}>} The response text (or an error string
+ *   starting with ERROR_PREFIX), the model that answered, which may be a fallback model, and the id of its provider.
+ */
+async function queryAI(captures, queryOptions = {}) {
+    const provider = getProvider();
+    logDebug(`Querying ${provider.label}...`);
+    const modelName = queryOptions.modelName || getModelName();
+    const providerId = provider.id;
+    if (!provider.isReady()) return { text: `${ERROR_PREFIX} Error: ${provider.label} is not configured. ${provider.setupHint}`, modelName, providerId };
+
+    try {
+        logDebug(`Preparing request data (${captures.length} capture(s), ${state.pipelineMode})...`);
+        const promptParts = [{ text: queryOptions.prompt || state.customPrompt }];
+        const imageUpload = { images: 0, bytes: 0, originalBytes: 0 };
+        for (const capture of captures) {
+            const suffix = captures.length > 1 ? ` (${capture.label})` : '';
+            if (!capture.imagePath) {
+                // Text-only input (e.g. text copied to the clipboard): there is no image and nothing was OCR'd
+                promptParts.push({ text: `\n--- Text${suffix} ---` }, { text: capture.ocrText });
+                continue;
+            }
+            if (pipelineSendsText()) {
+                const ocrText = formatOcrText(capture, queryOptions.ocrFormat || state.ocrTextFormat);
+                promptParts.push({ text: `\n--- OCR Text${suffix} ---` }, { text: ocrText || "(No text detected by OCR)" });
+            }
+            if (pipelineSendsImages()) {
+                // The blacked-out copy when redacting; scaled down and re-encoded either way (see Image Upload)
+                const image = await prepareUploadImage(capture.redactedImage || capture.imagePath);
+                const imagePart = { inlineData: { data: image.data.toString("base64"), mimeType: image.mimeType } };
+                promptParts.push({ text: `\n--- Image${suffix} ---` }, imagePart);
+                imageUpload.images++;
+                imageUpload.bytes += image.data.length;
+                imageUpload.originalBytes += image.originalBytes;
+            }
+        }
+        if (imageUpload.images > 0) state.lastImageUpload = imageUpload;
+
+        logDebug(`Sending ${queryOptions.stream ? 'streaming ' : ''}request to ${provider.label} model (${modelName})...`);
+        const contents = [{ role: "user", parts: promptParts }];
+        const { text: responseText, modelName: answeringModel, providerId: answeringProvider } = await generateWithRetry(modelName, contents, { stream: queryOptions.stream, signal: queryOptions.signal });
+        if (responseText.startsWith(ERROR_PREFIX)) return { text: responseText, modelName, providerId };
+
+        logDebug(`AI Response (first 100 chars): ${responseText.substring(0, 100)}...`);
+        // Seed a fresh follow-up conversation with this exchange (images included) for the 'ask' command
+        state.conversation = {
+            seed: [...contents, { role: "model", parts: [{ text: responseText }] }],
+            turns: [],
+            modelName: answeringModel, // Follow-ups stay on the model that answered
+        };
+        return { text: responseText, modelName: answeringModel, providerId: answeringProvider };
+
+    } catch (error) {
+        if (queryOptions.signal?.aborted) return { text: `${ERROR_PREFIX} ${error.message}`, modelName, providerId }; // Cancelled, not a failure
+        logError(`${provider.label} API call failed`, error);
+        // Check if the error is from the API (e.g., invalid model name)
+        if (error.message && (error.message.includes('not found') || error.message.includes('permission'))) {
+             logError(`Potential issue with model "${modelName}". Try selecting a different model.`, error);
+             return { text: `${ERROR_PREFIX} Error with model ${modelName}: ${error.message}`, modelName, providerId };
+        }
+        return { text: `${ERROR_PREFIX} Error communicating with ${provider.label}: ${error.message || "Unknown Error"}`, modelName, providerId };
+    }
+}
+
+/**
+ * Asks a follow-up question about the last capture. The conversation is replayed from the seed exchange plus the
+ * most recent MAX_FOLLOW_UP_TURNS turns, so the history stays bounded.
+ * @param {string} question The follow-up question.
+ * @returns {Promise<string>} The response text, or an error string starting with ERROR_PREFIX.
+ */
+async function askFollowUp(question) {
+    const provider = getProvider();
+    if (!provider.isReady()) return `${ERROR_PREFIX} Error: ${provider.label} is not configured. ${provider.setupHint}`;
+    if (!state.conversation) return `${ERROR_PREFIX} Error: No capture to follow up on. Take a capture first.`;
+    const limitProblem = await checkUsageLimits();
+    if (limitProblem) return `${ERROR_PREFIX} Error: ${limitProblem}`;
+
+    const userTurn = { role: "user", parts: [{ text: question }] };
+    const contents = [...state.conversation.seed, ...state.conversation.turns.flat(), userTurn];
+    logDebug(`Continuing conversation with ${contents.length - 1} history entries...`);
+    try {
+        const { text: responseText } = await generateWithRetry(state.conversation.modelName || getModelName(), contents, { stream: state.streamResponses });
+        if (responseText.startsWith(ERROR_PREFIX)) return responseText;
+
+        state.conversation.turns.push([userTurn, { role: "model", parts: [{ text: responseText }] }]);
+        if (state.conversation.turns.length > MAX_FOLLOW_UP_TURNS) {
+            state.conversation.turns.shift(); // Drop the oldest follow-up, keep the seeded capture
+        }
+        return responseText;
+    } catch (error) {
+        logError(`${provider.label} follow-up call failed`, error);
+        return `${ERROR_PREFIX} Error communicating with ${provider.label}: ${error.message || "Unknown Error"}`;
+    }
+}
+
+// Whether a file name has one of IMAGE_FILE_EXTENSIONS
+function isImageFile(name) {
+    return IMAGE_FILE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+/**
+ * Converts an image file to a PNG in the temp folder, like API uploads are, so OCR and redaction always get the same
+ * input whatever the source format.
+ * @param {string} sourcePath Any image format sharp reads.
+ * @param {string} prefix Part of the file name, e.g. 'batch'.
+ * @returns {Promise<string>} Path of the PNG; the caller deletes it.
+ */
+async function convertToTempPng(sourcePath, prefix) {
+    const imagePath = path.join(os.tmpdir(), `ai-helper-${prefix}-${crypto.randomBytes(6).toString('hex')}.png`);
+    await sharp(sourcePath).png().toFile(imagePath);
+    return imagePath;
+}
+
+/**
+ * Runs the analysis half of the pipeline on images that are already on disk: OCR (skipped for captures that already
+ * have ocrText), redaction, AI query, notification, and the history entry.
+ * @param {{imagePath: string, label?: string, ocrText?: string}[]} captures
+ * @param {object} [analyzeOptions]
+ * @param {object} [analyzeOptions.profile] Prompt profile to use (with its name).
+ * @param {string} [analyzeOptions.prompt] Prompt to use instead of the profile/custom prompt.
+ * @param {string} [analyzeOptions.modelName] Model to use instead of the profile/selected model.
+ * @param {string} [analyzeOptions.ocrFormat] How to send the OCR text (a key of OCR_TEXT_FORMATS) instead of the setting.
+ * @param {string} [analyzeOptions.triggerSource] Recorded in the history entry.
+ * @param {boolean} [analyzeOptions.quiet] Don't stream, print or notify the response (the caller presents it).
+ * @returns {Promise<{text: string, modelName: string, providerId: string}>} The response text, the model that answered
+ *   (a fallback model if the requested one failed) and the id of its provider. Throws if the AI query failed.
+ */
+async function analyzeCaptures(captures, { profile = null, prompt = null, modelName: modelOverride = null, ocrFormat: ocrFormatOverride = null, triggerSource = 'unknown', quiet = false, jobId = null, signal = undefined } = {}) {
+    // Check the usage limits again: they may have been reached while the job waited in the queue
+    const limitProblem = await checkUsageLimits();
+    if (limitProblem) throw Object.assign(new Error(limitProblem), { isUsageLimit: true });
+
+    // 2. Perform OCR (unless only the image is sent and nothing has to be blacked out in it)
+    const ocrFormat = ocrFormatOverride || state.ocrTextFormat;
+    for (const capture of captures) {
+        const needsText = typeof capture.ocrText !== 'string' && pipelineSendsText();
+        // Word boxes are also needed to send the layout, e.g. when resending a history entry (which only has the text)
+        const needsLayout = capture.imagePath && !capture.ocrLines && pipelineSendsText() && ocrFormat !== 'plain';
+        const needsWordBoxes = capture.imagePath && !capture.ocrLines && redactsImages();
+        if (!needsText && !needsLayout && !needsWordBoxes) {
+            if (capture.ocrText === undefined) capture.ocrText = null; // Skipped; recorded as such in the history
+            continue;
+        }
+        logDebug(`Starting OCR (${capture.label})...`);
+        const { text, lines } = await performOCR(capture.imagePath);
+        if (typeof capture.ocrText !== 'string') capture.ocrText = text;
+        capture.ocrLines = lines;
+        if (!lines) {
+            logError(`OCR step failed: ${text.replace(/^Error:? ?/, '')}`, null);
+            // Without word boxes nothing can be blacked out, so the image must not be sent
+            if (needsWordBoxes) throw new Error("OCR failed, so the image couldn't be redacted and wasn't sent.");
+        } else {
+            logDebug("OCR finished.");
+        }
+    }
+
+    // 3. Redact sensitive data
+    if (state.redactionEnabled) await redactCaptures(captures);
+
+    // 4. Query AI
+    const promptToUse = prompt || profile?.prompt || state.customPrompt;
+    const requestedModel = modelOverride || profile?.model || getModelName();
+    const stream = state.streamResponses && !quiet;
+    logDebug(`Starting ${getProvider().label} query...`);
+    const { text: aiResponse, modelName, providerId } = await queryAI(captures, { prompt: promptToUse, modelName: requestedModel, ocrFormat, stream, signal });
+     if (aiResponse.startsWith(ERROR_PREFIX)) { // Check for our error prefix
+         throw new Error(aiResponse.substring(ERROR_PREFIX.length + 1)); // Throw the specific AI error message
+     }
+    logDebug("AI query finished.");
+
+    // 5. Show Notification (long responses link to the full-response page)
+    // Tagged with the job number so results of queued captures can be matched to their triggers
+    const tag = jobId ? ` #${jobId}` : '';
+    const title = profile ? `AI Helper Result${tag} (${profile.name})` : `AI Helper Result${tag}`;
+    state.lastResponse = { text: aiResponse, timestamp: new Date().toISOString(), model: modelName, viewerPath: null };
+    if (!quiet) {
+        const truncated = aiResponse.length > NOTIFICATION_MAX_LENGTH;
+        if (truncated) {
+            state.lastResponse.viewerPath = await writeResponseViewer(aiResponse, { title, ...state.lastResponse });
+        }
+        const clickHint = '... (Click to view the full answer)';
+        logInfo("Displaying notification...");
+        state.notifier.notify({
+            title,
+            message: truncated && state.lastResponse.viewerPath
+                ? aiResponse.substring(0, NOTIFICATION_MAX_LENGTH - clickHint.length) + clickHint
+                : aiResponse.substring(0, NOTIFICATION_MAX_LENGTH), // Limit message length for notifications
+            icon: ICON_PATH,
+            sound: true,
+            wait: truncated, // Wait for a click only when there is a full answer to open
+            // timeout removed
+        });
+        if (!stream) {
+            logInfo(aiResponse); // Log the full response to console (already printed while streaming otherwise)
+        }
+    }
+    if (state.copyToClipboard) {
+        try {
+            await state.clipboard.writeText(aiResponse);
+            logInfo("Response copied to clipboard.");
+        } catch (error) {
+            logWarn(`Could not copy the response to the clipboard: ${error.message}`);
+        }
+    }
+
+    // 6. Record in history
+    if (state.historyEnabled) {
+        await saveHistoryEntry(captures, {
+            triggerSource, prompt: promptToUse, profile: profile?.name || null,
+            provider: providerId, model: modelName, response: aiResponse,
+        });
+    }
+    return { text: aiResponse, modelName, providerId };
+}
+
+module.exports = {
+    PIPELINE_MODES,
+    pipelineSendsText,
+    capturesNeedOcr,
+    IMAGE_UPLOAD_FORMATS,
+    formatImageUploadSettings,
+    formatLastImageUpload,
+    redactsImages,
+    MAX_FOLLOW_UP_TURNS,
+    queryAI,
+    askFollowUp,
+    IMAGE_FILE_EXTENSIONS,
+    isImageFile,
+    convertToTempPng,
+    analyzeCaptures,
+};
@@ -0,0 +1,114 @@
+// lib/profiles.js - Prompt profiles. They are kept in profiles.json in the user config directory, in the same
+// versioned format as config.json. A file that can't be read is never overwritten, so a typo in it doesn't cost the
+// saved profiles.
+
+const fs = require('fs').promises;
+const fss = require('fs'); // Synchronous fs for specific checks like existsSync
+const path = require('path');
+const { state } = require('./state');
+const { logDebug, logInfo, logWarn, logSuccess, logError } = require('./log');
+const { readSettingsFile, writeSettingsFile } = require('./settings-file');
+const { CONFIG_DIR } = require('./config-dir');
+
+const PROFILES_PATH = path.join(CONFIG_DIR, 'profiles.json');
+const LEGACY_PROFILES_PATH = path.join(__dirname, '..', 'profiles.json'); // Where older versions kept profiles, migrated on first start
+let profilesReadOnly = false; // Set when profiles.json can't be read safely, so saving doesn't overwrite it
+
+/**
+ * Loads the profiles into state, moving them from the old profiles.json next to main.js on first start.
+ * @param {string} [legacyPath] The old profiles file.
+ */
+async function loadProfiles(legacyPath = LEGACY_PROFILES_PATH) {
+    logDebug(`Loading profiles from ${PROFILES_PATH}`);
+    try {
+        const profilesFile = await readSettingsFile(PROFILES_PATH);
+        profilesReadOnly = profilesFile.readOnly;
+        let data = profilesFile.settings;
+        let migrated = false;
+        if (!data && !profilesReadOnly && fss.existsSync(legacyPath)) {
+            try {
+                data = JSON.parse(await fs.readFile(legacyPath, 'utf8'));
+            } catch (error) {
+                logError(`${legacyPath} is not valid JSON (${error.message}). Fix or delete it; profiles won't be saved until then.`);
+                profilesReadOnly = true;
+                return;
+            }
+            migrated = true;
+        }
+        if (!data) return;
+
+        const profiles = {};
+        for (const [name, profile] of Object.entries(data.profiles || {})) {
+            if (!profile || typeof profile.prompt !== 'string' || !profile.prompt) {
+                logWarn(`Profile "${name}" has no prompt in profiles.json. Skipping.`);
+                continue;
+            }
+            profiles[name] = {
+                prompt: profile.prompt,
+                model: typeof profile.model === 'string' && profile.model ? profile.model : null,
+                triggerKey: profile.triggerKey && typeof profile.triggerKey.name === 'string' ? {
+                    name: profile.triggerKey.name,
+                    ctrl: !!profile.triggerKey.ctrl,
+                    shift: !!profile.triggerKey.shift,
+                    alt: !!profile.triggerKey.alt,
+                    meta: !!profile.triggerKey.meta,
+                } : null,
+            };
+        }
+        state.profiles = profiles;
+
+        if (data.activeProfile && profiles[data.activeProfile]) {
+            state.activeProfile = data.activeProfile;
+        } else if (data.activeProfile) {
+            logWarn(`Active profile "${data.activeProfile}" not found. Using the custom prompt.`);
+        }
+        logInfo(`Loaded ${Object.keys(profiles).length} prompt profile(s).`);
+
+        if (migrated && await saveProfiles()) {
+            await fs.rename(legacyPath, `${legacyPath}.migrated`);
+            logSuccess(`Moved profiles to ${PROFILES_PATH}. The old file was renamed to profiles.json.migrated.`);
+        }
+    } catch (error) {
+        logError(`Failed to load profiles from ${PROFILES_PATH}`, error);
+        logWarn("Continuing without profiles. Changes to profiles won't be saved.");
+        profilesReadOnly = true;
+    }
+}
+
+/**
+ * Saves the profiles and the active profile to profiles.json.
+ * @returns {Promise<boolean>} False if they weren't saved.
+ */
+async function saveProfiles() {
+    if (profilesReadOnly) {
+        logWarn(`Profiles not saved: ${PROFILES_PATH} couldn't be read, and saving would overwrite the profiles in it.`);
+        return false;
+    }
+    logDebug(`Saving profiles to ${PROFILES_PATH}`);
+    try {
+        await writeSettingsFile(PROFILES_PATH, { activeProfile: state.activeProfile, profiles: state.profiles });
+        logSuccess("Profiles saved.");
+        return true;
+    } catch (error) {
+        logError("Failed to save profiles", error);
+        return false;
+    }
+}
+
+// Returns a copy of the named profile (with its name), or null if there is no such profile
+function getProfile(name) {
+    if (!name || !state.profiles[name]) return null;
+    return { name, ...state.profiles[name] };
+}
+
+// Returns the active profile, or null when the plain custom prompt is in use
+function getActiveProfile() {
+    return getProfile(state.activeProfile);
+}
+
+module.exports = {
+    loadProfiles,
+    saveProfiles,
+    getProfile,
+    getActiveProfile,
+};
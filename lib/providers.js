@@ -0,0 +1,697 @@
+// lib/providers.js - The AI providers (Gemini, OpenAI-compatible servers, Ollama), their model lists and generation
+// settings, and generateWithRetry(), which every AI request goes through.
+
+const https = require('https'); // Built-in HTTPS module for API calls
+const http = require('http'); // Plain HTTP for local AI servers (e.g. Ollama)
+const { HarmCategory, HarmBlockThreshold } = require('@google/generative-ai');
+const chalk = require('chalk'); // Use chalk@4 for CommonJS
+const { state } = require('./state');
+const { logDebug, logInfo, logWarn, logSuccess, logError, ERROR_PREFIX } = require('./log');
+const { sendHttpRequest, describeHttpError, createHttpStatusError } = require('./http');
+const { recordUsage, estimateInputTokens } = require('./usage');
+
+const RETRY_BASE_DELAY_MS = 1000; // First retry delay; doubles with each attempt
+const RETRY_MAX_DELAY_MS = 60 * 1000; // Longer server-requested delays (e.g. exhausted quota) go to the fallback models instead
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+const MODEL_ERROR_STATUS_CODES = [404, 429]; // Model not found, rate limit or quota exhausted: a fallback model may work
+const MODEL_ERROR_CODES = ['model_not_found', 'insufficient_quota']; // Error codes in OpenAI-compatible error bodies
+const MODEL_INFO_TIMEOUT_MS = 5000; // Model details fetched before a request must not hold it up for long
+
+// --- Model Fetching ---
+
+/**
+ * Fetches available models from the Google AI API.
+ * @returns {Promise<string[]>} A promise that resolves to a sorted array of model names (e.g., "gemini-1.5-pro-latest") or an empty array on failure.
+ */
+async function fetchAvailableModels() {
+    if (!state.apiKey) {
+        logWarn("Cannot fetch models: API Key not set.");
+        return [];
+    }
+    logInfo("Fetching available AI models from Google API...");
+    const url = `${state.geminiBaseUrl}/v1beta/models`;
+
+    return new Promise((resolve) => {
+        // The key goes in a header rather than the query string, so it can't end up in logged URLs
+        (url.startsWith('https:') ? https : http).get(url, { headers: { 'x-goog-api-key': state.apiKey } }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => { data += chunk; });
+            res.on('end', () => {
+                if (res.statusCode === 200) {
+                    try {
+                        const parsedData = JSON.parse(data);
+                        if (parsedData.models && Array.isArray(parsedData.models)) {
+                            for (const model of parsedData.models) { // Used by the pre-send size check
+                                if (model.inputTokenLimit) state.modelInputTokenLimits[model.name.replace(/^models\//, '')] = model.inputTokenLimit;
+                            }
+                            const modelNames = parsedData.models
+                                .map(model => model.name.startsWith('models/') ? model.name.substring(7) : model.name) // Strip "models/" prefix
+                                .filter(name => name) // Ensure name is not empty
+                                .sort((a, b) => {
+                                    // Attempt numeric sort first based on version numbers if present
+                                    const versionA = a.match(/(\d+\.?\d*)/);
+                                    const versionB = b.match(/(\d+\.?\d*)/);
+                                    if (versionA && versionB) {
+                                        const numA = parseFloat(versionA[0]);
+                                        const numB = parseFloat(versionB[0]);
+                                        if (numA !== numB) return numB - numA; // Higher version first (e.g., 1.5 before 1.0)
+                                    }
+                                    // Fallback to alphabetical sort
+                                    return a.localeCompare(b);
+                                });
+                            logSuccess(`Successfully fetched and sorted ${modelNames.length} models.`);
+                            logDebug(`Fetched models: ${modelNames.join(', ')}`);
+                            resolve(modelNames);
+                        } else {
+                            logError("Failed to fetch models: Invalid response format.", data);
+                            resolve([]);
+                        }
+                    } catch (parseError) {
+                        logError("Failed to parse models response from API", parseError);
+                        resolve([]);
+                    }
+                } else {
+                    logError(`Failed to fetch models: API returned status code ${res.statusCode}`, data);
+                     try { // Try to parse error message from Google API
+                         const errorData = JSON.parse(data);
+                         if (errorData.error && errorData.error.message) {
+                             logError(`API Error Message: ${errorData.error.message}`);
+                         }
+                     } catch (_) { /* Ignore parsing error if response isn't JSON */ }
+                    resolve([]);
+                }
+            });
+        }).on('error', (err) => {
+            logError("Failed to fetch models: Network error", err);
+            resolve([]);
+        });
+    });
+}
+
+// Input token limit of a Gemini model, or null if it can't be fetched
+async function fetchGeminiInputTokenLimit(modelName) {
+    try {
+        const res = await sendHttpRequest(`${state.geminiBaseUrl}/v1beta/models/${encodeURIComponent(modelName)}`, {
+            headers: { 'x-goog-api-key': state.apiKey }, signal: AbortSignal.timeout(MODEL_INFO_TIMEOUT_MS),
+        });
+        if (res.statusCode !== 200) throw createHttpStatusError(res);
+        return JSON.parse(res.body).inputTokenLimit || null;
+    } catch (error) {
+        logDebug(`Could not fetch the input token limit of "${modelName}": ${error.message}`);
+        return null;
+    }
+}
+
+function initializeGeminiModel() {
+    if (!state.googleAI) {
+        logWarn("Cannot initialize Gemini model: API client not ready (API key likely missing).");
+        state.model = null;
+        return false;
+    }
+    if (!state.aiModel) {
+        logError("Cannot initialize Gemini model: No AI model selected.");
+        state.model = null;
+        return false;
+    }
+
+    // Ensure the selected model name includes the "models/" prefix if needed by the API client library
+    // Based on @google/generative-ai docs, it seems the short name is sufficient for getGenerativeModel
+    const modelNameToUse = state.aiModel; // Use the potentially stripped name
+
+    logDebug(`Setting Gemini model instance to: ${modelNameToUse}`);
+    try {
+        // Check if the selected model is actually in the fetched list (if available)
+        if (state.fetchedModels.length > 0 && !state.fetchedModels.includes(state.aiModel)) {
+             logError(`Selected model "${state.aiModel}" is not in the list of fetched available models. Cannot initialize.`);
+             logWarn(`Available models: ${state.fetchedModels.join(', ')}`);
+             state.model = null;
+             return false;
+        }
+
+        state.model = state.googleAI.getGenerativeModel({ model: modelNameToUse }, { baseUrl: state.geminiBaseUrl });
+        // Highlight model name on success
+        logInfo(`Gemini model instance set to: ${chalk.blueBright(state.aiModel)}.`);
+        return true;
+    } catch (error) {
+        logError(`Failed to get generative model instance for ${modelNameToUse}`, error);
+        logWarn(`Attempted to use model: ${modelNameToUse}. Check if this model name is valid and compatible.`);
+        state.model = null;
+        return false;
+    }
+}
+
+// --- Generation Settings ---
+// Sampling parameters apply to every provider; safety thresholds are Gemini-only. Both are changed with 'set-gen' and
+// 'set-safety' and saved with the other settings.
+
+// Allowed generation parameters with their environment variable and valid range
+const GENERATION_PARAMETERS = {
+    temperature: { envKey: 'GEN_TEMPERATURE', min: 0, max: 2, integer: false },
+    topK: { envKey: 'GEN_TOP_K', min: 1, max: 1000, integer: true },
+    topP: { envKey: 'GEN_TOP_P', min: 0, max: 1, integer: false },
+    maxOutputTokens: { envKey: 'GEN_MAX_OUTPUT_TOKENS', min: 1, max: 1000000, integer: true },
+};
+
+// Short names used by 'set-safety', config.json and environment variables (SAFETY_<NAME>)
+const SAFETY_CATEGORIES = {
+    harassment: HarmCategory.HARM_CATEGORY_HARASSMENT,
+    hate_speech: HarmCategory.HARM_CATEGORY_HATE_SPEECH,
+    sexually_explicit: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT,
+    dangerous_content: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT,
+};
+
+const SAFETY_THRESHOLDS = {
+    none: HarmBlockThreshold.BLOCK_NONE,
+    high: HarmBlockThreshold.BLOCK_ONLY_HIGH, // Block only high-probability harmful content
+    medium: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE,
+    low: HarmBlockThreshold.BLOCK_LOW_AND_ABOVE,
+};
+
+/**
+ * Parses a generation parameter value.
+ * @param {string} name Key of GENERATION_PARAMETERS.
+ * @param {string} value Value as typed.
+ * @returns {number|null} The value, or null if it isn't a number in the allowed range.
+ */
+function parseGenerationValue(name, value) {
+    const { min, max, integer } = GENERATION_PARAMETERS[name];
+    const parsed = Number(value);
+    if (String(value).trim() === '' || isNaN(parsed) || parsed < min || parsed > max || (integer && !Number.isInteger(parsed))) {
+        return null;
+    }
+    return parsed;
+}
+
+// Gemini generationConfig for the current settings
+function getGenerationConfig() {
+    return { ...state.generationConfig, ...(state.jsonResponse ? { responseMimeType: 'application/json' } : {}) };
+}
+
+// Gemini safetySettings for the current settings
+function getSafetySettings() {
+    return Object.entries(SAFETY_CATEGORIES).map(([name, category]) => ({ category, threshold: SAFETY_THRESHOLDS[state.safetyThresholds[name]] }));
+}
+
+// Formats the generation settings for display, e.g. "temperature 0.4, topK 32, topP 1, maxOutputTokens 4096"
+function formatGenerationConfig() {
+    return Object.entries(state.generationConfig).map(([name, value]) => `${name} ${value}`).join(', ');
+}
+
+// Formats the safety thresholds for display, e.g. "harassment medium, hate_speech medium, ..."
+function formatSafetyThresholds() {
+    return Object.entries(state.safetyThresholds).map(([name, threshold]) => `${name} ${threshold}`).join(', ');
+}
+
+/**
+ * Pulls the text out of a Gemini response, logging why when there is none.
+ * @param {object} response The `response` of a generateContent/sendMessage result.
+ * @returns {string} The response text, or an error string starting with ERROR_PREFIX.
+ */
+function extractResponseText(response) {
+    const candidates = response?.candidates;
+
+    if (!response || !candidates || candidates.length === 0 || !candidates[0].content || !candidates[0].content.parts || candidates[0].content.parts.length === 0) {
+        const blockReason = response?.promptFeedback?.blockReason;
+        const safetyRatings = response?.promptFeedback?.safetyRatings;
+        const finishReason = candidates?.[0]?.finishReason;
+        const errorMsg = `Gemini response blocked, empty, or incomplete. Reason: ${blockReason || finishReason || 'Unknown'}.`;
+        logError(errorMsg, `Ratings: ${JSON.stringify(safetyRatings)} Response: ${JSON.stringify(response, null, 2)}`);
+        return `${ERROR_PREFIX} Error: ${errorMsg}`;
+    }
+
+    const responseText = candidates[0].content.parts.map(part => part.text).filter(text => typeof text === 'string').join('');
+    if (!responseText) {
+        logError("Gemini response received but processed text content is missing or empty.");
+        return `${ERROR_PREFIX} Error: Gemini response missing text content.`;
+    }
+    return responseText;
+}
+
+// Streamed text goes through here so generateWithRetry can tell whether a failed attempt already printed something
+function writeStreamChunk(text) {
+    process.stdout.write(text);
+    state.streamedCharacters += text.length;
+}
+
+/**
+ * Writes the text of a Gemini streaming result to the console as chunks arrive.
+ * Chunk text is read from the candidate parts directly rather than via chunk.text(), which throws on blocked chunks;
+ * blocked or incomplete responses are reported afterwards from the aggregated response.
+ * @param {object} streamResult The result of generateContentStream/sendMessageStream.
+ * @returns {Promise<object>} The aggregated response, same shape as a non-streaming `result.response`.
+ */
+async function streamToConsole(streamResult) {
+    let wroteText = false;
+    for await (const chunk of streamResult.stream) {
+        const chunkText = (chunk.candidates?.[0]?.content?.parts || [])
+            .map(part => part.text).filter(text => typeof text === 'string').join('');
+        if (chunkText) {
+            writeStreamChunk(chunkText);
+            wroteText = true;
+        }
+    }
+    if (wroteText) process.stdout.write('\n');
+    return streamResult.response;
+}
+
+// --- AI Providers ---
+// Every provider receives Gemini-style contents ({ role: 'user' | 'model', parts: [{ text } | { inlineData }] })
+// and returns the response text, or an error string starting with ERROR_PREFIX when the response was blocked or empty.
+// Transport and API errors are thrown and reported by the caller. Token counts the API reports are passed to the
+// optional `onUsage` callback (see lib/usage.js).
+
+/**
+ * Generates a response with Gemini. Earlier turns (follow-ups) are sent through a chat session.
+ * @param {string} modelName Gemini model name.
+ * @param {object[]} contents Conversation so far; the last entry is the new user message.
+ * @param {{stream?: boolean, signal?: AbortSignal, onUsage?: function({promptTokens: number, outputTokens: number})}} [options]
+ * @returns {Promise<string>}
+ */
+async function generateWithGemini(modelName, contents, { stream = false, signal = undefined, onUsage = null } = {}) {
+    const model = modelName === state.aiModel && state.model
+        ? state.model
+        : state.googleAI.getGenerativeModel({ model: modelName }, { baseUrl: state.geminiBaseUrl });
+    const requestOptions = { signal };
+    const settings = {
+        generationConfig: getGenerationConfig(),
+        safetySettings: getSafetySettings(),
+        ...(state.systemInstruction ? { systemInstruction: { role: 'system', parts: [{ text: state.systemInstruction }] } } : {}),
+    };
+    let response;
+    if (contents.length > 1) {
+        const chat = model.startChat({ history: contents.slice(0, -1), ...settings });
+        const message = contents[contents.length - 1].parts;
+        response = stream
+            ? await streamToConsole(await chat.sendMessageStream(message, requestOptions))
+            : (await chat.sendMessage(message, requestOptions))?.response;
+    } else {
+        const request = { contents, ...settings };
+        response = stream
+            ? await streamToConsole(await model.generateContentStream(request, requestOptions))
+            : (await model.generateContent(request, requestOptions))?.response;
+    }
+    const usage = response?.usageMetadata;
+    if (usage && onUsage) onUsage({ promptTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 });
+    return extractResponseText(response);
+}
+
+/**
+ * Generates a response with an OpenAI-compatible chat completions endpoint (OpenAI, LM Studio, llama.cpp, vLLM, ...).
+ * @param {string} modelName Model id as reported by the server's /models endpoint.
+ * @param {object[]} contents Conversation so far; the last entry is the new user message.
+ * @param {{stream?: boolean, signal?: AbortSignal, onUsage?: function({promptTokens: number, outputTokens: number})}} [options]
+ * @returns {Promise<string>}
+ */
+async function generateWithOpenAI(modelName, contents, { stream = false, signal = undefined, onUsage = null } = {}) {
+    const messages = contents.map(content => content.role === 'model'
+        ? { role: 'assistant', content: content.parts.map(part => part.text || '').join('') }
+        : {
+            role: 'user',
+            content: content.parts.map(part => part.inlineData
+                ? { type: 'image_url', image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` } }
+                : { type: 'text', text: part.text }),
+        });
+    if (state.systemInstruction) messages.unshift({ role: 'system', content: state.systemInstruction });
+    const { temperature, topP, maxOutputTokens } = state.generationConfig;
+    const body = {
+        model: modelName, messages, stream, temperature, top_p: topP, max_tokens: maxOutputTokens,
+        ...(stream ? { stream_options: { include_usage: true } } : {}), // Token counts arrive in a final chunk
+        ...(state.jsonResponse ? { response_format: { type: 'json_object' } } : {}),
+    };
+    const headers = { 'Content-Type': 'application/json' };
+    if (state.openaiApiKey) headers.Authorization = `Bearer ${state.openaiApiKey}`;
+
+    let responseText = '';
+    let finishReason = null;
+    let usage = null;
+    // Streaming responses are server-sent events: "data: {chunk}" lines, terminated by "data: [DONE]"
+    const onLine = stream ? (line) => {
+        const data = line.startsWith('data:') ? line.substring(5).trim() : null;
+        if (!data || data === '[DONE]') return;
+        const chunk = JSON.parse(data);
+        usage = chunk.usage || usage;
+        const choice = chunk.choices?.[0];
+        const delta = choice?.delta?.content;
+        if (delta) {
+            writeStreamChunk(delta);
+            responseText += delta;
+        }
+        finishReason = choice?.finish_reason || finishReason;
+    } : null;
+
+    const res = await sendHttpRequest(`${state.openaiBaseUrl}/chat/completions`, { method: 'POST', headers, body: JSON.stringify(body), onLine, signal });
+    if (res.statusCode !== 200) {
+        throw createHttpStatusError(res);
+    }
+    if (stream) {
+        if (responseText) process.stdout.write('\n');
+    } else {
+        const parsed = JSON.parse(res.body);
+        const choice = parsed.choices?.[0];
+        responseText = typeof choice?.message?.content === 'string' ? choice.message.content : '';
+        finishReason = choice?.finish_reason;
+        usage = parsed.usage;
+    }
+    if (usage && onUsage) onUsage({ promptTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 });
+
+    if (!responseText || finishReason === 'content_filter') {
+        const errorMsg = `Response blocked, empty, or incomplete. Reason: ${finishReason || 'Unknown'}.`;
+        logError(errorMsg, `Response: ${stream ? responseText : res.body}`);
+        return `${ERROR_PREFIX} Error: ${errorMsg}`;
+    }
+    return responseText;
+}
+
+/**
+ * Generates a response with a local Ollama server. Needs a vision model (e.g. llava, llama3.2-vision) to use the image.
+ * @param {string} modelName Ollama model tag.
+ * @param {object[]} contents Conversation so far; the last entry is the new user message.
+ * @param {{stream?: boolean, signal?: AbortSignal, onUsage?: function({promptTokens: number, outputTokens: number})}} [options]
+ * @returns {Promise<string>}
+ */
+async function generateWithOllama(modelName, contents, { stream = false, signal = undefined, onUsage = null } = {}) {
+    const messages = contents.map(content => {
+        const images = content.parts.filter(part => part.inlineData).map(part => part.inlineData.data);
+        return {
+            role: content.role === 'model' ? 'assistant' : 'user',
+            content: content.parts.filter(part => typeof part.text === 'string').map(part => part.text).join('\n'),
+            ...(images.length > 0 ? { images } : {}),
+        };
+    });
+    if (state.systemInstruction) messages.unshift({ role: 'system', content: state.systemInstruction });
+    const { temperature, topK, topP, maxOutputTokens } = state.generationConfig;
+    const body = {
+        model: modelName, messages, stream,
+        options: { temperature, top_k: topK, top_p: topP, num_predict: maxOutputTokens },
+        ...(state.jsonResponse ? { format: 'json' } : {}),
+    };
+
+    let responseText = '';
+    let doneReason = null;
+    let finalChunk = null; // Carries the token counts
+    // Streaming responses are newline-delimited JSON objects, the last one has "done": true
+    const onLine = stream ? (line) => {
+        const chunk = JSON.parse(line);
+        if (chunk.message?.content) {
+            writeStreamChunk(chunk.message.content);
+            responseText += chunk.message.content;
+        }
+        if (chunk.done) {
+            doneReason = chunk.done_reason || 'stop';
+            finalChunk = chunk;
+        }
+    } : null;
+
+    const res = await sendHttpRequest(`${state.ollamaBaseUrl}/api/chat`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body), onLine, signal,
+    });
+    if (res.statusCode !== 200) {
+        throw createHttpStatusError(res);
+    }
+    if (stream) {
+        if (responseText) process.stdout.write('\n');
+    } else {
+        finalChunk = JSON.parse(res.body);
+        responseText = finalChunk.message?.content || '';
+        doneReason = finalChunk.done_reason;
+    }
+    if (finalChunk && onUsage) onUsage({ promptTokens: finalChunk.prompt_eval_count || 0, outputTokens: finalChunk.eval_count || 0 });
+
+    if (!responseText) {
+        const errorMsg = `Response empty or incomplete. Reason: ${doneReason || 'Unknown'}.`;
+        logError(errorMsg, `Response: ${stream ? responseText : res.body}`);
+        return `${ERROR_PREFIX} Error: ${errorMsg}`;
+    }
+    return responseText;
+}
+
+/**
+ * Fetches the model ids served by the OpenAI-compatible endpoint.
+ * @returns {Promise<string[]>} Sorted model ids, or an empty array on failure.
+ */
+async function fetchOpenAIModels() {
+    logInfo(`Fetching available AI models from ${state.openaiBaseUrl}...`);
+    const headers = state.openaiApiKey ? { Authorization: `Bearer ${state.openaiApiKey}` } : {};
+    try {
+        const res = await sendHttpRequest(`${state.openaiBaseUrl}/models`, { headers });
+        if (res.statusCode !== 200) {
+            logError(`Failed to fetch models: API returned status code ${res.statusCode}`, describeHttpError(res.body));
+            return [];
+        }
+        const modelNames = (JSON.parse(res.body).data || []).map(model => model.id).filter(id => id).sort();
+        logSuccess(`Successfully fetched ${modelNames.length} models.`);
+        return modelNames;
+    } catch (error) {
+        logError("Failed to fetch models", error);
+        return [];
+    }
+}
+
+/**
+ * Fetches the models installed on the Ollama server.
+ * @returns {Promise<string[]>} Sorted model tags, or an empty array on failure.
+ */
+async function fetchOllamaModels() {
+    logInfo(`Fetching installed models from Ollama at ${state.ollamaBaseUrl}...`);
+    try {
+        const res = await sendHttpRequest(`${state.ollamaBaseUrl}/api/tags`);
+        if (res.statusCode !== 200) {
+            logError(`Failed to fetch models: Ollama returned status code ${res.statusCode}`, describeHttpError(res.body));
+            return [];
+        }
+        const modelNames = (JSON.parse(res.body).models || []).map(model => model.name).filter(name => name).sort();
+        logSuccess(`Successfully fetched ${modelNames.length} models.`);
+        return modelNames;
+    } catch (error) {
+        logError("Failed to fetch models (is Ollama running?)", error);
+        return [];
+    }
+}
+
+const AI_PROVIDERS = {
+    gemini: {
+        id: 'gemini',
+        label: 'Google Gemini',
+        modelKey: 'aiModel', // State key holding this provider's selected model
+        isReady: () => !!(state.apiKey && state.googleAI && state.model),
+        setupHint: "Use 'set-apikey' and 'set-model' commands first.",
+        listModels: fetchAvailableModels,
+        activateModel: initializeGeminiModel,
+        generate: generateWithGemini,
+    },
+    openai: {
+        id: 'openai',
+        label: 'OpenAI-compatible',
+        modelKey: 'openaiModel',
+        isReady: () => !!(state.openaiBaseUrl && state.openaiModel),
+        setupHint: "Use 'set-provider openai <base_url>', 'set-openai-key' (if the server needs one) and 'set-model' first.",
+        listModels: fetchOpenAIModels,
+        activateModel: () => true,
+        generate: generateWithOpenAI,
+    },
+    ollama: {
+        id: 'ollama',
+        label: 'Ollama',
+        modelKey: 'ollamaModel',
+        isReady: () => !!(state.ollamaBaseUrl && state.ollamaModel),
+        setupHint: "Make sure Ollama is running and use 'set-model' to pick a vision model.",
+        listModels: fetchOllamaModels,
+        activateModel: () => true,
+        generate: generateWithOllama,
+    },
+};
+
+// Returns the active provider definition
+function getProvider() {
+    return state.aiProvider || AI_PROVIDERS[state.provider];
+}
+
+// Returns / sets the selected model of the active provider
+function getModelName() {
+    return state[getProvider().modelKey];
+}
+
+function setModelName(modelName) {
+    state[getProvider().modelKey] = modelName;
+}
+
+// --- Input Size ---
+// Requests are checked against the model's input token limit before they are sent, using the estimate from
+// lib/usage.js.
+
+/**
+ * Input token limit of a model: the inputTokenLimit setting, or for Gemini the limit the API lists for the model.
+ * @returns {Promise<number|null>} null when it's unknown.
+ */
+async function getInputTokenLimit(modelName) {
+    if (state.inputTokenLimit) return state.inputTokenLimit;
+    if (state.aiProvider || state.provider !== 'gemini' || !state.apiKey) return null;
+    if (!(modelName in state.modelInputTokenLimits)) {
+        state.modelInputTokenLimits[modelName] = await fetchGeminiInputTokenLimit(modelName);
+    }
+    return state.modelInputTokenLimits[modelName];
+}
+
+// Warns before sending a request that the model will probably reject as too large
+async function warnIfInputTooLarge(modelName, contents) {
+    const limit = await getInputTokenLimit(modelName);
+    if (!limit) return;
+    const estimate = await estimateInputTokens(contents);
+    logDebug(`Estimated request size: ${estimate} of ${limit} input tokens.`);
+    if (estimate > limit) {
+        logWarn(`This request is about ${estimate.toLocaleString('en-US')} tokens, more than the ${limit.toLocaleString('en-US')} input tokens "${modelName}" accepts, so it will probably be rejected. `
+            + "Capture a region, use 'pipeline image-only' or 'pipeline text-only', or choose a model with a larger input limit.");
+    }
+}
+
+// --- Request Retries ---
+// Every AI request goes through generateWithRetry: each attempt has a timeout, transient failures (timeouts, network
+// errors, 429 and 5xx responses) are retried with exponential backoff, and model errors (not found, exhausted quota)
+// move on to the configured fallback models.
+
+// Helper to parse a comma-separated model list ("none" or empty for no models)
+function parseModelList(value) {
+    if (String(value).trim().toLowerCase() === 'none') return [];
+    return String(value).split(',').map(name => name.trim()).filter(name => name);
+}
+
+// Delay (in ms) the server asked for in a Gemini error: a google.rpc.RetryInfo detail like { retryDelay: "37s" }
+function getGeminiRetryDelay(errorDetails) {
+    if (!Array.isArray(errorDetails)) return null;
+    const retryInfo = errorDetails.find(detail => String(detail?.['@type']).endsWith('google.rpc.RetryInfo'));
+    const seconds = parseFloat(retryInfo?.retryDelay);
+    return isNaN(seconds) ? null : seconds * 1000;
+}
+
+// Whether a Gemini error says a quota was exceeded (a google.rpc.QuotaFailure detail)
+function isGeminiQuotaFailure(errorDetails) {
+    return Array.isArray(errorDetails) && errorDetails.some(detail => String(detail?.['@type']).endsWith('google.rpc.QuotaFailure'));
+}
+
+/**
+ * Decides how to handle a failed AI request.
+ * @param {Error} error Error thrown by a provider's generate function.
+ * @returns {{retryable: boolean, useFallback: boolean, retryAfterMs: number|null}} Whether to retry the same model,
+ *   whether the next fallback model may help, and the delay the server asked for (if any).
+ */
+function classifyAIError(error) {
+    const status = error.status;
+    const message = error.message || '';
+    const retryAfterMs = error.retryAfterMs ?? getGeminiRetryDelay(error.errorDetails);
+    const isNetworkError = RETRYABLE_NETWORK_ERRORS.includes(error.code) || /fetch failed|socket hang up/i.test(message);
+    const isModelError = MODEL_ERROR_STATUS_CODES.includes(status) || MODEL_ERROR_CODES.includes(error.errorCode) || isGeminiQuotaFailure(error.errorDetails);
+    const tooLongToWait = retryAfterMs !== null && retryAfterMs > RETRY_MAX_DELAY_MS;
+    const outOfQuota = error.errorCode === 'insufficient_quota'; // Billing, not a rate limit: waiting doesn't help
+    return {
+        retryable: !tooLongToWait && !outOfQuota && (error.isTimeout || isNetworkError || RETRYABLE_STATUS_CODES.includes(status)),
+        useFallback: isModelError,
+        retryAfterMs,
+    };
+}
+
+// Resolves after ms milliseconds, or rejects early when the signal is aborted
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Runs a single provider request with the configured timeout.
+ * @returns {Promise<string>}
+ * @throws {Error} The provider's error, or one with `isTimeout` set when the attempt timed out.
+ */
+async function generateWithTimeout(provider, modelName, contents, { stream, signal, onUsage }) {
+    if (signal?.aborted) throw signal.reason; // Aborted before the request started (e.g. during OCR)
+    const controller = new AbortController();
+    const abortFromCaller = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', abortFromCaller, { once: true });
+    let timedOut = false;
+    const timer = state.requestTimeoutSeconds > 0
+        ? setTimeout(() => { timedOut = true; controller.abort(); }, state.requestTimeoutSeconds * 1000)
+        : null;
+    try {
+        return await provider.generate(modelName, contents, { stream, signal: controller.signal, onUsage });
+    } catch (error) {
+        if (timedOut) {
+            throw Object.assign(new Error(`Request timed out after ${state.requestTimeoutSeconds}s.`), { isTimeout: true });
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', abortFromCaller);
+    }
+}
+
+/**
+ * Generates a response with the active provider, retrying transient failures and falling back to
+ * state.fallbackModels when the model itself fails. Warns first if the request looks too large for the model, and
+ * records the token usage of the attempt that got a response.
+ * @param {string} modelName Model to try first.
+ * @param {object[]} contents Gemini-style conversation, see AI Providers.
+ * @param {{stream?: boolean, signal?: AbortSignal}} [options] `signal` cancels the request, including any retry wait.
+ * @returns {Promise<{text: string, modelName: string, providerId: string}>} The response text (or ERROR_PREFIX string
+ *   from the provider), the model that produced it and the id of its provider.
+ * @throws {Error} The last error once retries and fallback models are exhausted, or the abort reason when cancelled.
+ */
+async function generateWithRetry(modelName, contents, { stream = false, signal = undefined } = {}) {
+    const provider = getProvider();
+    const modelNames = [modelName, ...state.fallbackModels.filter(name => name !== modelName)];
+    await warnIfInputTooLarge(modelName, contents);
+
+    for (const [modelIndex, currentModel] of modelNames.entries()) {
+        for (let attempt = 0; ; attempt++) {
+            if (stream) state.streamedCharacters = 0; // Not reset by unstreamed requests running alongside (watch)
+            try {
+                let usage = null;
+                const onUsage = (reportedUsage) => { usage = reportedUsage; };
+                const text = await generateWithTimeout(provider, currentModel, contents, { stream, signal, onUsage });
+                await recordUsage(provider.id, currentModel, contents, text, usage);
+                return { text, modelName: currentModel, providerId: provider.id };
+            } catch (error) {
+                if (signal?.aborted) throw signal.reason;
+                const { retryable, useFallback, retryAfterMs } = classifyAIError(error);
+                // A streamed attempt that already printed part of the answer is not repeated
+                if (retryable && attempt < state.maxRetries && (!stream || state.streamedCharacters === 0)) {
+                    const backoffMs = RETRY_BASE_DELAY_MS * 2 ** attempt * (0.75 + Math.random() * 0.5); // With jitter
+                    const delayMs = Math.min(retryAfterMs ?? backoffMs, RETRY_MAX_DELAY_MS);
+                    logWarn(`${provider.label} request failed (${error.message}). Retrying in ${(delayMs / 1000).toFixed(1)}s (retry ${attempt + 1}/${state.maxRetries})...`);
+                    await sleep(delayMs, signal);
+                    continue;
+                }
+                if (useFallback && modelIndex < modelNames.length - 1) {
+                    logWarn(`Model "${currentModel}" failed (${error.message}). Trying fallback model "${modelNames[modelIndex + 1]}"...`);
+                    break;
+                }
+                throw error;
+            }
+        }
+    }
+}
+
+module.exports = {
+    fetchAvailableModels,
+    initializeGeminiModel,
+    GENERATION_PARAMETERS,
+    SAFETY_CATEGORIES,
+    SAFETY_THRESHOLDS,
+    parseGenerationValue,
+    formatGenerationConfig,
+    formatSafetyThresholds,
+    AI_PROVIDERS,
+    getProvider,
+    getModelName,
+    setModelName,
+    parseModelList,
+    classifyAIError,
+    generateWithRetry,
+};
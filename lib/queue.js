@@ -0,0 +1,153 @@
+// lib/queue.js - The capture queue. Triggers snapshot their input (screenshot, clipboard, upload) right away and queue
+// it; jobs are then analyzed one at a time, so a hotkey press during a slow AI request is processed afterwards instead
+// of being dropped.
+
+const fs = require('fs').promises;
+const chalk = require('chalk'); // Use chalk@4 for CommonJS
+const { state } = require('./state');
+const { logDebug, logInfo, logWarn, logSuccess, logError, NOTIFICATION_MAX_LENGTH, ICON_PATH } = require('./log');
+const { reportUsageLimit } = require('./usage');
+const { analyzeCaptures } = require('./pipeline');
+
+/**
+ * Adds a job to the capture queue and starts processing if nothing is running.
+ * @param {object} job
+ * @param {string} job.kind What was captured: 'screen', 'clipboard', 'history' or 'upload'.
+ * @param {string} job.triggerSource Where the trigger came from (e.g. 'hotkey', 'command', 'api').
+ * @param {Array<{imagePath: string|null, label: string, ocrText?: string}>} job.captures Snapshot to analyze.
+ * @param {object} [job.analyzeOptions] Options for analyzeCaptures (profile, prompt, modelName, quiet).
+ * @param {boolean} [job.deleteFiles] Delete the capture images once the job is done or cancelled.
+ * @returns {Promise<object>} Resolves with the job result once it has been processed, cancelled or rejected because
+ *   the queue is full. See handleCapture for the shape.
+ */
+function enqueueJob(job) {
+    job.id = job.id || state.nextJobId++;
+    if (state.captureQueue.length >= state.queueMaxSize) {
+        logWarn(`Capture queue is full (${state.queueMaxSize} pending). Ignoring ${job.kind} #${job.id} from ${job.triggerSource}.`);
+        if (job.deleteFiles) deleteJobFiles(job);
+        return Promise.resolve({ ok: false, id: job.id, reason: 'busy', error: `Capture queue is full (${state.queueMaxSize} pending).` });
+    }
+
+    const done = new Promise(resolve => { job.resolve = resolve; });
+    job.createdAt = new Date();
+    state.captureQueue.push(job);
+    if (state.isProcessing) {
+        const ahead = state.captureQueue.length; // Pending jobs before this one, plus the running one
+        logInfo(`${formatJobName(job)} queued (${ahead} ahead). Use ${chalk.blueBright('queue')} to see pending jobs.`);
+        if (!state.headless && !job.analyzeOptions?.quiet) {
+            state.notifier.notify({ title: `AI Helper #${job.id}`, message: `Queued ${job.kind} capture (${ahead} ahead).`, icon: ICON_PATH });
+        }
+        if (state.isRunning && state.cli) state.cli.prompt();
+    }
+    processCaptureQueue();
+    return done;
+}
+
+/**
+ * Processes queued jobs one at a time until the queue is empty. Does nothing if a job (or another locked operation
+ * like 'ask') is already running; whoever holds the lock calls this again when done.
+ */
+async function processCaptureQueue() {
+    if (state.isProcessing) return;
+    while (state.captureQueue.length > 0 && state.isRunning) {
+        const job = state.captureQueue.shift();
+        job.resolve(await runJob(job));
+    }
+}
+
+async function runJob(job) {
+    state.isProcessing = true;
+    state.activeJob = job;
+    job.abortController = new AbortController(); // Lets 'queue cancel' abort the AI request
+
+    console.log("\n"); // Add newline before the group
+    console.group(chalk.bold(`--- ${formatJobName(job)} (Source: ${chalk.blueBright(job.triggerSource)}) ---`));
+    const profile = job.analyzeOptions?.profile;
+    if (profile) logInfo(`Using profile: ${chalk.blueBright(profile.name)}`);
+
+    try {
+        const { text: response, modelName, providerId } = await analyzeCaptures(job.captures, {
+            ...job.analyzeOptions, triggerSource: job.triggerSource, jobId: job.id, signal: job.abortController.signal,
+        });
+        logSuccess(`${formatJobName(job)} completed successfully.`); // Use success log
+        return {
+            ok: true, id: job.id, response, provider: providerId, model: modelName, profile: profile?.name || null,
+            captures: job.captures.map(({ label, ocrText }) => ({ label, ocrText })),
+        };
+
+    } catch (error) {
+        if (job.abortController.signal.aborted) {
+            logInfo(`${formatJobName(job)} was cancelled.`);
+            return { ok: false, id: job.id, reason: 'cancelled', error: `Capture #${job.id} was cancelled.` };
+        }
+        if (error.isUsageLimit) {
+            if (!job.analyzeOptions?.quiet) reportUsageLimit(error.message);
+            return { ok: false, id: job.id, reason: 'limit', error: error.message };
+        }
+        // Log the specific error that occurred during the process
+        logError(`${formatJobName(job)} failed: ${error.message}`, state.debugMode ? error.stack : ''); // Show stack only in debug
+        if (!state.headless && !job.analyzeOptions?.quiet) {
+            // Tagged so a failure can be told apart from the results of other queued captures
+            state.notifier.notify({ title: `AI Helper Error #${job.id}`, message: error.message.substring(0, NOTIFICATION_MAX_LENGTH), icon: ICON_PATH, sound: true });
+        }
+        return { ok: false, id: job.id, reason: 'failed', error: error.message };
+
+    } finally {
+        if (job.deleteFiles) await deleteJobFiles(job);
+        state.activeJob = null;
+        state.isProcessing = false;
+        logDebug("Processing lock released.");
+
+        console.groupEnd(); // End the capture process group
+        console.log(""); // Add newline after the group
+
+        if (state.isRunning && state.cli) {
+            state.cli.prompt(); // Output above overwrote the prompt line
+        }
+    }
+}
+
+/**
+ * Cancels a job: a pending one is removed from the queue, the running one has its AI request aborted (OCR that is
+ * already running finishes first).
+ * @param {number} id Job id.
+ * @returns {Promise<boolean>} False if no pending or running job has that id.
+ */
+async function cancelJob(id) {
+    if (state.activeJob?.id === id) {
+        state.activeJob.abortController.abort(new Error(`Capture #${id} was cancelled.`));
+        return true;
+    }
+    const index = state.captureQueue.findIndex(job => job.id === id);
+    if (index === -1) return false;
+    const [job] = state.captureQueue.splice(index, 1);
+    if (job.deleteFiles) await deleteJobFiles(job);
+    job.resolve({ ok: false, id: job.id, reason: 'cancelled', error: `Capture #${job.id} was cancelled.` });
+    return true;
+}
+
+async function deleteJobFiles(job) {
+    for (const { imagePath } of job.captures) {
+        if (!imagePath) continue;
+        try {
+            await fs.rm(imagePath, { force: true });
+            logDebug(`Capture file ${imagePath} deleted.`);
+        } catch (unlinkError) {
+            logWarn(`Could not delete capture file: ${unlinkError.message}`);
+        }
+    }
+}
+
+function formatJobName(job) {
+    const names = { screen: 'Capture', clipboard: 'Clipboard Capture', history: 'History Resend', upload: 'Upload' };
+    return `${names[job.kind] || 'Job'} #${job.id}`;
+}
+
+module.exports = {
+    enqueueJob,
+    processCaptureQueue,
+    runJob,
+    cancelJob,
+    deleteJobFiles,
+    formatJobName,
+};
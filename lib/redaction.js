@@ -0,0 +1,207 @@
+// lib/redaction.js - Redaction rules: the built-in ones and the user's regular expressions, finding their matches in
+// a text or in OCR'd words, replacing them, and blacking out the words they cover in the image.
+
+const chalk = require('chalk'); // Use chalk@4 for CommonJS
+const sharp = require('sharp');
+const { state } = require('./state');
+const { logInfo } = require('./log');
+
+const REDACTION_BOX_PADDING = 2; // Pixels added around blacked-out words, so no anti-aliased edges remain
+
+// Built-in rules, switched on and off with 'redact builtin'. isMatch filters out false positives.
+const REDACTION_BUILTINS = {
+    email: {
+        description: 'email addresses',
+        pattern: /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi,
+    },
+    'api-token': {
+        description: 'API keys and tokens (OpenAI, Google, GitHub, Slack, AWS, GitLab, JWTs, and values of key=, token=, password= etc.)',
+        pattern: new RegExp([
+            /\b(?:sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}|AIza[0-9A-Za-z_-]{35}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/.source,
+            /\b(?:xox[abposr]-[A-Za-z0-9-]{10,}|(?:AKIA|ASIA)[0-9A-Z]{16}|glpat-[A-Za-z0-9_-]{20,})/.source,
+            /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/.source,
+            /(?<=\bBearer\s+)[A-Za-z0-9._~+/-]{16,}=*/.source,
+            /(?<=\b(?:api[_-]?key|secret|token|password|passwd|pwd)["']?\s*[:=]\s*["']?)[^\s"']{6,}/.source,
+        ].join('|'), 'gi'),
+    },
+    'credit-card': {
+        description: 'credit card numbers',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        isMatch: (text) => passesLuhnCheck(text.replace(/\D/g, '')),
+    },
+    'internal-host': {
+        description: 'internal hostnames (.internal, .local, .corp, .lan, .intranet, ...) and private IP addresses',
+        pattern: new RegExp([
+            /\b(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+(?:internal|local|localdomain|lan|corp|intranet|intra|private|home\.arpa)\b/.source,
+            /\b(?:10(?:\.\d{1,3}){3}|192\.168(?:\.\d{1,3}){2}|172\.(?:1[6-9]|2\d|3[01])(?:\.\d{1,3}){2})\b/.source,
+        ].join('|'), 'gi'),
+    },
+};
+const REDACTION_RULE_FLAGS = /^[imsu]*$/; // Flags allowed in user rules ('g' is always added)
+
+// Luhn checksum of a card number, so that other long numbers (order ids, timestamps) aren't redacted
+function passesLuhnCheck(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Checks a user rule's regular expression.
+ * @returns {string|null} Why it can't be used, or null if it's valid.
+ */
+function checkRedactionPattern(pattern, flags = '') {
+    if (typeof pattern !== 'string' || pattern === '') return 'the pattern is empty';
+    if (typeof flags !== 'string' || !REDACTION_RULE_FLAGS.test(flags)) return `flags "${flags}" aren't supported (use i, m, s or u)`;
+    try {
+        new RegExp(pattern, flags);
+    } catch (error) {
+        return error.message;
+    }
+    return null;
+}
+
+// The enabled built-in rules and the user rules as { name, regex, isMatch? }
+function getRedactionRules() {
+    return [
+        ...state.redactionBuiltins.filter(name => REDACTION_BUILTINS[name]).map(name => ({ name, regex: REDACTION_BUILTINS[name].pattern, isMatch: REDACTION_BUILTINS[name].isMatch })),
+        ...state.redactionRules.map(rule => ({ name: rule.name, regex: new RegExp(rule.pattern, `g${rule.flags || ''}`) })),
+    ];
+}
+
+/**
+ * Finds everything in a text that one of the rules matches.
+ * @returns {{rule: string, start: number, end: number, text: string}[]} Matches sorted by position; overlapping
+ *   matches are merged into the first one.
+ */
+function findRedactions(text, rules = getRedactionRules()) {
+    const matches = rules.flatMap(rule => [...text.matchAll(rule.regex)]
+        .filter(match => match[0] !== '' && (!rule.isMatch || rule.isMatch(match[0])))
+        .map(match => ({ rule: rule.name, start: match.index, end: match.index + match[0].length })));
+    matches.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    const merged = [];
+    for (const match of matches) {
+        const previous = merged[merged.length - 1];
+        if (previous && match.start < previous.end) {
+            previous.end = Math.max(previous.end, match.end);
+        } else {
+            merged.push(match);
+        }
+    }
+    return merged.map(match => ({ ...match, text: text.slice(match.start, match.end) }));
+}
+
+// Replaces the matches found by findRedactions() with "[REDACTED:<rule>]"
+function redactText(text, matches) {
+    let redacted = text;
+    for (const match of [...matches].reverse()) {
+        redacted = redacted.slice(0, match.start) + `[REDACTED:${match.rule}]` + redacted.slice(match.end);
+    }
+    return redacted;
+}
+
+/**
+ * Finds the OCR'd words covered by a redaction. The words are joined back into lines first, so rules can match
+ * across words (e.g. a card number written in groups of four).
+ * @param {object[]} lines Lines from getOcrLines().
+ * @returns {Map<object, string>} The words to black out, with the name of the rule that matched them.
+ */
+function findRedactedWords(lines, rules = getRedactionRules()) {
+    let text = '';
+    const spans = [];
+    for (const line of lines) {
+        for (const [index, word] of line.words.entries()) {
+            if (index > 0) text += ' ';
+            spans.push({ word, start: text.length, end: text.length + word.text.length });
+            text += word.text;
+        }
+        text += '\n';
+    }
+    const matches = findRedactions(text, rules);
+    const redactedWords = new Map();
+    for (const { word, start, end } of spans) {
+        const match = matches.find(m => start < m.end && m.start < end);
+        if (match) redactedWords.set(word, match.rule);
+    }
+    return redactedWords;
+}
+
+// Replaces redacted words in OCR lines with "[REDACTED:<rule>]", merging neighbouring words of the same match
+function redactOcrLines(lines, redactedWords) {
+    return lines.map((line) => {
+        const words = [];
+        for (const word of line.words) {
+            const rule = redactedWords.get(word);
+            const previous = words[words.length - 1];
+            if (!rule) {
+                words.push(word);
+            } else if (previous && previous.text === `[REDACTED:${rule}]`) {
+                previous.bbox = { ...previous.bbox, x1: word.bbox.x1, y1: Math.max(previous.bbox.y1, word.bbox.y1) };
+            } else {
+                words.push({ text: `[REDACTED:${rule}]`, confidence: 100, bbox: { ...word.bbox } });
+            }
+        }
+        return { ...line, text: words.map(word => word.text).join(' '), words };
+    });
+}
+
+// Lists redaction matches (the dry run shows the original text, so it's only printed locally)
+function printRedactionMatches(matches) {
+    if (matches.length === 0) {
+        logInfo("Nothing in the text would be redacted.");
+        return;
+    }
+    console.group(chalk.bold(`--- ${matches.length} match(es) would be redacted ---`));
+    for (const match of matches) {
+        console.log(`${chalk.blueBright(match.rule)}: "${match.text.replace(/\s+/g, ' ')}"`);
+    }
+    console.groupEnd();
+}
+
+// Dry run of the redaction on a text ('redact test-text'): prints the matches and the redacted text
+function printTextRedactionTest(text, rules = getRedactionRules()) {
+    const matches = findRedactions(text, rules);
+    printRedactionMatches(matches);
+    if (matches.length > 0) logInfo(`Redacted: ${redactText(text, matches)}`);
+}
+
+/**
+ * Paints black boxes over regions of an image.
+ * @param {string|Buffer} input Image file path or data.
+ * @param {{x0: number, y0: number, x1: number, y1: number}[]} boxes Regions in pixels.
+ * @returns {Promise<Buffer>} The redacted image as PNG.
+ */
+async function blackOutRegions(input, boxes) {
+    const { width, height } = await sharp(input).metadata();
+    const overlays = boxes.map(({ x0, y0, x1, y1 }) => {
+        const left = Math.max(0, x0 - REDACTION_BOX_PADDING);
+        const top = Math.max(0, y0 - REDACTION_BOX_PADDING);
+        const right = Math.min(width, x1 + REDACTION_BOX_PADDING);
+        const bottom = Math.min(height, y1 + REDACTION_BOX_PADDING);
+        return { left, top, width: right - left, height: bottom - top };
+    }).filter(box => box.width > 0 && box.height > 0).map(({ left, top, width: boxWidth, height: boxHeight }) => ({
+        input: { create: { width: boxWidth, height: boxHeight, channels: 3, background: '#000000' } },
+        left,
+        top,
+    }));
+    return sharp(input).composite(overlays).png().toBuffer();
+}
+
+module.exports = {
+    REDACTION_BUILTINS,
+    passesLuhnCheck,
+    checkRedactionPattern,
+    getRedactionRules,
+    findRedactions,
+    redactText,
+    findRedactedWords,
+    redactOcrLines,
+    printRedactionMatches,
+    printTextRedactionTest,
+    blackOutRegions,
+};
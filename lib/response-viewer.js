@@ -0,0 +1,77 @@
+// lib/response-viewer.js - The full response viewer: the last response rendered from Markdown to a local HTML page,
+// opened in the default browser by 'last open' and by clicking a truncated notification.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { marked } = require('marked');
+const { spawn } = require('child_process');
+const { state } = require('./state');
+const { logDebug, logError } = require('./log');
+const { CONFIG_DIR } = require('./config-dir');
+
+const RESPONSE_VIEWER_PATH = path.join(CONFIG_DIR, 'last-response.html');
+
+// Raw HTML in responses is shown as text, never rendered (the page is also locked down with a CSP)
+marked.use({ renderer: { html: (token) => escapeHtml(token.text) } });
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders a response as a standalone HTML page (Markdown, code blocks) and writes it to RESPONSE_VIEWER_PATH.
+ * @param {string} responseText The full response.
+ * @param {{title: string, model: string, timestamp: string}} details Shown in the page header.
+ * @returns {Promise<string|null>} The path of the page, or null if it could not be written.
+ */
+async function writeResponseViewer(responseText, { title, model, timestamp }) {
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 860px; margin: 2em auto; padding: 0 1em; line-height: 1.55; color: #1f2328; }
+    header { color: #656d76; font-size: 0.9em; border-bottom: 1px solid #d0d7de; margin-bottom: 1.5em; }
+    pre { background: #f6f8fa; padding: 1em; overflow-x: auto; border-radius: 6px; }
+    code { font-family: ui-monospace, Consolas, monospace; font-size: 0.9em; background: #f6f8fa; padding: 0.1em 0.3em; border-radius: 4px; }
+    pre code { padding: 0; background: none; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #d0d7de; padding: 0.3em 0.7em; }
+</style>
+</head>
+<body>
+<header><h1>${escapeHtml(title)}</h1><p>${escapeHtml(model)} &middot; ${escapeHtml(new Date(timestamp).toLocaleString())}</p></header>
+<main>
+${marked.parse(responseText)}
+</main>
+</body>
+</html>
+`;
+    try {
+        await fs.mkdir(CONFIG_DIR, { recursive: true });
+        await fs.writeFile(RESPONSE_VIEWER_PATH, html);
+        logDebug(`Full response written to ${RESPONSE_VIEWER_PATH}`);
+        return RESPONSE_VIEWER_PATH;
+    } catch (error) {
+        logError("Failed to write the full response page", error);
+        return null;
+    }
+}
+
+// Opens a file or URL with the operating system's default application
+function openWithDefaultApp(target) {
+    const [command, args] = state.operatingSystem === 'win32' ? ['cmd', ['/c', 'start', '""', target]]
+        : state.operatingSystem === 'darwin' ? ['open', [target]]
+        : ['xdg-open', [target]];
+    try {
+        const child = spawn(command, args, { detached: true, stdio: 'ignore', windowsHide: true });
+        child.on('error', (error) => logError(`Could not open ${target}`, error));
+        child.unref();
+    } catch (error) {
+        logError(`Could not open ${target}`, error);
+    }
+}
+
+module.exports = { escapeHtml, writeResponseViewer, openWithDefaultApp };
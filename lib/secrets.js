@@ -0,0 +1,210 @@
+// lib/secrets.js - Secret store adapters. API keys and the HTTP API token are kept out of config.json, in a secret
+// store ({ label, isAvailable, get, set, delete }): the OS keychain where there is one, otherwise a file encrypted with
+// a passphrase. Loading and saving the secrets with the other settings is in lib/settings.js.
+
+const os = require('os');
+const fs = require('fs').promises;
+const fss = require('fs'); // Synchronous fs for specific checks like existsSync
+const path = require('path');
+const crypto = require('crypto');
+const { state } = require('./state');
+const { logInfo, logWarn } = require('./log');
+const { writeFileAtomic } = require('./settings-file');
+const { CONFIG_DIR } = require('./config-dir');
+const { runCommand } = require('./clipboard');
+const { askHidden } = require('./cli-input');
+
+const ENCRYPTED_SECRETS_PATH = path.join(CONFIG_DIR, 'secrets.enc.json'); // Used when there's no OS keychain
+const KEYCHAIN_SERVICE = 'ai-helper'; // Service name of the keychain entries; the account is the secret's env key
+const PASSPHRASE_ENV_KEY = 'AI_HELPER_PASSPHRASE'; // Unlocks the encrypted file without a prompt, e.g. for 'analyze'
+const SECRETS_KDF_PARAMS = { N: 16384, r: 8, p: 1 }; // scrypt cost for new encrypted files
+const MAX_PASSPHRASE_ATTEMPTS = 3;
+const SECRET_STORE_CHOICES = ['auto', 'keychain', 'file'];
+
+/**
+ * Creates a secret store backed by the OS keychain: the login keychain (`security`) on macOS or the Secret Service
+ * (GNOME Keyring, KWallet) through `secret-tool` on Linux. Secrets are passed on stdin, never as arguments, so they
+ * don't show up in the process list.
+ * @param {string} [platform] os.platform() value.
+ * @param {function(string, string[], (string|null)=): Promise<Buffer>} [run] Command runner, injectable for tests.
+ * @returns {{label: string, isAvailable: function(): Promise<boolean>, get: function(string): Promise<string|null>,
+ *   set: function(string, string): Promise<void>, delete: function(string): Promise<void>}|null} null where there is no supported keychain.
+ */
+function createSystemKeychain(platform = os.platform(), run = runCommand) {
+    if (platform === 'darwin') {
+        const NOT_FOUND = 44; // errSecItemNotFound
+        // `security -i` reads a command line from stdin; its quoting can't express these characters
+        const quote = (value) => {
+            if (/["\\\n]/.test(value)) throw new Error("The macOS keychain can't store values with quotes, backslashes or line breaks.");
+            return `"${value}"`;
+        };
+        return {
+            label: 'macOS Keychain',
+            isAvailable: async () => run('security', ['default-keychain']).then(() => true, () => false),
+            get: async (name) => {
+                try {
+                    return (await run('security', ['find-generic-password', '-s', KEYCHAIN_SERVICE, '-a', name, '-w'])).toString('utf8').replace(/\n$/, '');
+                } catch (error) {
+                    if (error.exitCode === NOT_FOUND) return null;
+                    throw error;
+                }
+            },
+            set: async (name, value) => {
+                await run('security', ['-i'], `add-generic-password -U -s ${quote(KEYCHAIN_SERVICE)} -a ${quote(name)} -w ${quote(value)}\n`);
+            },
+            delete: async (name) => {
+                await run('security', ['delete-generic-password', '-s', KEYCHAIN_SERVICE, '-a', name]).catch(error => {
+                    if (error.exitCode !== NOT_FOUND) throw error;
+                });
+            },
+        };
+    }
+    if (platform === 'linux') {
+        const attributes = (name) => ['service', KEYCHAIN_SERVICE, 'account', name];
+        // secret-tool exits with 1 and no message when nothing matches
+        const isNotFound = (error) => error.exitCode === 1 && !error.stderr;
+        const lookup = async (name) => {
+            try {
+                return (await run('secret-tool', ['lookup', ...attributes(name)])).toString('utf8');
+            } catch (error) {
+                if (isNotFound(error)) return null;
+                throw error;
+            }
+        };
+        return {
+            label: 'Secret Service keyring',
+            // Fails when secret-tool isn't installed or no keyring daemon is running
+            isAvailable: async () => lookup('availability-check').then(() => true, () => false),
+            get: lookup,
+            set: async (name, value) => {
+                await run('secret-tool', ['store', `--label=AI Helper ${name}`, ...attributes(name)], value);
+            },
+            delete: async (name) => {
+                await run('secret-tool', ['clear', ...attributes(name)]).catch(error => {
+                    if (!isNotFound(error)) throw error;
+                });
+            },
+        };
+    }
+    return null;
+}
+
+/**
+ * Creates a secret store that keeps all secrets in one file, encrypted with AES-256-GCM using a key derived from a
+ * passphrase with scrypt. The passphrase is asked for the first time a secret is read or stored.
+ * @param {string} filePath Encrypted file location.
+ * @param {function({isNew: boolean, attempt: number}): Promise<string|null>} getPassphrase Resolves the passphrase,
+ *   or null to give up. `isNew` is set when the file doesn't exist yet and a passphrase is being chosen.
+ * @returns {{label: string, isAvailable: function(): Promise<boolean>, get: function(string): Promise<string|null>,
+ *   set: function(string, string): Promise<void>, delete: function(string): Promise<void>}}
+ */
+function createEncryptedFileStore(filePath, getPassphrase) {
+    let secrets = null; // Decrypted contents once unlocked
+    let key = null;
+    let kdf = null; // { salt, N, r, p } the key was derived with
+
+    const deriveKey = (passphrase, { salt, N, r, p }) => new Promise((resolve, reject) => {
+        crypto.scrypt(passphrase, Buffer.from(salt, 'base64'), 32, { N, r, p, maxmem: 64 * 1024 * 1024 },
+            (error, derivedKey) => (error ? reject(error) : resolve(derivedKey)));
+    });
+
+    const unlock = async () => {
+        if (secrets) return;
+        if (!fss.existsSync(filePath)) {
+            const passphrase = await getPassphrase({ isNew: true, attempt: 1 });
+            if (!passphrase) throw new Error(`A passphrase is needed to encrypt secrets. Set ${PASSPHRASE_ENV_KEY} or enter one when asked.`);
+            kdf = { salt: crypto.randomBytes(16).toString('base64'), ...SECRETS_KDF_PARAMS };
+            key = await deriveKey(passphrase, kdf);
+            secrets = {};
+            return;
+        }
+
+        const file = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        for (let attempt = 1; attempt <= MAX_PASSPHRASE_ATTEMPTS; attempt++) {
+            const passphrase = await getPassphrase({ isNew: false, attempt });
+            if (!passphrase) break;
+            const candidateKey = await deriveKey(passphrase, file.kdf);
+            try {
+                const decipher = crypto.createDecipheriv('aes-256-gcm', candidateKey, Buffer.from(file.iv, 'base64'));
+                decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+                const plaintext = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+                secrets = JSON.parse(plaintext.toString('utf8'));
+                key = candidateKey;
+                kdf = file.kdf;
+                return;
+            } catch {
+                logWarn("Wrong passphrase.");
+            }
+        }
+        throw new Error(`Could not unlock ${filePath}. Set ${PASSPHRASE_ENV_KEY} or enter the passphrase when asked.`);
+    };
+
+    const write = async () => {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+        const file = { version: 1, cipher: 'aes-256-gcm', kdf, iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+        await writeFileAtomic(filePath, JSON.stringify(file, null, 2) + '\n', 0o600);
+    };
+
+    // Nothing is stored yet: reads and deletes don't need a passphrase
+    const isEmpty = () => !secrets && !fss.existsSync(filePath);
+
+    return {
+        label: 'encrypted file',
+        isAvailable: async () => true,
+        get: async (name) => {
+            if (isEmpty()) return null;
+            await unlock();
+            return secrets[name] ?? null;
+        },
+        set: async (name, value) => {
+            await unlock();
+            secrets[name] = value;
+            await write();
+        },
+        delete: async (name) => {
+            if (isEmpty()) return;
+            await unlock();
+            delete secrets[name];
+            await write();
+        },
+    };
+}
+
+// Passphrase for the encrypted secrets file: AI_HELPER_PASSPHRASE if set, otherwise asked for (twice for a new one)
+async function askSecretsPassphrase({ isNew, attempt }) {
+    if (process.env[PASSPHRASE_ENV_KEY]) return attempt === 1 ? process.env[PASSPHRASE_ENV_KEY] : null;
+    if (state.headless || !process.stdin.isTTY) return null;
+    if (!isNew) return (await askHidden(`Passphrase for ${ENCRYPTED_SECRETS_PATH}: `)) || null;
+
+    logInfo(`No OS keychain is available, so API keys are stored in ${ENCRYPTED_SECRETS_PATH}, encrypted with a passphrase.`);
+    logInfo(`Choose one now. It's asked for on every start, or can be set in ${PASSPHRASE_ENV_KEY}.`);
+    for (let tries = 0; tries < MAX_PASSPHRASE_ATTEMPTS; tries++) {
+        const passphrase = await askHidden("New passphrase: ");
+        if (!passphrase) return null;
+        if (passphrase === await askHidden("Repeat the passphrase: ")) return passphrase;
+        logWarn("The passphrases don't match.");
+    }
+    return null;
+}
+
+/**
+ * Creates the secret store for a 'secretStore' setting: 'keychain', 'file', or 'auto' (the keychain when available).
+ * @param {string} [preference] One of SECRET_STORE_CHOICES.
+ */
+async function createSecretStore(preference = state.secretStore) {
+    if (preference !== 'file') {
+        const keychain = createSystemKeychain();
+        if (keychain && await keychain.isAvailable()) return keychain;
+        if (preference === 'keychain') logWarn("No OS keychain is available on this system. Using an encrypted file instead.");
+    }
+    return createEncryptedFileStore(ENCRYPTED_SECRETS_PATH, askSecretsPassphrase);
+}
+
+module.exports = {
+    SECRET_STORE_CHOICES,
+    createSystemKeychain,
+    createEncryptedFileStore,
+    createSecretStore,
+};
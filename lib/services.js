@@ -0,0 +1,122 @@
+// lib/services.js - Starting the OCR worker and the AI provider's client, and restarting them after their settings
+// change. Kept apart from lib/ocr.js and lib/providers.js because they save the settings they correct.
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const chalk = require('chalk'); // Use chalk@4 for CommonJS
+const { state } = require('./state');
+const { logDebug, logInfo, logWarn, logError } = require('./log');
+const { fetchAvailableModels, initializeGeminiModel, getProvider, getModelName, setModelName } = require('./providers');
+const { createOcrWorker } = require('./ocr');
+const { saveSettings } = require('./settings');
+
+async function initializeServices(forceReinitializeGemini = false) {
+    logInfo("Initializing services..."); // Plain info
+    let tesseractInitialized = false;
+    let aiInitialized = false;
+
+    // Initialize Tesseract
+    try {
+        if (!state.worker) {
+            state.worker = await createOcrWorker();
+            logInfo(`Tesseract worker initialized (${state.ocrLanguages}).`); // Plain info
+        } else {
+            logDebug("Tesseract worker already initialized.");
+        }
+        tesseractInitialized = true;
+    } catch (error) {
+        logError("Tesseract initialization failed", error);
+    }
+
+    // Initialize the AI provider. Only Gemini needs a client; the HTTP providers just need their model list.
+    if (state.provider !== 'gemini') {
+        aiInitialized = await initializeHttpProvider();
+    } else if (state.apiKey && (!state.googleAI || forceReinitializeGemini)) {
+        logDebug("Initializing Gemini client...");
+        try {
+            state.googleAI = new GoogleGenerativeAI(state.apiKey);
+            // We'll initialize the specific model instance later in initializeGeminiModel or set-model
+            logInfo(`Gemini client initialized.`);
+
+            // Attempt to fetch models if not already fetched
+            if (state.fetchedModels.length === 0) {
+                state.fetchedModels = await fetchAvailableModels();
+                if (state.fetchedModels.length > 0 && !state.fetchedModels.includes(state.aiModel)) {
+                    logWarn(`Current model "${state.aiModel}" not found in fetched list. Defaulting to "${state.fetchedModels[0]}".`);
+                    state.aiModel = state.fetchedModels[0];
+                    await saveSettings(); // Save the updated default model
+                } else if (state.fetchedModels.length === 0) {
+                     logWarn(`Could not fetch models. Using default "${state.aiModel}". You may need to set it manually.`);
+                }
+            }
+            // Now initialize the model instance
+            aiInitialized = initializeGeminiModel();
+
+        } catch (error) {
+            logError(`Gemini client initialization failed`, error);
+            logWarn("Gemini features will be unavailable until a valid API key and model are set.");
+            state.googleAI = null;
+            state.model = null;
+            state.fetchedModels = []; // Clear models if client init fails
+        }
+    } else if (!state.apiKey) {
+        // Warning about missing API key is handled in the main() function's intro log now
+        state.googleAI = null;
+        state.model = null;
+        state.fetchedModels = [];
+    } else if (state.googleAI && state.model && !forceReinitializeGemini) {
+        logDebug("Gemini client and model already initialized.");
+        aiInitialized = true; // Already initialized
+         // Ensure models are fetched if missing (e.g., if app restarted without key initially)
+         if (state.fetchedModels.length === 0) {
+             state.fetchedModels = await fetchAvailableModels();
+         }
+    } else if (state.googleAI && (!state.model || forceReinitializeGemini)) {
+         // Client exists, but model needs (re)initialization
+         logDebug("Gemini client exists, initializing model instance...");
+         aiInitialized = initializeGeminiModel();
+    }
+
+
+    return { tesseractInitialized, aiInitialized };
+}
+
+// Fetches the model list of a non-Gemini provider and falls back to the first listed model if the selected one is missing
+async function initializeHttpProvider() {
+    const provider = getProvider();
+    state.fetchedModels = await provider.listModels();
+    if (state.fetchedModels.length > 0 && !state.fetchedModels.includes(getModelName())) {
+        logWarn(`Current model "${getModelName()}" not found in fetched list. Defaulting to "${state.fetchedModels[0]}".`);
+        setModelName(state.fetchedModels[0]);
+        await saveSettings(); // Save the updated default model
+    } else if (state.fetchedModels.length === 0) {
+        logWarn(`Could not fetch models. Using "${getModelName()}". You may need to set it manually.`);
+    }
+    logInfo(`${provider.label} backend set to model: ${chalk.blueBright(getModelName())}.`);
+    return provider.isReady();
+}
+
+/**
+ * Replaces the Tesseract worker after an OCR setting changed. If the new worker can't be created (e.g. an unknown
+ * language), the previous settings and worker are kept.
+ * @param {object} changes State fields to change, e.g. { ocrLanguages: 'eng+deu' }.
+ * @returns {Promise<boolean>} Whether the change was applied.
+ */
+async function reconfigureOcrWorker(changes) {
+    const previous = Object.fromEntries(Object.keys(changes).map(key => [key, state[key]]));
+    Object.assign(state, changes);
+    logInfo("Recreating the Tesseract worker...");
+    let worker;
+    try {
+        worker = await createOcrWorker();
+    } catch (error) {
+        Object.assign(state, previous);
+        logError("Could not create a Tesseract worker with these settings. Keeping the previous ones.", error);
+        return false;
+    }
+    if (state.worker) await state.worker.terminate().catch(() => {});
+    state.worker = worker;
+    await saveSettings();
+    return true;
+}
+
+module.exports = { initializeServices, reconfigureOcrWorker };
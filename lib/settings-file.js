@@ -0,0 +1,61 @@
+// lib/settings-file.js - Versioned JSON files for the settings and profiles ({ version, settings }), written atomically.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { logDebug, logWarn, logError } = require('./log');
+
+const CONFIG_VERSION = 1;
+// Upgrades config.json from older versions, keyed by the version they upgrade from: (settings) => settings
+const CONFIG_MIGRATIONS = {};
+
+/**
+ * Reads a versioned settings file ({ version, settings }) and upgrades it to CONFIG_VERSION.
+ * @returns {Promise<{settings: object|null, readOnly: boolean}>} The settings (null if the file doesn't exist or can't
+ *   be used), and whether the file must not be overwritten because it's damaged or from a newer version.
+ */
+async function readSettingsFile(filePath) {
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return { settings: null, readOnly: false };
+        throw error;
+    }
+
+    let file;
+    try {
+        file = JSON.parse(content);
+    } catch (error) {
+        logError(`${filePath} is not valid JSON (${error.message}). Fix or delete it; it's ignored and won't be overwritten until then.`);
+        return { settings: null, readOnly: true };
+    }
+    if (!file || typeof file !== 'object' || !Number.isInteger(file.version) || !file.settings || typeof file.settings !== 'object') {
+        logError(`${filePath} must contain { "version": ${CONFIG_VERSION}, "settings": { ... } }. Fix or delete it; it's ignored and won't be overwritten until then.`);
+        return { settings: null, readOnly: true };
+    }
+    if (file.version > CONFIG_VERSION) {
+        logWarn(`${filePath} was written by a newer version of AI Helper (config version ${file.version}). What this version knows is used, but changes won't be saved.`);
+        return { settings: file.settings, readOnly: true };
+    }
+
+    let settings = file.settings;
+    for (let version = file.version; version < CONFIG_VERSION; version++) {
+        if (CONFIG_MIGRATIONS[version]) settings = CONFIG_MIGRATIONS[version](settings);
+        logDebug(`Upgraded ${path.basename(filePath)} from config version ${version} to ${version + 1}.`);
+    }
+    return { settings, readOnly: false };
+}
+
+// Writes a file through a temporary file, so a crash or a concurrent save can't leave it half-written
+async function writeFileAtomic(filePath, content, mode) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    await fs.writeFile(tempPath, content, { mode });
+    await fs.rename(tempPath, filePath);
+}
+
+async function writeSettingsFile(filePath, settings) {
+    await writeFileAtomic(filePath, JSON.stringify({ version: CONFIG_VERSION, settings }, null, 2) + '\n');
+}
+
+module.exports = { CONFIG_VERSION, CONFIG_MIGRATIONS, readSettingsFile, writeSettingsFile, writeFileAtomic };
@@ -0,0 +1,498 @@
+// lib/settings.js - Settings. Preferences live in config.json in the user config directory; API keys and tokens go to
+// the secret store (see lib/secrets.js). Every setting can be overridden for a single run with an environment variable
+// of the same name as its old .env key (e.g. AI_MODEL=gemini-1.5-pro); overrides are applied on load but never written
+// back.
+
+const fs = require('fs').promises;
+const fss = require('fs'); // Synchronous fs for specific checks like existsSync
+const path = require('path');
+const dotenv = require('dotenv');
+const { state } = require('./state');
+const { logDebug, logInfo, logWarn, logSuccess, logError } = require('./log');
+const { parseTriggerKey, formatTriggerKeyPlain } = require('./hotkeys');
+const { readSettingsFile, writeSettingsFile } = require('./settings-file');
+const { REDACTION_BUILTINS, checkRedactionPattern } = require('./redaction');
+const { CONFIG_DIR } = require('./config-dir');
+const { SECRET_STORE_CHOICES, createSecretStore } = require('./secrets');
+const { USAGE_LIMIT_UNITS, parseUsageLimit } = require('./usage');
+const { GENERATION_PARAMETERS, SAFETY_CATEGORIES, SAFETY_THRESHOLDS, AI_PROVIDERS, parseModelList } = require('./providers');
+const { OCR_ENGINES, OCR_INVERT_MODES, OCR_MAX_UPSCALE, OCR_TEXT_FORMATS } = require('./ocr');
+const { PIPELINE_MODES, IMAGE_UPLOAD_FORMATS } = require('./pipeline');
+const { parseRegion } = require('./capture');
+const { WATCH_OUTPUT_FORMATS } = require('./watch');
+
+const CONFIG_PATH = path.join(CONFIG_DIR, 'config.json');
+const PLAINTEXT_SECRETS_PATH = path.join(CONFIG_DIR, 'secrets.json'); // Written by older versions, moved into the secret store on start
+const LEGACY_ENV_PATH = path.join(__dirname, '..', '.env'); // Settings file of older versions, migrated on first start
+
+const settingsOverrides = {}; // { [setting key]: { envKey, value, storedValue } } for settings set by environment variables
+let settingsReadOnly = false; // Set when config.json can't be read safely, so saving doesn't overwrite it
+
+// How each kind of setting is read from an environment variable (or legacy .env value) and checked. Values are checked
+// in their config.json form; 'hotkey' settings are stored as text like "CTRL+SHIFT+C" and as objects in state.
+const SETTING_TYPES = {
+    string: {
+        fromEnv: (raw) => raw,
+        check: (value) => typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string',
+    },
+    url: {
+        fromEnv: (raw) => raw,
+        check: (value) => typeof value === 'string' && /^https?:\/\/\S+$/.test(value) ? null : 'must be an http:// or https:// URL',
+    },
+    boolean: {
+        fromEnv: (raw) => ({ true: true, false: false })[raw.toLowerCase()] ?? raw,
+        check: (value) => typeof value === 'boolean' ? null : 'must be true or false',
+    },
+    integer: {
+        fromEnv: (raw) => raw.toLowerCase() === 'none' ? 0 : Number(raw),
+        check: (value, { min = 0, max = Infinity }) => Number.isInteger(value) && value >= min && value <= max
+            ? null : `must be a whole number ${max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`}`,
+    },
+    number: {
+        fromEnv: (raw) => Number(raw),
+        check: (value, { min, max }) => typeof value === 'number' && value >= min && value <= max ? null : `must be a number from ${min} to ${max}`,
+    },
+    choice: {
+        fromEnv: (raw) => raw,
+        check: (value, { choices }) => choices().includes(value) ? null : `must be one of: ${choices().join(', ')}`,
+    },
+    list: {
+        fromEnv: (raw) => parseModelList(raw),
+        check: (value, { choices }) => {
+            if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item.trim() !== '')) return 'must be a list of names';
+            return !choices || value.every(item => choices().includes(item)) ? null : `must only contain: ${choices().join(', ')}`;
+        },
+    },
+    languages: {
+        fromEnv: (raw) => raw,
+        check: (value) => typeof value === 'string' && /^[a-z_]+(\+[a-z_]+)*$/i.test(value) ? null : 'must be Tesseract language codes joined with "+", like "eng+deu"',
+    },
+    hotkey: {
+        fromEnv: (raw) => {
+            // Older .env files stored TRIGGER_KEY as a JSON object
+            if (!raw.trim().startsWith('{')) return raw;
+            try {
+                const parsedKey = JSON.parse(raw);
+                return typeof parsedKey.name === 'string' ? formatTriggerKeyPlain(parsedKey) : raw;
+            } catch {
+                return raw;
+            }
+        },
+        check: (value) => typeof value === 'string' && parseTriggerKey(value) ? null : 'must be a key combination like "CTRL+SHIFT+C"',
+        toState: (value) => parseTriggerKey(value),
+        toConfig: (keyConfig) => formatTriggerKeyPlain(keyConfig),
+    },
+    redactionRules: {
+        fromEnv: (raw) => {
+            try {
+                return JSON.parse(raw);
+            } catch {
+                return raw;
+            }
+        },
+        check: (value) => Array.isArray(value) && value.every(rule => rule && typeof rule.name === 'string' && /^\S+$/.test(rule.name) && !checkRedactionPattern(rule.pattern, rule.flags))
+            ? null : 'must be a list of { "name", "pattern", "flags" } rules with valid regular expressions',
+    },
+    prices: {
+        fromEnv: (raw) => {
+            try {
+                return JSON.parse(raw);
+            } catch {
+                return raw;
+            }
+        },
+        check: (value) => value && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(price => price
+            && ['input', 'output'].every(k => typeof price[k] === 'number' && price[k] >= 0))
+            ? null : 'must map model names to { "input", "output" } prices in USD per million tokens',
+    },
+    usageLimit: {
+        fromEnv: (raw) => {
+            const limit = parseUsageLimit(raw);
+            return limit === undefined ? raw : limit;
+        },
+        check: (value) => value && typeof value.amount === 'number' && value.amount > 0 && Object.keys(USAGE_LIMIT_UNITS).includes(value.unit)
+            ? null : 'must be { "amount", "unit" } with a positive amount and a unit of "tokens" or "usd"',
+    },
+    region: {
+        fromEnv: (raw) => parseRegion(raw) || raw,
+        check: (value) => value && typeof value === 'object' && ['x', 'y', 'width', 'height'].every(k => Number.isInteger(value[k]) && value[k] >= 0) && value.width > 0 && value.height > 0
+            ? null : 'must be { "x", "y", "width", "height" } in whole pixels with a non-zero size',
+    },
+};
+
+let settingsSchema = null;
+
+/**
+ * Describes every persisted setting: its key (a path into state, also used in config.json), the environment variable
+ * that overrides it (the same name the old .env file used), its type and whether it is a secret or may be null.
+ * Built on first use because it refers to tables of the other modules.
+ * @returns {{key: string, envKey: string, type: string, secret?: boolean, nullable?: boolean}[]}
+ */
+function getSettingsSchema() {
+    if (settingsSchema) return settingsSchema;
+    settingsSchema = [
+        { key: 'provider', envKey: 'AI_PROVIDER', type: 'choice', choices: () => Object.keys(AI_PROVIDERS) },
+        { key: 'secretStore', envKey: 'SECRET_STORE', type: 'choice', choices: () => SECRET_STORE_CHOICES },
+        { key: 'apiKey', envKey: 'GEMINI_API_KEY', type: 'string', secret: true, nullable: true },
+        { key: 'aiModel', envKey: 'AI_MODEL', type: 'string' },
+        { key: 'geminiBaseUrl', envKey: 'GEMINI_BASE_URL', type: 'url' },
+        { key: 'openaiBaseUrl', envKey: 'OPENAI_BASE_URL', type: 'url' },
+        { key: 'openaiApiKey', envKey: 'OPENAI_API_KEY', type: 'string', secret: true, nullable: true },
+        { key: 'openaiModel', envKey: 'OPENAI_MODEL', type: 'string' },
+        { key: 'ollamaBaseUrl', envKey: 'OLLAMA_BASE_URL', type: 'url' },
+        { key: 'ollamaModel', envKey: 'OLLAMA_MODEL', type: 'string' },
+        { key: 'requestTimeoutSeconds', envKey: 'REQUEST_TIMEOUT_SECONDS', type: 'integer' },
+        { key: 'maxRetries', envKey: 'MAX_RETRIES', type: 'integer' },
+        { key: 'fallbackModels', envKey: 'FALLBACK_MODELS', type: 'list' },
+        { key: 'customPrompt', envKey: 'CUSTOM_PROMPT', type: 'string' },
+        { key: 'systemInstruction', envKey: 'SYSTEM_INSTRUCTION', type: 'string', nullable: true },
+        { key: 'jsonResponse', envKey: 'JSON_RESPONSE', type: 'boolean' },
+        ...Object.entries(GENERATION_PARAMETERS).map(([name, { envKey, min, max, integer }]) => (
+            { key: `generationConfig.${name}`, envKey, type: integer ? 'integer' : 'number', min, max }
+        )),
+        ...Object.keys(SAFETY_CATEGORIES).map(name => (
+            { key: `safetyThresholds.${name}`, envKey: `SAFETY_${name.toUpperCase()}`, type: 'choice', choices: () => Object.keys(SAFETY_THRESHOLDS) }
+        )),
+        { key: 'pipelineMode', envKey: 'PIPELINE_MODE', type: 'choice', choices: () => Object.keys(PIPELINE_MODES) },
+        { key: 'imageFormat', envKey: 'IMAGE_FORMAT', type: 'choice', choices: () => Object.keys(IMAGE_UPLOAD_FORMATS) },
+        { key: 'imageQuality', envKey: 'IMAGE_QUALITY', type: 'integer', min: 1, max: 100 },
+        { key: 'imageMaxDimension', envKey: 'IMAGE_MAX_DIMENSION', type: 'integer' },
+        { key: 'ocrLanguages', envKey: 'OCR_LANGUAGES', type: 'languages' },
+        { key: 'ocrEngine', envKey: 'OCR_ENGINE', type: 'choice', choices: () => Object.keys(OCR_ENGINES) },
+        { key: 'ocrPageSegMode', envKey: 'OCR_PSM', type: 'integer', min: 0, max: 13 },
+        { key: 'ocrWhitelist', envKey: 'OCR_WHITELIST', type: 'string', nullable: true },
+        { key: 'ocrPreprocessing.grayscale', envKey: 'OCR_GRAYSCALE', type: 'boolean' },
+        { key: 'ocrPreprocessing.upscale', envKey: 'OCR_UPSCALE', type: 'number', min: 1, max: OCR_MAX_UPSCALE },
+        { key: 'ocrPreprocessing.invert', envKey: 'OCR_INVERT', type: 'choice', choices: () => OCR_INVERT_MODES },
+        { key: 'ocrPreprocessing.threshold', envKey: 'OCR_THRESHOLD', type: 'integer', min: 0, max: 255 },
+        { key: 'ocrTextFormat', envKey: 'OCR_TEXT_FORMAT', type: 'choice', choices: () => Object.keys(OCR_TEXT_FORMATS) },
+        { key: 'ocrMinConfidence', envKey: 'OCR_MIN_CONFIDENCE', type: 'integer', min: 0, max: 100 },
+        { key: 'redactionEnabled', envKey: 'REDACTION_ENABLED', type: 'boolean' },
+        { key: 'redactionBuiltins', envKey: 'REDACTION_BUILTINS', type: 'list', choices: () => Object.keys(REDACTION_BUILTINS) },
+        { key: 'redactionRules', envKey: 'REDACTION_RULES', type: 'redactionRules' },
+        { key: 'debugMode', envKey: 'DEBUG_MODE', type: 'boolean' },
+        { key: 'streamResponses', envKey: 'STREAM_RESPONSES', type: 'boolean' },
+        { key: 'triggerKey', envKey: 'TRIGGER_KEY', type: 'hotkey' },
+        { key: 'clipboardTriggerKey', envKey: 'CLIPBOARD_TRIGGER_KEY', type: 'hotkey', nullable: true },
+        { key: 'copyToClipboard', envKey: 'COPY_TO_CLIPBOARD', type: 'boolean' },
+        { key: 'captureMode', envKey: 'CAPTURE_MODE', type: 'choice', choices: () => ['full', 'region'] },
+        { key: 'captureRegion', envKey: 'CAPTURE_REGION', type: 'region', nullable: true },
+        { key: 'displayId', envKey: 'DISPLAY_ID', type: 'string', nullable: true },
+        { key: 'historyEnabled', envKey: 'HISTORY_ENABLED', type: 'boolean' },
+        { key: 'historyMaxEntries', envKey: 'HISTORY_MAX_ENTRIES', type: 'integer' },
+        { key: 'historyMaxAgeDays', envKey: 'HISTORY_MAX_AGE_DAYS', type: 'integer' },
+        { key: 'apiEnabled', envKey: 'API_ENABLED', type: 'boolean' },
+        { key: 'apiPort', envKey: 'API_PORT', type: 'integer', min: 1, max: 65535 },
+        { key: 'apiToken', envKey: 'API_TOKEN', type: 'string', secret: true, nullable: true },
+        { key: 'queueMaxSize', envKey: 'QUEUE_MAX_SIZE', type: 'integer', min: 1 },
+        { key: 'watchOutputFormat', envKey: 'WATCH_OUTPUT_FORMAT', type: 'choice', choices: () => Object.keys(WATCH_OUTPUT_FORMATS) },
+        { key: 'watchConcurrency', envKey: 'WATCH_CONCURRENCY', type: 'integer', min: 1 },
+        { key: 'usagePrices', envKey: 'USAGE_PRICES', type: 'prices' },
+        { key: 'usageDailyLimit', envKey: 'USAGE_DAILY_LIMIT', type: 'usageLimit', nullable: true },
+        { key: 'usageMonthlyLimit', envKey: 'USAGE_MONTHLY_LIMIT', type: 'usageLimit', nullable: true },
+        { key: 'inputTokenLimit', envKey: 'INPUT_TOKEN_LIMIT', type: 'integer', min: 1, nullable: true },
+    ];
+    return settingsSchema;
+}
+
+// Schema entry of a setting key
+function getSettingEntry(key) {
+    return getSettingsSchema().find(entry => entry.key === key);
+}
+
+// Reads a dotted setting key like "generationConfig.topK" from an object
+function getSettingValue(source, key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), source);
+}
+
+// Writes a dotted setting key, creating intermediate objects as needed
+function setSettingValue(target, key, value) {
+    const parts = key.split('.');
+    const parent = parts.slice(0, -1).reduce((obj, part) => (obj[part] = obj[part] && typeof obj[part] === 'object' ? obj[part] : {}), target);
+    parent[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Checks a setting value in its config.json form.
+ * @returns {string|null} A description of what the value must be, or null if it's valid.
+ */
+function validateSetting(entry, value) {
+    if (value === null && entry.nullable) return null;
+    const problem = SETTING_TYPES[entry.type].check(value, entry);
+    return problem && entry.nullable ? `${problem} (or null)` : problem;
+}
+
+/**
+ * Converts an environment variable (or legacy .env value) into the config.json form of a setting.
+ * @returns {*} The value, null to clear a nullable setting, or undefined if the variable is empty and should be ignored.
+ */
+function parseEnvSetting(entry, raw) {
+    if (raw.trim() === '') return entry.nullable ? null : undefined;
+    return SETTING_TYPES[entry.type].fromEnv(raw);
+}
+
+// Current value of a setting in its config.json form
+function getConfigValue(entry) {
+    const value = getSettingValue(state, entry.key);
+    const { toConfig } = SETTING_TYPES[entry.type];
+    return value !== null && toConfig ? toConfig(value) : value;
+}
+
+// Applies a validated config.json value to state
+function applyConfigValue(entry, value) {
+    const { toState } = SETTING_TYPES[entry.type];
+    setSettingValue(state, entry.key, value !== null && toState ? toState(value) : value);
+}
+
+// Formats a value for messages, e.g. "5" or "\"abc\""
+function formatSettingValue(value) {
+    return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+/**
+ * Converts a pre-config.json .env file into settings. Invalid values are reported and left at their defaults.
+ * @param {string} [filePath]
+ * @returns {Promise<object|null>} Settings keyed like config.json (secrets included), or null if there's no .env file.
+ */
+async function readLegacyEnvFile(filePath = LEGACY_ENV_PATH) {
+    if (!fss.existsSync(filePath)) return null;
+
+    const envConfig = dotenv.parse(await fs.readFile(filePath));
+    const settings = {};
+    for (const entry of getSettingsSchema()) {
+        if (envConfig[entry.envKey] === undefined) continue;
+        // The old serializer escaped double quotes, which dotenv.parse doesn't undo
+        const value = parseEnvSetting(entry, envConfig[entry.envKey].replace(/\\"/g, '"'));
+        if (value === undefined) continue;
+        const problem = validateSetting(entry, value);
+        if (problem) {
+            logWarn(`Invalid ${entry.envKey} "${envConfig[entry.envKey]}" in .env file: ${problem}. Using the default.`);
+            continue;
+        }
+        setSettingValue(settings, entry.key, value);
+    }
+    return settings;
+}
+
+/**
+ * Loads settings into state: config.json and secrets.json (migrating a legacy .env file on first run), then
+ * environment variable overrides. Invalid values are reported with the file and setting name and left at their defaults.
+ */
+async function loadSettings() {
+    logDebug(`Loading settings from ${CONFIG_DIR}`);
+    const schema = getSettingsSchema();
+    Object.keys(settingsOverrides).forEach(key => delete settingsOverrides[key]); // From an earlier load
+    try {
+        const configFile = await readSettingsFile(CONFIG_PATH);
+        const secretsFile = await readSettingsFile(PLAINTEXT_SECRETS_PATH);
+        settingsReadOnly = configFile.readOnly || secretsFile.readOnly;
+        let fileSettings = configFile.settings;
+        let secrets = secretsFile.settings;
+        let migrated = false;
+
+        if (!fileSettings && !secrets && !settingsReadOnly) {
+            const legacySettings = await readLegacyEnvFile();
+            if (legacySettings) {
+                fileSettings = Object.fromEntries(Object.entries(legacySettings).filter(([key]) => !schema.some(e => e.key === key && e.secret)));
+                secrets = Object.fromEntries(Object.entries(legacySettings).filter(([key]) => schema.some(e => e.key === key && e.secret)));
+                migrated = true;
+            }
+        } else if (fss.existsSync(LEGACY_ENV_PATH)) {
+            logWarn(`Ignoring ${LEGACY_ENV_PATH}: settings are now kept in ${CONFIG_PATH}. Set environment variables to override them instead.`);
+        }
+
+        for (const [filePath, source] of [[CONFIG_PATH, fileSettings], [PLAINTEXT_SECRETS_PATH, secrets]]) {
+            if (!source) continue;
+            for (const entry of schema) {
+                const value = getSettingValue(source, entry.key);
+                if (value === undefined) continue;
+                const problem = validateSetting(entry, value);
+                if (problem) {
+                    logWarn(`Invalid setting "${entry.key}" in ${filePath}: ${problem}, got ${formatSettingValue(value)}. Using ${formatSettingValue(getConfigValue(entry))}.`);
+                    continue;
+                }
+                applyConfigValue(entry, value);
+            }
+        }
+
+        for (const entry of schema) {
+            const raw = process.env[entry.envKey];
+            if (raw === undefined) continue;
+            const value = parseEnvSetting(entry, raw);
+            if (value === undefined) continue;
+            const problem = validateSetting(entry, value);
+            if (problem) {
+                logWarn(`Ignoring environment variable ${entry.envKey}="${raw}": ${problem}.`);
+                continue;
+            }
+            settingsOverrides[entry.key] = { envKey: entry.envKey, value, storedValue: getConfigValue(entry) };
+            applyConfigValue(entry, value);
+        }
+
+        // A region capture needs a region; fall back to the full display if none was saved
+        if (state.captureMode === 'region' && !state.captureRegion) {
+            state.captureMode = 'full';
+        }
+
+        await loadSecrets(secrets);
+        if (migrated) {
+            await saveSettings();
+            await fs.rename(LEGACY_ENV_PATH, `${LEGACY_ENV_PATH}.migrated`);
+            logSuccess(`Moved settings from .env to ${CONFIG_PATH}. The old file was renamed to .env.migrated.`);
+        } else if (fileSettings || secrets) {
+            logInfo(`Settings loaded from ${CONFIG_DIR}.`);
+        }
+        const overrides = Object.values(settingsOverrides).map(o => o.envKey);
+        if (overrides.length > 0) {
+            logInfo(`Environment variables override: ${overrides.join(', ')}.`);
+        }
+    } catch (error) {
+        logError("Failed to load settings", error);
+        logWarn("Using default settings.");
+    }
+}
+
+// Saves all settings: secrets to the secret store, everything else to config.json.
+async function saveSettings() {
+    if (settingsReadOnly) {
+        logWarn(`Settings not saved: ${CONFIG_DIR} contains settings this version can't safely overwrite.`);
+        return;
+    }
+    logDebug(`Saving settings to ${CONFIG_DIR}`);
+    try {
+        const settings = (await readSettingsFile(CONFIG_PATH)).settings || {}; // Keep keys this version doesn't know about
+        const secrets = {};
+        getSettingsSchema().filter(entry => entry.secret).forEach(entry => delete settings[entry.key]);
+        for (const entry of getSettingsSchema()) {
+            let value = getConfigValue(entry);
+            const override = settingsOverrides[entry.key];
+            if (override && JSON.stringify(value) === JSON.stringify(override.value)) {
+                if (entry.secret) continue; // Still the environment value, leave the secret store alone
+                value = override.storedValue; // Still the environment value, keep what was saved before
+            } else if (override) {
+                logWarn(`${override.envKey} is set in the environment and will override this setting again on the next start.`);
+                delete settingsOverrides[entry.key];
+            }
+            if (entry.secret) secrets[entry.key] = value;
+            else if (value !== undefined) setSettingValue(settings, entry.key, value);
+        }
+        await writeSettingsFile(CONFIG_PATH, settings);
+        await saveSecrets(secrets);
+        logSuccess("Settings saved.");
+    } catch (error) {
+        logError("Failed to save settings", error);
+    }
+}
+
+// --- Secrets ---
+// Secret settings are read from and written to the secret store (see lib/secrets.js) instead of config.json.
+
+const storedSecrets = {}; // { [setting key]: value } as last read from or written to the secret store
+let secretsUnavailable = false; // Set when the store couldn't be read, so saving doesn't overwrite what's in it
+
+/**
+ * Opens the secret store and reads the secrets that aren't overridden by environment variables into state.
+ * Secrets found in plain text (an older secrets.json or .env file, already applied to state) are moved into the store.
+ * @param {object|null} plaintextSecrets Secrets read from plain-text files, keyed like the settings.
+ */
+async function loadSecrets(plaintextSecrets) {
+    state.secretStorage = await createSecretStore();
+    logDebug(`Using the ${state.secretStorage.label} for secrets.`);
+    const secretEntries = getSettingsSchema().filter(entry => entry.secret);
+    try {
+        for (const entry of secretEntries) {
+            if (settingsOverrides[entry.key]) continue;
+            storedSecrets[entry.key] = await state.secretStorage.get(entry.envKey);
+            if (!plaintextSecrets || plaintextSecrets[entry.key] === undefined) {
+                applyConfigValue(entry, storedSecrets[entry.key]);
+            }
+        }
+    } catch (error) {
+        secretsUnavailable = true;
+        logError(`Could not read secrets from the ${state.secretStorage.label}:`, error);
+        logWarn("API keys are unavailable this session, and changes to them won't be saved.");
+        return;
+    }
+
+    if (plaintextSecrets) {
+        try {
+            await saveSecrets(Object.fromEntries(secretEntries.map(entry => [entry.key, getConfigValue(entry)])));
+            await fs.rm(PLAINTEXT_SECRETS_PATH, { force: true });
+            if (Object.values(plaintextSecrets).some(value => value !== null)) {
+                logSuccess(`Moved API keys to the ${state.secretStorage.label}.`);
+            }
+        } catch (error) {
+            logError(`Could not move API keys to the ${state.secretStorage.label}. They are still read from plain text until then.`, error);
+        }
+    }
+}
+
+/**
+ * Writes changed secrets to the secret store; null values are deleted from it.
+ * @param {object} secrets Secret values keyed by setting key.
+ */
+async function saveSecrets(secrets) {
+    const changedEntries = getSettingsSchema().filter(entry => entry.secret && entry.key in secrets && secrets[entry.key] !== (storedSecrets[entry.key] ?? null));
+    if (changedEntries.length === 0) return;
+    if (secretsUnavailable) {
+        logWarn(`API keys not saved: the ${state.secretStorage.label} couldn't be read when AI Helper started.`);
+        return;
+    }
+    for (const entry of changedEntries) {
+        const value = secrets[entry.key];
+        if (value === null) await state.secretStorage.delete(entry.envKey);
+        else await state.secretStorage.set(entry.envKey, value);
+        storedSecrets[entry.key] = value;
+    }
+}
+
+// Whether the secret store couldn't be read on start (e.g. no passphrase was given), shown as "(locked)" by 'get'
+function isSecretStoreLocked() {
+    return secretsUnavailable;
+}
+
+/**
+ * Moves the stored secrets to the store for a new 'secretStore' setting and saves the setting.
+ * @param {string} preference One of SECRET_STORE_CHOICES.
+ */
+async function changeSecretStore(preference) {
+    if (secretsUnavailable) {
+        logError(`Cannot move secrets: the ${state.secretStorage.label} couldn't be read when AI Helper started.`);
+        return;
+    }
+    const newStorage = await createSecretStore(preference);
+    if (newStorage.label !== state.secretStorage.label) {
+        const oldStorage = state.secretStorage;
+        const secrets = Object.entries(storedSecrets).filter(([, value]) => value !== null);
+        try {
+            for (const [key, value] of secrets) {
+                await newStorage.set(getSettingEntry(key).envKey, value);
+            }
+        } catch (error) {
+            logError(`Failed to store secrets in the ${newStorage.label}. They stay in the ${oldStorage.label}.`, error);
+            return;
+        }
+        state.secretStorage = newStorage;
+        for (const [key] of secrets) {
+            await oldStorage.delete(getSettingEntry(key).envKey)
+                .catch(error => logWarn(`Could not remove ${key} from the ${oldStorage.label}: ${error.message}`));
+        }
+        logSuccess(`Moved ${secrets.length} secret(s) to the ${newStorage.label}.`);
+    }
+    state.secretStore = preference;
+    await saveSettings();
+}
+
+module.exports = {
+    CONFIG_PATH,
+    settingsOverrides,
+    SETTING_TYPES,
+    getSettingsSchema,
+    getSettingEntry,
+    validateSetting,
+    readLegacyEnvFile,
+    loadSettings,
+    saveSettings,
+    isSecretStoreLocked,
+    changeSecretStore,
+};
@@ -0,0 +1,106 @@
+// lib/state.js - Shared application state with its defaults. Every module reads and changes this one object;
+// settings are loaded into it (see lib/settings.js) and adapters for the system integrations live in it.
+
+const os = require('os');
+
+const DEFAULT_GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com';
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_OLLAMA_BASE_URL = 'http://localhost:11434';
+const DEFAULT_API_PORT = 8765;
+const DEFAULT_GENERATION_CONFIG = { temperature: 0.4, topK: 32, topP: 1, maxOutputTokens: 4096 };
+const DEFAULT_OCR_PREPROCESSING = { grayscale: false, upscale: 1, invert: 'off', threshold: 0 };
+
+const state = {
+    operatingSystem: os.platform(),
+    provider: 'gemini', // Active AI provider, a key of AI_PROVIDERS
+    aiModel: "gemini-1.5-flash", // Default model if fetch fails or none set
+    openaiBaseUrl: DEFAULT_OPENAI_BASE_URL, // OpenAI-compatible server, e.g. http://localhost:1234/v1 for a local one
+    openaiApiKey: null,
+    openaiModel: "gpt-4o-mini",
+    ollamaBaseUrl: DEFAULT_OLLAMA_BASE_URL,
+    ollamaModel: "llava",
+    geminiBaseUrl: DEFAULT_GEMINI_BASE_URL, // Only changed for proxies or a local mock server
+    requestTimeoutSeconds: 60, // Per-attempt AI request timeout, 0 for none
+    maxRetries: 3, // Retries of a request after a timeout, network, rate-limit or server error
+    fallbackModels: [], // Models tried in order when the selected one is not found or out of quota
+    streamedCharacters: 0, // Characters printed by the current streaming request, see writeStreamChunk()
+    customPrompt: "Analyze the text and image from this screenshot. Provide a concise summary or answer based on the content.",
+    debugMode: false,
+    streamResponses: false, // Print the response to the console as it is generated
+    generationConfig: { ...DEFAULT_GENERATION_CONFIG }, // See GENERATION_PARAMETERS in lib/providers.js
+    safetyThresholds: { harassment: 'medium', hate_speech: 'medium', sexually_explicit: 'medium', dangerous_content: 'medium' }, // Gemini only, see SAFETY_THRESHOLDS in lib/providers.js
+    systemInstruction: null, // Optional system prompt sent with every request
+    jsonResponse: false, // Ask the model for a JSON response
+    pipelineMode: 'image+text', // What is sent to the AI, a key of PIPELINE_MODES
+    imageFormat: 'png', // Encoding of uploaded images, a key of IMAGE_UPLOAD_FORMATS
+    imageQuality: 80, // JPEG and WebP quality, 1-100
+    imageMaxDimension: 2048, // Images are scaled down to fit this many pixels on their longer side, 0 for full size
+    lastImageUpload: null, // Images of the last request: { images, bytes, originalBytes }, shown by 'get'
+    ocrLanguages: 'eng', // Tesseract language codes joined with '+', e.g. 'eng+deu+jpn'
+    ocrEngine: 'lstm', // Key of OCR_ENGINES
+    ocrPageSegMode: 3, // Tesseract page segmentation mode (PSM), 3 = fully automatic
+    ocrWhitelist: null, // Only recognize these characters, null for all
+    ocrPreprocessing: { ...DEFAULT_OCR_PREPROCESSING }, // Image steps before OCR, see preprocessOcrImage()
+    ocrTextFormat: 'plain', // How the OCR text is sent, a key of OCR_TEXT_FORMATS
+    ocrMinConfidence: 60, // Words recognized with a lower confidence (0-100) are marked in the lines and table formats, 0 for none
+    redactionEnabled: false, // Remove sensitive data from the text and images before they are sent, see redactCaptures()
+    redactionBuiltins: ['email', 'api-token', 'credit-card', 'internal-host'], // Enabled keys of REDACTION_BUILTINS
+    redactionRules: [], // User rules: [{ name, pattern, flags? }], pattern being a regular expression
+    isRunning: true,
+    headless: false, // One-shot mode: logs go to stderr, no notifications, prompts or streaming
+    isProcessing: false, // Lock held while a capture job (or another AI request like 'ask') is running
+    captureQueue: [], // Pending capture jobs, oldest first, see enqueueJob()
+    activeJob: null, // Capture job being processed
+    queueMaxSize: 5, // Pending jobs allowed before new triggers are rejected
+    nextJobId: 1, // Jobs are numbered so notifications can be matched to their triggers
+    apiKey: null,
+    secretStore: 'auto', // Where API keys are kept: 'auto' (OS keychain if available), 'keychain' or 'file'
+    secretStorage: null, // Secret store adapter, see createSecretStore()
+    worker: null, // Tesseract worker, or any OCR adapter with recognize() and terminate()
+    googleAI: null,
+    model: null, // Gemini model instance
+    // notificationTimeout removed
+    triggerKey: { name: 'C', ctrl: true, shift: true, alt: false, meta: false },
+    clipboardTriggerKey: null, // Optional hotkey that analyzes the clipboard instead of taking a screenshot
+    copyToClipboard: false, // Put every response on the clipboard
+    clipboard: null, // Clipboard adapter, see createSystemClipboard()
+    screenshotter: null, // Screenshot adapter, see createSystemScreenshotter()
+    notifier: null, // Desktop notification adapter (node-notifier by default)
+    aiProvider: null, // AI provider used instead of the one in AI_PROVIDERS, see useAdapters()
+    globalListener: null,
+    cli: null, // readline interface of the interactive CLI, see setupCli() in main.js; null in one-shot mode
+    fetchedModels: [], // Array to store models fetched from API
+    modelListPage: 0, // Current page for model selection
+    captureMode: 'full', // 'full' (whole display) or 'region' (crop to captureRegion)
+    captureRegion: null, // Last used region: { x, y, width, height } in screen pixels
+    displayId: null, // Display to capture (id from screenshot.listDisplays()), null for the first display, or 'all'
+    lastResponse: null, // Last capture result for the 'last' command: { text, timestamp, model, viewerPath }
+    conversation: null, // Follow-up chat seeded by the last capture: { seed: Content[], turns: Content[][] }
+    historyEnabled: false, // Keep a local copy of every capture (image, OCR text, prompt, model, response)
+    historyMaxEntries: 100, // Retention by count, 0 for unlimited
+    historyMaxAgeDays: 0, // Retention by age in days, 0 for unlimited
+    profiles: {}, // Named prompt profiles: { [name]: { prompt, model?, triggerKey? } }
+    activeProfile: null, // Name of the profile used by 'capture' and the main hotkey, or null for the custom prompt
+    apiEnabled: false, // Start the local HTTP API on launch
+    apiPort: DEFAULT_API_PORT,
+    apiToken: null, // Bearer token required by every API request, generated on first enable
+    apiServer: null, // Running http.Server instance
+    watcher: null, // Watched folder, see startWatching()
+    watchOutputFormat: 'md', // Result file written next to each watched image, a key of WATCH_OUTPUT_FORMATS
+    watchConcurrency: 2, // Watched images analyzed at a time, see scanWatchedFolder()
+    usagePrices: {}, // Cost estimates: { [model name or prefix]: { input, output } } in USD per million tokens
+    usageDailyLimit: null, // Usage after which captures are refused, { amount, unit: 'tokens' | 'usd' }, null for none
+    usageMonthlyLimit: null,
+    inputTokenLimit: null, // Input limit for the pre-send size check; null uses the limit Gemini lists for the model
+    modelInputTokenLimits: {}, // Input limits fetched from Gemini per model, null where unknown
+};
+
+module.exports = {
+    state,
+    DEFAULT_GEMINI_BASE_URL,
+    DEFAULT_OPENAI_BASE_URL,
+    DEFAULT_OLLAMA_BASE_URL,
+    DEFAULT_API_PORT,
+    DEFAULT_GENERATION_CONFIG,
+    DEFAULT_OCR_PREPROCESSING,
+};
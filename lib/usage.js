@@ -0,0 +1,235 @@
+// lib/usage.js - Usage accounting. Every AI request is recorded in usage.jsonl in the config directory with its prompt
+// and output token counts, as reported by the API (or estimated when a server doesn't report them). 'usage' adds them
+// up per day and model, the usagePrices table turns them into cost estimates, and the optional daily and monthly
+// limits refuse new captures once they are reached.
+
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const { state } = require('./state');
+const { logDebug, logWarn, ERROR_PREFIX, NOTIFICATION_MAX_LENGTH, ICON_PATH } = require('./log');
+const { CONFIG_DIR } = require('./config-dir');
+
+const USAGE_PATH = path.join(CONFIG_DIR, 'usage.jsonl'); // Token counts of every AI request, one JSON record per line
+const USAGE_LIMIT_UNITS = { tokens: 'tokens', usd: 'USD' };
+
+const USAGE_LIMIT_PERIODS = {
+    daily: { key: 'usageDailyLimit', label: 'Daily', keyLength: 10, next: 'tomorrow' }, // keyLength: of "2026-10-19"
+    monthly: { key: 'usageMonthlyLimit', label: 'Monthly', keyLength: 7, next: 'next month' }, // "2026-10"
+};
+
+const USAGE_DAYS_SHOWN = 7; // Days listed by 'usage' unless another number is given
+
+const CHARS_PER_TOKEN = 4; // Rough token estimate for text
+
+const IMAGE_TILE_SIZE = 768; // Images are counted in tiles of this many pixels square...
+
+const IMAGE_TILE_TOKENS = 258; // ...of this many tokens each (Gemini's rule; images up to half a tile are one tile)
+
+let usageRecordsLoading = null; // Promise of the records in USAGE_PATH, read on first use
+
+/**
+ * Returns the usage records, reading usage.jsonl on first use. Records are appended to the same array as they are made.
+ * @returns {Promise<{time: string, provider: string, model: string, promptTokens: number, outputTokens: number,
+ *   estimated?: boolean}[]>} Oldest first.
+ */
+function loadUsageRecords() {
+    usageRecordsLoading = usageRecordsLoading || (async () => {
+        try {
+            const lines = (await fs.readFile(USAGE_PATH, 'utf8')).split('\n').filter(line => line.trim());
+            return lines.flatMap(line => {
+                try {
+                    return [JSON.parse(line)];
+                } catch {
+                    return []; // Line cut off by a crash
+                }
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT') logWarn(`Could not read usage records: ${error.message}`);
+            return [];
+        }
+    })();
+    return usageRecordsLoading;
+}
+
+/**
+ * Records the token counts of a finished request. When the provider didn't report them, they are estimated and the
+ * record is marked as such.
+ * @param {string} providerId Id of the provider that answered ('custom' for one set with useAdapters()).
+ * @param {string} modelName Model that answered.
+ * @param {object[]} contents The request, see AI_PROVIDERS in lib/providers.js.
+ * @param {string} responseText The response (or ERROR_PREFIX string).
+ * @param {{promptTokens: number, outputTokens: number}|null} reportedUsage Token counts passed to onUsage, if any.
+ */
+async function recordUsage(providerId, modelName, contents, responseText, reportedUsage) {
+    const usage = reportedUsage || {
+        promptTokens: await estimateInputTokens(contents),
+        outputTokens: responseText.startsWith(ERROR_PREFIX) ? 0 : Math.ceil(responseText.length / CHARS_PER_TOKEN),
+        estimated: true,
+    };
+    const record = { time: new Date().toISOString(), provider: providerId, model: modelName, ...usage };
+    (await loadUsageRecords()).push(record);
+    logDebug(`Usage: ${record.promptTokens} prompt + ${record.outputTokens} output tokens${record.estimated ? ' (estimated)' : ''}.`);
+    try {
+        await fs.mkdir(CONFIG_DIR, { recursive: true });
+        await fs.appendFile(USAGE_PATH, JSON.stringify(record) + '\n');
+    } catch (error) {
+        logWarn(`Could not save the usage record: ${error.message}`);
+    }
+}
+
+// Local calendar day of a date, like "2026-10-19"; its first 7 characters are the month
+function getUsageDay(date) {
+    const day = new Date(date);
+    return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+}
+
+// Price of a model from usagePrices: the longest entry the model name starts with, so "gemini-1.5-flash" also prices
+// "gemini-1.5-flash-002"
+function getModelPrice(modelName) {
+    const match = Object.keys(state.usagePrices)
+        .filter(name => modelName.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+    return match ? state.usagePrices[match] : null;
+}
+
+/**
+ * Adds up usage records.
+ * @returns {{requests: number, promptTokens: number, outputTokens: number, cost: number, unpriced: number,
+ *   estimated: number}} The cost (in USD) covers the records of models with a price; `unpriced` counts the others and
+ *   `estimated` the records whose token counts were estimated.
+ */
+function sumUsage(records) {
+    const totals = { requests: 0, promptTokens: 0, outputTokens: 0, cost: 0, unpriced: 0, estimated: 0 };
+    for (const record of records) {
+        const price = getModelPrice(record.model);
+        totals.requests++;
+        if (record.estimated) totals.estimated++;
+        totals.promptTokens += record.promptTokens;
+        totals.outputTokens += record.outputTokens;
+        if (price) {
+            totals.cost += (record.promptTokens * price.input + record.outputTokens * price.output) / 1e6;
+        } else {
+            totals.unpriced++;
+        }
+    }
+    return totals;
+}
+
+// Records of the day (keyLength 10) or month (keyLength 7) that `date` falls in
+function getUsageInPeriod(records, keyLength, date = new Date()) {
+    const periodKey = getUsageDay(date).substring(0, keyLength);
+    return records.filter(record => getUsageDay(record.time).startsWith(periodKey));
+}
+
+// How much of a limit the records use: their tokens or their cost
+function getLimitUsage(limit, records) {
+    const totals = sumUsage(records);
+    return limit.unit === 'usd' ? totals.cost : totals.promptTokens + totals.outputTokens;
+}
+
+// Amount in the unit of a limit: a token count or USD
+function formatUsageAmount(amount, unit) {
+    return unit === 'usd' ? `$${amount.toFixed(2)}` : `${Math.round(amount).toLocaleString('en-US')} tokens`;
+}
+
+// E.g. "12 requests, 30,120 prompt + 1,250 output tokens (~$0.0027)"
+function formatUsageTotals(totals) {
+    const tokens = `${totals.promptTokens.toLocaleString('en-US')} prompt + ${totals.outputTokens.toLocaleString('en-US')} output tokens`;
+    let cost = totals.unpriced < totals.requests ? `~$${totals.cost.toFixed(4)}` : 'no price set';
+    if (totals.unpriced > 0 && totals.unpriced < totals.requests) cost += `, ${totals.unpriced} without a price`;
+    if (totals.estimated > 0) cost += `, ${totals.estimated} estimated`;
+    return `${totals.requests} request${totals.requests === 1 ? '' : 's'}, ${tokens} (${cost})`;
+}
+
+function formatUsageLimits() {
+    const limits = Object.entries(USAGE_LIMIT_PERIODS)
+        .filter(([, { key }]) => state[key])
+        .map(([period, { key }]) => `${period} ${formatUsageAmount(state[key].amount, state[key].unit)}`);
+    return limits.length > 0 ? limits.join(', ') : 'None';
+}
+
+/**
+ * Parses a usage limit like "200000", "200000 tokens", "$5" or "5 usd".
+ * @returns {{amount: number, unit: 'tokens'|'usd'}|null|undefined} The limit, null for "none", or undefined if invalid.
+ */
+function parseUsageLimit(text) {
+    const value = String(text).trim().toLowerCase();
+    if (value === 'none' || value === 'off') return null;
+    const match = value.match(/^(\$)?\s*(\d+(?:\.\d+)?)\s*(tokens?|usd|\$)?$/);
+    if (!match || Number(match[2]) <= 0) return undefined;
+    const unit = match[1] || match[3] === 'usd' || match[3] === '$' ? 'usd' : 'tokens';
+    return { amount: Number(match[2]), unit };
+}
+
+/**
+ * Checks the daily and monthly usage limits.
+ * @returns {Promise<string|null>} Which limit is reached, or null if requests may be sent.
+ */
+async function checkUsageLimits() {
+    const records = await loadUsageRecords();
+    for (const [period, { key, label, keyLength, next }] of Object.entries(USAGE_LIMIT_PERIODS)) {
+        const limit = state[key];
+        if (!limit) continue;
+        const used = getLimitUsage(limit, getUsageInPeriod(records, keyLength));
+        if (used >= limit.amount) {
+            return `${label} usage limit of ${formatUsageAmount(limit.amount, limit.unit)} reached (${formatUsageAmount(used, limit.unit)} used). `
+                + `New requests are refused until ${next}, or raise it with 'usage limit ${period}'.`;
+        }
+    }
+    return null;
+}
+
+// Reports a trigger refused because of a usage limit, with its own notification so it isn't mistaken for a failure
+function reportUsageLimit(problem) {
+    logWarn(problem);
+    if (!state.headless) {
+        state.notifier.notify({ title: 'AI Helper: Usage Limit Reached', message: problem.substring(0, NOTIFICATION_MAX_LENGTH), icon: ICON_PATH, sound: true });
+    }
+}
+
+// Token estimate of an image: one tile if it fits in half a tile, else the number of tiles covering it
+async function estimateImageTokens(image) {
+    try {
+        const { width, height } = await sharp(image).metadata();
+        if (width <= IMAGE_TILE_SIZE / 2 && height <= IMAGE_TILE_SIZE / 2) return IMAGE_TILE_TOKENS;
+        return Math.ceil(width / IMAGE_TILE_SIZE) * Math.ceil(height / IMAGE_TILE_SIZE) * IMAGE_TILE_TOKENS;
+    } catch {
+        return IMAGE_TILE_TOKENS;
+    }
+}
+
+/**
+ * Estimates the prompt tokens of a request from its text length and image sizes. Every provider counts a little
+ * differently, so this only tells requests that are far too large apart from the rest.
+ * @param {object[]} contents The request, see AI_PROVIDERS in lib/providers.js.
+ * @returns {Promise<number>}
+ */
+async function estimateInputTokens(contents) {
+    let tokens = Math.ceil((state.systemInstruction || '').length / CHARS_PER_TOKEN);
+    for (const part of contents.flatMap(content => content.parts)) {
+        if (typeof part.text === 'string') tokens += Math.ceil(part.text.length / CHARS_PER_TOKEN);
+        if (part.inlineData) tokens += await estimateImageTokens(Buffer.from(part.inlineData.data, 'base64'));
+    }
+    return tokens;
+}
+
+module.exports = {
+    USAGE_PATH,
+    USAGE_LIMIT_UNITS,
+    USAGE_LIMIT_PERIODS,
+    USAGE_DAYS_SHOWN,
+    loadUsageRecords,
+    recordUsage,
+    getUsageDay,
+    sumUsage,
+    getUsageInPeriod,
+    getLimitUsage,
+    formatUsageAmount,
+    formatUsageTotals,
+    formatUsageLimits,
+    parseUsageLimit,
+    checkUsageLimits,
+    reportUsageLimit,
+    estimateInputTokens,
+};
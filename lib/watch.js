@@ -0,0 +1,230 @@
+// lib/watch.js - Watch folder. 'watch <dir>' analyzes images as they appear in a folder (e.g. screenshots dropped
+// there from devices or VMs) and writes each result next to its image. The folder is polled instead of relying on file
+// system events, which many network shares don't deliver. Analyzed files are recorded in a ledger in the folder, so a
+// restart doesn't redo them. Like 'batch', watched images are analyzed directly, up to watchConcurrency at once,
+// instead of going through the capture queue, so a folder full of images never fills the queue that hotkey and API
+// captures wait in.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { state } = require('./state');
+const { logWarn, logSuccess, logError } = require('./log');
+const { writeFileAtomic } = require('./settings-file');
+const { checkUsageLimits } = require('./usage');
+const { isImageFile, convertToTempPng, analyzeCaptures } = require('./pipeline');
+const { getActiveProfile } = require('./profiles');
+
+const WATCH_OUTPUT_FORMATS = { md: 'Markdown', json: 'JSON' };
+const WATCH_LEDGER_FILENAME = '.ai-helper-watch.json';
+const WATCH_POLL_INTERVAL_MS = 2000;
+const WATCH_SETTLE_MS = 2000; // How long a file must keep its size and modification time before it's considered complete
+
+/**
+ * Starts watching a folder. Images already in it are analyzed too, unless its ledger lists them.
+ * @param {string} dir Folder to watch.
+ * @param {object} [timing]
+ * @param {number} [timing.pollIntervalMs] How often the folder is scanned.
+ * @param {number} [timing.settleMs] How long a file must stay unchanged before it's analyzed.
+ * @returns {Promise<boolean>} False if the folder can't be watched.
+ */
+async function startWatching(dir, { pollIntervalMs = WATCH_POLL_INTERVAL_MS, settleMs = WATCH_SETTLE_MS } = {}) {
+    const watchDir = path.resolve(dir);
+    try {
+        if (!(await fs.stat(watchDir)).isDirectory()) {
+            logError(`Not a folder: ${watchDir}`);
+            return false;
+        }
+    } catch (error) {
+        logError(`Cannot watch ${watchDir}: ${error.message}`);
+        return false;
+    }
+
+    const watcher = {
+        dir: watchDir,
+        ledger: await readWatchLedger(watchDir),
+        candidates: new Map(), // { [file name]: { version, since } } for files that may still be being written
+        inFlight: new Set(), // File names being analyzed
+        failed: new Map(), // { [file name]: version } that failed this session; retried when changed or on the next start
+        saving: Promise.resolve(), // Ledger writes, one after the other
+        timer: null,
+        scanning: false,
+        limitProblem: null, // Usage limit that pauses the watcher, see checkUsageLimits()
+        settleMs,
+    };
+    watcher.timer = setInterval(() => scanWatchedFolder(watcher), pollIntervalMs);
+    state.watcher = watcher;
+    await scanWatchedFolder(watcher);
+    return true;
+}
+
+// Stops polling the watched folder; images already being analyzed are finished
+function stopWatching() {
+    if (!state.watcher) return;
+    clearInterval(state.watcher.timer);
+    state.watcher = null;
+}
+
+// Scans the watched folder now, without waiting for the next poll, and waits for the analyses it starts
+async function pollWatchedFolder() {
+    if (!state.watcher) return;
+    await Promise.all(await scanWatchedFolder(state.watcher));
+}
+
+// Reads the ledger of a watched folder: { version, files: { [file name]: { size, mtimeMs, output, processedAt } } }
+async function readWatchLedger(watchDir) {
+    const ledgerPath = path.join(watchDir, WATCH_LEDGER_FILENAME);
+    try {
+        const ledger = JSON.parse(await fs.readFile(ledgerPath, 'utf8'));
+        if (ledger && typeof ledger.files === 'object' && ledger.files) return ledger;
+        logWarn(`${ledgerPath} has an unexpected format. Images in the folder will be analyzed again.`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') logWarn(`Could not read ${ledgerPath} (${error.message}). Images in the folder will be analyzed again.`);
+    }
+    return { version: 1, files: {} };
+}
+
+function saveWatchLedger(watcher) {
+    const ledgerPath = path.join(watcher.dir, WATCH_LEDGER_FILENAME);
+    watcher.saving = watcher.saving
+        .then(() => writeFileAtomic(ledgerPath, JSON.stringify(watcher.ledger, null, 2) + '\n'))
+        .catch(error => logWarn(`Could not update ${ledgerPath}: ${error.message}`));
+    return watcher.saving;
+}
+
+/**
+ * Looks for new or changed images and starts analyzing complete ones, at most state.watchConcurrency at a time.
+ * A file is complete once its size and modification time haven't changed for the watcher's settle time
+ * (WATCH_SETTLE_MS by default).
+ * @returns {Promise<Promise[]>} The analyses the scan started.
+ */
+async function scanWatchedFolder(watcher) {
+    const analyses = [];
+    if (watcher.scanning || state.watcher !== watcher) return analyses;
+    watcher.scanning = true;
+    try {
+        // While a usage limit is reached new images are left for later instead of failing one by one
+        const limitProblem = await checkUsageLimits();
+        if (limitProblem && limitProblem !== watcher.limitProblem) logWarn(`Watch folder paused: ${limitProblem}`);
+        watcher.limitProblem = limitProblem;
+        if (limitProblem) return analyses;
+
+        const names = (await fs.readdir(watcher.dir))
+            .filter(name => isImageFile(name) && !watcher.inFlight.has(name));
+        for (const name of names) {
+            let stats;
+            try {
+                stats = await fs.stat(path.join(watcher.dir, name));
+            } catch {
+                continue; // Removed in the meantime
+            }
+            if (!stats.isFile()) continue;
+            const done = watcher.ledger.files[name];
+            if (done && done.size === stats.size && done.mtimeMs === stats.mtimeMs) continue;
+            const version = `${stats.size}:${stats.mtimeMs}`;
+            if (watcher.failed.get(name) === version) continue;
+
+            const candidate = watcher.candidates.get(name);
+            if (!candidate || candidate.version !== version) {
+                watcher.candidates.set(name, { version, since: Date.now() });
+                continue;
+            }
+            if (Date.now() - candidate.since < watcher.settleMs || watcher.inFlight.size >= state.watchConcurrency) continue;
+            watcher.candidates.delete(name);
+            analyses.push(analyzeWatchedFile(watcher, name, stats));
+        }
+        for (const name of watcher.candidates.keys()) {
+            if (!names.includes(name)) watcher.candidates.delete(name);
+        }
+    } catch (error) {
+        logError(`Could not read the watched folder ${watcher.dir}`, error);
+    } finally {
+        watcher.scanning = false;
+    }
+    return analyses;
+}
+
+// Analyzes one watched image and writes its result file and ledger entry
+async function analyzeWatchedFile(watcher, name, stats) {
+    const filePath = path.join(watcher.dir, name);
+    const version = `${stats.size}:${stats.mtimeMs}`;
+    let imagePath = null;
+    watcher.inFlight.add(name);
+    try {
+        // A copy, so changes to the file while it's being analyzed don't matter
+        imagePath = await convertToTempPng(filePath, 'watch');
+        const profile = getActiveProfile();
+        const captures = [{ imagePath, label: name }];
+        let result;
+        try {
+            result = await analyzeCaptures(captures, { profile, triggerSource: 'watch', quiet: true });
+        } catch (error) {
+            if (error.isUsageLimit) return; // Picked up again once the scan finds the limit lifted
+            logWarn(`Watched image ${name} was not analyzed: ${error.message}`);
+            watcher.failed.set(name, version);
+            return;
+        }
+
+        const output = `${name}.${state.watchOutputFormat}`;
+        const details = {
+            image: name, analyzedAt: new Date().toISOString(), provider: result.providerId, model: result.modelName,
+            profile: profile?.name || null, prompt: profile?.prompt || state.customPrompt, response: result.text,
+            ocrText: captures[0].ocrText ?? null,
+        };
+        await writeFileAtomic(path.join(watcher.dir, output), formatWatchResult(details, state.watchOutputFormat));
+        watcher.ledger.files[name] = { size: stats.size, mtimeMs: stats.mtimeMs, output, processedAt: details.analyzedAt };
+        await saveWatchLedger(watcher);
+        logSuccess(`Analyzed watched image ${name}, result in ${output}.`);
+    } catch (error) {
+        logError(`Could not analyze watched image ${name}`, error);
+        watcher.failed.set(name, version);
+    } finally {
+        watcher.inFlight.delete(name);
+        if (imagePath) await fs.rm(imagePath, { force: true }).catch(() => {});
+        if (state.isRunning && state.cli) state.cli.prompt();
+    }
+}
+
+/**
+ * Formats the result file of a watched image.
+ * @param {{image: string, analyzedAt: string, provider: string, model: string, profile: string|null, prompt: string,
+ *   response: string, ocrText: string|null}} details
+ * @param {string} format A key of WATCH_OUTPUT_FORMATS.
+ */
+function formatWatchResult(details, format) {
+    if (format === 'json') return JSON.stringify(details, null, 2) + '\n';
+
+    const lines = [
+        `# ${details.image}`,
+        '',
+        `- Analyzed: ${details.analyzedAt}`,
+        `- Model: ${details.provider} / ${details.model}`,
+        ...(details.profile ? [`- Profile: ${details.profile}`] : []),
+        `- Prompt: ${details.prompt.replace(/\s*\n\s*/g, ' ')}`,
+        '',
+        '## Response',
+        '',
+        details.response.trim(),
+    ];
+    if (details.ocrText) {
+        let fence = '```';
+        while (details.ocrText.includes(fence)) fence += '`';
+        lines.push('', '## OCR Text', '', fence, details.ocrText.trim(), fence);
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Summary of the watched folder for 'watch' and 'get'
+function formatWatchStatus() {
+    const options = `output ${state.watchOutputFormat}, ${state.watchConcurrency} at a time`;
+    if (!state.watcher) return `Off (${options})`;
+    const { dir, ledger, inFlight, failed } = state.watcher;
+    return `${dir} (${Object.keys(ledger.files).length} analyzed, ${inFlight.size} in progress, ${failed.size} failed; ${options})`;
+}
+
+module.exports = {
+    WATCH_OUTPUT_FORMATS,
+    startWatching,
+    stopWatching,
+    pollWatchedFolder,
+    formatWatchStatus,
+};
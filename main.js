@@ -5,537 +5,322 @@ const os = require('os');
 const fs = require('fs').promises;
 const fss = require('fs'); // Synchronous fs for specific checks like existsSync
 const path = require('path');
-const https = require('https'); // Built-in HTTPS module for API calls
-const screenshot = require('screenshot-desktop');
-const Tesseract = require('tesseract.js');
-const { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } = require('@google/generative-ai');
-const notifier = require('node-notifier');
+const http = require('http'); // Plain HTTP for local AI servers (e.g. Ollama)
 const readline = require('readline');
 const { GlobalKeyboardListener } = require('node-global-key-listener');
 const chalk = require('chalk'); // Use chalk@4 for CommonJS
-const dotenv = require('dotenv');
+const sharp = require('sharp'); // Converting uploaded images
+const { marked } = require('marked'); // Markdown rendering for the batch HTML report
+const crypto = require('crypto'); // API token generation and comparison
+const { state, DEFAULT_OLLAMA_BASE_URL, DEFAULT_API_PORT, DEFAULT_GENERATION_CONFIG, DEFAULT_OCR_PREPROCESSING } = require('./lib/state');
+const { logDebug, logInfo, logWarn, logSuccess, logError, ERROR_PREFIX } = require('./lib/log');
+const { parseTriggerKey, formatTriggerKey, formatTriggerKeyPlain, isSameTriggerKey, matchesTriggerKey } = require('./lib/hotkeys');
+const { writeFileAtomic } = require('./lib/settings-file');
+const { getModelPage, resolveModelChoice } = require('./lib/model-picker');
+const {
+    REDACTION_BUILTINS, checkRedactionPattern, getRedactionRules, findRedactions, findRedactedWords,
+    printRedactionMatches, printTextRedactionTest, blackOutRegions,
+} = require('./lib/redaction');
+const { CONFIG_DIR } = require('./lib/config-dir');
+const { askQuestion, askHidden, forgetHistoryLine } = require('./lib/cli-input');
+const { SECRET_STORE_CHOICES } = require('./lib/secrets');
+const {
+    USAGE_PATH, USAGE_LIMIT_PERIODS, USAGE_DAYS_SHOWN, loadUsageRecords, getUsageDay, sumUsage, getUsageInPeriod,
+    getLimitUsage, formatUsageAmount, formatUsageTotals, formatUsageLimits, parseUsageLimit,
+} = require('./lib/usage');
+const {
+    GENERATION_PARAMETERS, SAFETY_CATEGORIES, SAFETY_THRESHOLDS, parseGenerationValue, formatGenerationConfig,
+    formatSafetyThresholds, AI_PROVIDERS, getProvider, getModelName, setModelName, parseModelList,
+} = require('./lib/providers');
+const {
+    performOCR, OCR_ENGINES, OCR_MAX_UPSCALE, formatOcrMinConfidence, formatOcrSettings, formatOcrPreprocessing,
+    runOcrTest, OCR_TEXT_FORMATS, OCR_LOW_CONFIDENCE_MARK,
+} = require('./lib/ocr');
+const { initializeServices, reconfigureOcrWorker } = require('./lib/services');
+const {
+    HISTORY_DIR, parseRetentionValue, migrateLegacyHistory, loadHistoryEntry, loadHistoryEntries,
+    applyHistoryRetention, printHistoryEntrySummary,
+} = require('./lib/history');
+const { escapeHtml, writeResponseViewer, openWithDefaultApp } = require('./lib/response-viewer');
+const {
+    PIPELINE_MODES, pipelineSendsText, capturesNeedOcr, IMAGE_UPLOAD_FORMATS, formatImageUploadSettings,
+    formatLastImageUpload, redactsImages, MAX_FOLLOW_UP_TURNS, askFollowUp, isImageFile, convertToTempPng,
+    analyzeCaptures,
+} = require('./lib/pipeline');
+const { enqueueJob, processCaptureQueue, cancelJob, formatJobName } = require('./lib/queue');
+const {
+    takeScreenshots, formatDisplayName, formatDisplaySetting, formatRegion, parseRegion, handleCapture,
+    handleClipboardCapture, resendHistoryEntry,
+} = require('./lib/capture');
+const { loadProfiles, saveProfiles, getProfile, getActiveProfile } = require('./lib/profiles');
+const { WATCH_OUTPUT_FORMATS, startWatching, stopWatching, formatWatchStatus } = require('./lib/watch');
+const { useSystemAdapters } = require('./lib/adapters');
+const {
+    CONFIG_PATH, settingsOverrides, SETTING_TYPES, getSettingEntry, validateSetting, loadSettings,
+    saveSettings, isSecretStoreLocked, changeSecretStore,
+} = require('./lib/settings');
 
 // --- Constants ---
-const ENV_PATH = path.join(__dirname, '.env');
-const SCREENSHOT_FILENAME = 'screenshot.png';
-const TESSERACT_LANG = 'eng';
-const MODELS_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
-const MODELS_PER_PAGE = 5; // Number of models to show per page in set-model
-
-// Emojis for Status
-const WARN_PREFIX = '>';
-const ERROR_PREFIX = '>';
-const SUCCESS_PREFIX = '>'; // Optional: for success
-
-// --- State Management (with defaults) ---
-let state = {
-    operatingSystem: os.platform(),
-    aiModel: "gemini-1.5-flash", // Default model if fetch fails or none set
-    customPrompt: "Analyze the text and image from this screenshot. Provide a concise summary or answer based on the content.",
-    debugMode: false,
-    isRunning: true,
-    isProcessing: false,
-    apiKey: null,
-    worker: null,
-    googleAI: null,
-    model: null, // Gemini model instance
-    // notificationTimeout removed
-    triggerKey: { name: 'C', ctrl: true, shift: true, alt: false, meta: false },
-    globalListener: null,
-    fetchedModels: [], // Array to store models fetched from API
-    modelListPage: 0, // Current page for model selection
-};
+const EXIT_CODES = { OK: 0, FAILED: 1, USAGE: 2, NOT_CONFIGURED: 3, INTERRUPTED: 130 }; // One-shot mode exit statuses (130 = 128 + SIGINT, like shells)
+const API_MAX_BODY_BYTES = 20 * 1024 * 1024; // Largest image upload accepted by POST /analyze
 
-// --- Helper Functions ---
+// --- Redaction Test ---
+// 'redact test <image>' shows what the redaction would remove from an image. The rules are in lib/redaction.js and
+// their use on captures in lib/pipeline.js (see redactCaptures()).
 
-// Loggers with Revised Chalk Colors
-const logTimestamp = () => chalk.gray(`[${new Date().toISOString()}]`); // Keep timestamp subtle
+const REDACTION_PREVIEW_PATH = path.join(CONFIG_DIR, 'redaction-preview.png');
 
-const logDebug = (message) => {
-    if (state.debugMode) {
-        // Keep debug gray
-        console.log(chalk.gray(`${logTimestamp()} [DEBUG] ${message}`));
-    }
-};
-const logInfo = (message) => {
-    // Regular info is plain white
-    console.log(message);
-};
-const logWarn = (message) => {
-    // Light yellow for warnings
-    console.warn(chalk.yellowBright(`${WARN_PREFIX} [WARN] ${message}`));
-};
-const logSuccess = (message) => {
-    // Light green for success messages
-    console.log(chalk.greenBright(`${SUCCESS_PREFIX} [SUCCESS] ${message}`));
-};
-const logError = (message, error) => {
-    // Light red for errors
-    const errorMessage = error instanceof Error ? error.message : (error || '');
-    const errorDetails = state.debugMode && error instanceof Error ? `\n${error.stack}` : '';
-    console.error(chalk.redBright.bold(`${logTimestamp()} ${ERROR_PREFIX} [ERROR] ${message} ${errorMessage}`), errorDetails);
-    // Notify on error only if not processing (to avoid notification flood during capture failure)
-    if (state.isRunning && !state.isProcessing) {
-        notifier.notify({
-            title: 'AI Helper Error',
-            message: `Error: ${message}. Check console.`.substring(0, 256),
-            icon: path.join(__dirname, 'icon.png'), // Ensure you have an icon.png
-            sound: true,
-            // timeout removed
-        });
+/**
+ * Dry run of the redaction on an image: prints what would be redacted and saves the blacked-out image for inspection.
+ * Nothing is sent to the AI.
+ * @param {string} imagePath Image to test.
+ */
+async function runRedactionTest(imagePath) {
+    const { text, lines } = await performOCR(imagePath);
+    if (!lines) throw new Error(text);
+    const rules = getRedactionRules();
+    printRedactionMatches(findRedactions(text, rules));
+
+    const redactedWords = findRedactedWords(lines, rules);
+    if (redactedWords.size === 0) {
+        logInfo("No words would be blacked out in the image.");
+        return;
     }
-};
-
-// --- .env File Management ---
+    await fs.mkdir(CONFIG_DIR, { recursive: true });
+    await fs.writeFile(REDACTION_PREVIEW_PATH, await blackOutRegions(imagePath, [...redactedWords.keys()].map(word => word.bbox)));
+    logInfo(`${redactedWords.size} word(s) would be blacked out in the image. Preview saved to ${chalk.blueBright(REDACTION_PREVIEW_PATH)}`);
+}
 
-function loadEnvSettings() {
-    logDebug(`Loading settings from ${ENV_PATH}`);
-    try {
-        if (!fss.existsSync(ENV_PATH)) {
-           
-            return;
-        }
+// --- Local HTTP API ---
+// Opt-in server on 127.0.0.1 so other tools (editor plugins, Stream Deck buttons, scripts) can trigger captures.
+// Every request needs "Authorization: Bearer <API_TOKEN>". Captures and uploads go through the capture queue and the
+// response is sent once the job is done; a 409 means the queue is full (or the job was cancelled).
 
-        const envConfig = dotenv.parse(fss.readFileSync(ENV_PATH));
+const UPLOAD_CONTENT_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'image/tiff'];
+const API_STATUS_CODES = { busy: 409, cancelled: 409, 'not-configured': 503, limit: 429, failed: 500 }; // By job result reason
 
-        state.apiKey = envConfig.GEMINI_API_KEY || state.apiKey;
-        // Let's prioritize the fetched list, but keep the .env value as the initial state.aiModel
-        state.aiModel = envConfig.AI_MODEL || state.aiModel;
-        state.customPrompt = envConfig.CUSTOM_PROMPT || state.customPrompt;
-        state.debugMode = envConfig.DEBUG_MODE === 'true' ? true : state.debugMode;
-        // notificationTimeout removed
+function sendJson(res, statusCode, payload) {
+    const body = JSON.stringify(payload);
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+}
 
-        if (envConfig.TRIGGER_KEY) {
-            try {
-                const parsedKey = JSON.parse(envConfig.TRIGGER_KEY);
-                if (parsedKey && typeof parsedKey.name === 'string') {
-                    state.triggerKey = {
-                        name: parsedKey.name,
-                        ctrl: !!parsedKey.ctrl,
-                        shift: !!parsedKey.shift,
-                        alt: !!parsedKey.alt,
-                        meta: !!parsedKey.meta,
-                    };
-                } else {
-                    logWarn("Invalid TRIGGER_KEY format in .env file. Using default.");
-                }
-            } catch (e) {
-                logWarn(`Error parsing TRIGGER_KEY from .env: ${e.message}. Using default.`);
+/**
+ * Reads the whole request body, refusing anything larger than maxBytes.
+ * @returns {Promise<Buffer>}
+ * @throws {Error} With statusCode 413 when the body is too large.
+ */
+function readRequestBody(req, maxBytes = API_MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(Object.assign(new Error(`Request body is larger than ${maxBytes} bytes.`), { statusCode: 413 }));
+                req.destroy();
+                return;
             }
-        }
-        logInfo("Settings loaded from .env file.");
-
-    } catch (error) {
-        logError("Failed to load settings from .env file", error);
-        logWarn("Using default settings.");
-    }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
 }
 
-async function saveEnvSettings() {
-    logDebug(`Saving settings to ${ENV_PATH}`);
-    const settingsToSave = {
-        GEMINI_API_KEY: state.apiKey || '',
-        AI_MODEL: state.aiModel, // Save the currently selected model
-        CUSTOM_PROMPT: state.customPrompt,
-        DEBUG_MODE: state.debugMode.toString(),
-        // NOTIFICATION_TIMEOUT removed
-        TRIGGER_KEY: JSON.stringify(state.triggerKey),
-    };
-
-    try {
-        let existingContent = {};
-        if (fss.existsSync(ENV_PATH)) {
-             existingContent = dotenv.parse(await fs.readFile(ENV_PATH));
-        }
-        const newContent = { ...existingContent, ...settingsToSave };
-        const fileContent = Object.entries(newContent)
-        .map(([key, value]) => {
-            // Convert value to string first to handle potential non-strings (like boolean debugMode)
-            const stringValue = String(value);
-            if (key === 'TRIGGER_KEY') {
-                // Value is already a JSON string. Wrap it in quotes for .env, but DO NOT escape the internal quotes.
-                return `${key}="${stringValue}"`;
-            } else {
-                // For all other keys, escape any pre-existing double quotes within the value before wrapping.
-                return `${key}="${stringValue.replace(/"/g, '\\"')}"`;
-            }
-        })
-        .join('\n');
-        await fs.writeFile(ENV_PATH, fileContent);
-        logSuccess("Settings saved to .env file."); // Use success log
-    } catch (error) {
-        logError("Failed to save settings to .env file", error);
-    }
+function isAuthorizedRequest(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match || !state.apiToken) return false;
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(state.apiToken);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
 }
 
-// --- Model Fetching ---
 /**
- * Fetches available models from the Google AI API.
- * @returns {Promise<string[]>} A promise that resolves to a sorted array of model names (e.g., "gemini-1.5-pro-latest") or an empty array on failure.
+ * Settings that are safe to expose over the API. API keys and the API token are never included.
  */
-async function fetchAvailableModels() {
-    if (!state.apiKey) {
-        logWarn("Cannot fetch models: API Key not set.");
-        return [];
-    }
-    logInfo("Fetching available AI models from Google API...");
-    const url = `${MODELS_API_URL}?key=${state.apiKey}`;
-
-    return new Promise((resolve) => {
-        https.get(url, (res) => {
-            let data = '';
-            res.on('data', (chunk) => { data += chunk; });
-            res.on('end', () => {
-                if (res.statusCode === 200) {
-                    try {
-                        const parsedData = JSON.parse(data);
-                        if (parsedData.models && Array.isArray(parsedData.models)) {
-                            const modelNames = parsedData.models
-                                .map(model => model.name.startsWith('models/') ? model.name.substring(7) : model.name) // Strip "models/" prefix
-                                .filter(name => name) // Ensure name is not empty
-                                .sort((a, b) => {
-                                    // Attempt numeric sort first based on version numbers if present
-                                    const versionA = a.match(/(\d+\.?\d*)/);
-                                    const versionB = b.match(/(\d+\.?\d*)/);
-                                    if (versionA && versionB) {
-                                        const numA = parseFloat(versionA[0]);
-                                        const numB = parseFloat(versionB[0]);
-                                        if (numA !== numB) return numB - numA; // Higher version first (e.g., 1.5 before 1.0)
-                                    }
-                                    // Fallback to alphabetical sort
-                                    return a.localeCompare(b);
-                                });
-                            logSuccess(`Successfully fetched and sorted ${modelNames.length} models.`);
-                            logDebug(`Fetched models: ${modelNames.join(', ')}`);
-                            resolve(modelNames);
-                        } else {
-                            logError("Failed to fetch models: Invalid response format.", data);
-                            resolve([]);
-                        }
-                    } catch (parseError) {
-                        logError("Failed to parse models response from API", parseError);
-                        resolve([]);
-                    }
-                } else {
-                    logError(`Failed to fetch models: API returned status code ${res.statusCode}`, data);
-                     try { // Try to parse error message from Google API
-                         const errorData = JSON.parse(data);
-                         if (errorData.error && errorData.error.message) {
-                             logError(`API Error Message: ${errorData.error.message}`);
-                         }
-                     } catch (_) { /* Ignore parsing error if response isn't JSON */ }
-                    resolve([]);
-                }
-            });
-        }).on('error', (err) => {
-            logError("Failed to fetch models: Network error", err);
-            resolve([]);
-        });
-    });
+function getPublicConfig() {
+    return {
+        provider: state.provider,
+        model: getModelName(),
+        providerReady: getProvider().isReady(),
+        ocrReady: !!state.worker,
+        busy: state.isProcessing,
+        queuedJobs: state.captureQueue.length,
+        queueMaxSize: state.queueMaxSize,
+        watchFolder: state.watcher ? state.watcher.dir : null,
+        usageDailyLimit: state.usageDailyLimit,
+        usageMonthlyLimit: state.usageMonthlyLimit,
+        customPrompt: state.customPrompt,
+        activeProfile: state.activeProfile,
+        profiles: Object.keys(state.profiles),
+        streamResponses: state.streamResponses,
+        copyToClipboard: state.copyToClipboard,
+        captureMode: state.captureMode,
+        captureRegion: state.captureRegion,
+        displayId: state.displayId,
+        triggerKey: formatTriggerKeyPlain(state.triggerKey),
+        clipboardTriggerKey: state.clipboardTriggerKey ? formatTriggerKeyPlain(state.clipboardTriggerKey) : null,
+        historyEnabled: state.historyEnabled,
+        pipelineMode: state.pipelineMode,
+        imageFormat: state.imageFormat,
+        imageQuality: state.imageQuality,
+        imageMaxDimension: state.imageMaxDimension,
+        ocrLanguages: state.ocrLanguages,
+        ocrPreprocessing: state.ocrPreprocessing,
+        ocrTextFormat: state.ocrTextFormat,
+        redactionEnabled: state.redactionEnabled,
+        generationConfig: state.generationConfig,
+        safetyThresholds: state.safetyThresholds,
+        systemInstruction: state.systemInstruction,
+        jsonResponse: state.jsonResponse,
+    };
 }
 
-
-// Convert image file to generative part format for Gemini
-async function fileToGenerativePart(filePath, mimeType) {
+/**
+ * Parses a JSON request body. An empty body is treated as {}.
+ * @throws {Error} With statusCode 400 when the body is not a JSON object.
+ */
+function parseJsonBody(body) {
+    if (body.length === 0) return {};
     try {
-        const data = await fs.readFile(filePath);
-        return {
-            inlineData: {
-                data: data.toString("base64"),
-                mimeType
-            },
-        };
+        const parsed = JSON.parse(body.toString('utf8'));
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
     } catch (error) {
-        logError(`Failed to read or encode image file: ${filePath}`, error);
-        throw error;
+        // Fall through to the 400 below
     }
+    throw Object.assign(new Error("Request body must be a JSON object."), { statusCode: 400 });
 }
 
-// --- Core Functions ---
-
-async function initializeServices(forceReinitializeGemini = false) {
-    logInfo("Initializing services..."); // Plain info
-    let tesseractInitialized = false;
-    let geminiInitialized = false;
-
-    // Initialize Tesseract
-    try {
-        if (!state.worker) {
-            logDebug(`Creating Tesseract worker for language: ${TESSERACT_LANG}...`);
-            state.worker = await Tesseract.createWorker(TESSERACT_LANG);
-            logInfo("Tesseract worker initialized."); // Plain info
-        } else {
-            logDebug("Tesseract worker already initialized.");
-        }
-        tesseractInitialized = true;
-    } catch (error) {
-        logError("Tesseract initialization failed", error);
+/**
+ * POST /capture. Optional JSON body: { "profile": "<name>", "region": "x,y,w,h" }.
+ */
+async function handleApiCapture(req, res) {
+    const body = parseJsonBody(await readRequestBody(req, 64 * 1024));
+    const captureOptions = {};
+    if (body.profile !== undefined) {
+        captureOptions.profile = getProfile(String(body.profile));
+        if (!captureOptions.profile) return sendJson(res, 404, { ok: false, error: `Profile "${body.profile}" not found.` });
     }
-
-    // Initialize Gemini Client (if API key exists)
-    if (state.apiKey && (!state.googleAI || forceReinitializeGemini)) {
-        logDebug("Initializing Gemini client...");
-        try {
-            state.googleAI = new GoogleGenerativeAI(state.apiKey);
-            // We'll initialize the specific model instance later in initializeGeminiModel or set-model
-            logInfo(`Gemini client initialized.`);
-
-            // Attempt to fetch models if not already fetched
-            if (state.fetchedModels.length === 0) {
-                state.fetchedModels = await fetchAvailableModels();
-                if (state.fetchedModels.length > 0 && !state.fetchedModels.includes(state.aiModel)) {
-                    logWarn(`Current model "${state.aiModel}" not found in fetched list. Defaulting to "${state.fetchedModels[0]}".`);
-                    state.aiModel = state.fetchedModels[0];
-                    await saveEnvSettings(); // Save the updated default model
-                } else if (state.fetchedModels.length === 0) {
-                     logWarn(`Could not fetch models. Using default "${state.aiModel}". You may need to set it manually.`);
-                }
-            }
-            // Now initialize the model instance
-            geminiInitialized = initializeGeminiModel();
-
-        } catch (error) {
-            logError(`Gemini client initialization failed`, error);
-            logWarn("Gemini features will be unavailable until a valid API key and model are set.");
-            state.googleAI = null;
-            state.model = null;
-            state.fetchedModels = []; // Clear models if client init fails
-        }
-    } else if (!state.apiKey) {
-        // Warning about missing API key is handled in the main() function's intro log now
-        state.googleAI = null;
-        state.model = null;
-        state.fetchedModels = [];
-    } else if (state.googleAI && state.model && !forceReinitializeGemini) {
-        logDebug("Gemini client and model already initialized.");
-        geminiInitialized = true; // Already initialized
-         // Ensure models are fetched if missing (e.g., if app restarted without key initially)
-         if (state.fetchedModels.length === 0) {
-             state.fetchedModels = await fetchAvailableModels();
-         }
-    } else if (state.googleAI && (!state.model || forceReinitializeGemini)) {
-         // Client exists, but model needs (re)initialization
-         logDebug("Gemini client exists, initializing model instance...");
-         geminiInitialized = initializeGeminiModel();
+    if (body.region !== undefined) {
+        captureOptions.region = parseRegion(String(body.region));
+        if (!captureOptions.region) return sendJson(res, 400, { ok: false, error: "Invalid region. Use \"x,y,width,height\"." });
     }
 
-
-    return { tesseractInitialized, geminiInitialized };
+    const result = await handleCapture('api', captureOptions);
+    sendJson(res, result.ok ? 200 : API_STATUS_CODES[result.reason], result);
 }
 
-function initializeGeminiModel() {
-    if (!state.googleAI) {
-        logWarn("Cannot initialize Gemini model: API client not ready (API key likely missing).");
-        state.model = null;
-        return false;
-    }
-    if (!state.aiModel) {
-        logError("Cannot initialize Gemini model: No AI model selected.");
-        state.model = null;
-        return false;
+/**
+ * POST /analyze. Accepts either a raw image body (Content-Type image/png, image/jpeg, ...) with the options in the
+ * query string, or a JSON body: { "image": "<base64>", "prompt": "...", "model": "...", "profile": "<name>" }.
+ * The result is returned to the caller only: no notification is shown.
+ */
+async function handleApiAnalyze(req, res, url) {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const body = await readRequestBody(req);
+    let imageData, options;
+    if (contentType === 'application/json') {
+        options = parseJsonBody(body);
+        imageData = typeof options.image === 'string' ? Buffer.from(options.image, 'base64') : null;
+    } else if (UPLOAD_CONTENT_TYPES.includes(contentType)) {
+        options = Object.fromEntries(url.searchParams);
+        imageData = body;
+    } else {
+        return sendJson(res, 415, { ok: false, error: `Unsupported Content-Type. Send application/json or one of: ${UPLOAD_CONTENT_TYPES.join(', ')}.` });
     }
+    if (!imageData || imageData.length === 0) return sendJson(res, 400, { ok: false, error: "No image was uploaded." });
 
-    // Ensure the selected model name includes the "models/" prefix if needed by the API client library
-    // Based on @google/generative-ai docs, it seems the short name is sufficient for getGenerativeModel
-    const modelNameToUse = state.aiModel; // Use the potentially stripped name
-
-    logDebug(`Setting Gemini model instance to: ${modelNameToUse}`);
-    try {
-        // Check if the selected model is actually in the fetched list (if available)
-        if (state.fetchedModels.length > 0 && !state.fetchedModels.includes(state.aiModel)) {
-             logError(`Selected model "${state.aiModel}" is not in the list of fetched available models. Cannot initialize.`);
-             logWarn(`Available models: ${state.fetchedModels.join(', ')}`);
-             state.model = null;
-             return false;
-        }
-
-        state.model = state.googleAI.getGenerativeModel({ model: modelNameToUse });
-        // Highlight model name on success
-        logInfo(`Gemini model instance set to: ${chalk.blueBright(state.aiModel)}.`);
-        return true;
-    } catch (error) {
-        logError(`Failed to get generative model instance for ${modelNameToUse}`, error);
-        logWarn(`Attempted to use model: ${modelNameToUse}. Check if this model name is valid and compatible.`);
-        state.model = null;
-        return false;
+    const profile = options.profile ? getProfile(String(options.profile)) : getActiveProfile();
+    if (options.profile && !profile) return sendJson(res, 404, { ok: false, error: `Profile "${options.profile}" not found.` });
+    if (options.ocrFormat && !Object.keys(OCR_TEXT_FORMATS).includes(String(options.ocrFormat))) {
+        return sendJson(res, 400, { ok: false, error: `Unknown ocrFormat "${options.ocrFormat}". Use one of: ${Object.keys(OCR_TEXT_FORMATS).join(', ')}.` });
     }
-}
-
-
-async function performOCR(imagePath) {
-    logDebug(`Performing OCR on ${imagePath}...`);
-    if (!state.worker) {
-        logError("Tesseract worker not initialized.");
-        return "Error: Tesseract not ready.";
+    const ocrMissing = capturesNeedOcr() && !state.worker;
+    if (!getProvider().isReady() || ocrMissing) {
+        return sendJson(res, 503, { ok: false, error: ocrMissing ? "Tesseract worker not initialized." : `${getProvider().label} is not configured/initialized.` });
     }
+    // Normalize every upload to PNG; this also rejects data that isn't an image
+    let png;
     try {
-        const { data: { text } } = await state.worker.recognize(imagePath);
-        logDebug(`OCR Result (first 100 chars): ${text.substring(0, 100)}...`);
-        return text;
+        png = await sharp(imageData).png().toBuffer();
     } catch (error) {
-        logError("OCR process failed", error);
-        return "Error during OCR.";
+        return sendJson(res, 400, { ok: false, error: `Could not read the uploaded image: ${error.message}` });
     }
+
+    const imagePath = path.join(os.tmpdir(), `ai-helper-upload-${crypto.randomBytes(6).toString('hex')}.png`);
+    await fs.writeFile(imagePath, png);
+    logInfo(`API: analyzing uploaded image (${png.length} bytes)...`);
+    const result = await enqueueJob({
+        kind: 'upload', triggerSource: 'api', captures: [{ imagePath, label: 'Uploaded image' }], deleteFiles: true,
+        analyzeOptions: {
+            profile, prompt: options.prompt ? String(options.prompt) : null,
+            modelName: options.model ? String(options.model) : null,
+            ocrFormat: options.ocrFormat ? String(options.ocrFormat) : null, quiet: true,
+        },
+    });
+    sendJson(res, result.ok ? 200 : API_STATUS_CODES[result.reason], result);
 }
 
-async function queryGemini(ocrText, imagePath) {
-    logDebug("Querying Gemini...");
-    if (!state.apiKey) return `${ERROR_PREFIX} Error: Gemini API Key not set.`;
-    if (!state.googleAI) return `${ERROR_PREFIX} Error: Gemini client not initialized.`;
-    if (!state.model) return `${ERROR_PREFIX} Error: Gemini model (${state.aiModel}) not initialized.`;
+async function handleApiRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    logDebug(`API request: ${req.method} ${url.pathname}`);
+    if (!isAuthorizedRequest(req)) {
+        return sendJson(res, 401, { ok: false, error: "Missing or invalid API token." });
+    }
 
-    const generationConfig = { temperature: 0.4, topK: 32, topP: 1, maxOutputTokens: 4096 };
-    const safetySettings = [
-        { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-        { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-        { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-        { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-    ];
+    const routes = {
+        'GET /config': () => sendJson(res, 200, { ok: true, config: getPublicConfig() }),
+        'POST /capture': () => handleApiCapture(req, res),
+        'POST /analyze': () => handleApiAnalyze(req, res, url),
+    };
+    const route = routes[`${req.method} ${url.pathname}`];
+    if (!route) {
+        const knownPath = Object.keys(routes).some(key => key.endsWith(` ${url.pathname}`));
+        return sendJson(res, knownPath ? 405 : 404, { ok: false, error: knownPath ? "Method not allowed." : "Not found." });
+    }
 
     try {
-        logDebug("Preparing image data for Gemini...");
-        const imagePart = await fileToGenerativePart(imagePath, "image/png");
-        const promptParts = [
-            { text: state.customPrompt },
-            { text: "\n--- OCR Text ---" },
-            { text: ocrText || "(No text detected by OCR)" },
-            { text: "\n--- Image ---" },
-            imagePart,
-        ];
-
-        logDebug(`Sending request to Gemini model (${state.aiModel})...`);
-        const result = await state.model.generateContent({
-            contents: [{ role: "user", parts: promptParts }],
-            generationConfig, safetySettings,
-        });
-
-        const response = result?.response;
-        const candidates = response?.candidates;
-
-        if (!response || !candidates || candidates.length === 0 || !candidates[0].content || !candidates[0].content.parts || candidates[0].content.parts.length === 0) {
-            const blockReason = response?.promptFeedback?.blockReason;
-            const safetyRatings = response?.promptFeedback?.safetyRatings;
-            const finishReason = candidates?.[0]?.finishReason;
-            const errorMsg = `Gemini response blocked, empty, or incomplete. Reason: ${blockReason || finishReason || 'Unknown'}.`;
-            logError(errorMsg, `Ratings: ${JSON.stringify(safetyRatings)} Response: ${JSON.stringify(response, null, 2)}`);
-            return `${ERROR_PREFIX} Error: ${errorMsg}`;
-        }
-
-        const responseText = candidates[0].content.parts.map(part => part.text).filter(text => typeof text === 'string').join('');
-         if (!responseText) {
-             logError("Gemini response received but processed text content is missing or empty.");
-             return `${ERROR_PREFIX} Error: Gemini response missing text content.`;
-         }
-
-        logDebug(`Gemini Response (first 100 chars): ${responseText.substring(0, 100)}...`);
-        return responseText;
-
+        await route();
     } catch (error) {
-        logError("Gemini API call failed", error);
-        // Check if the error is from the API (e.g., invalid model name)
-        if (error.message && error.message.includes('not found') || error.message.includes('permission')) {
-             logError(`Potential issue with model "${state.aiModel}". Try selecting a different model.`, error);
-             return `${ERROR_PREFIX} Error with model ${state.aiModel}: ${error.message}`;
-        }
-        return `${ERROR_PREFIX} Error communicating with Gemini: ${error.message || "Unknown Gemini Error"}`;
+        if (!error.statusCode) logError(`API request ${req.method} ${url.pathname} failed`, error);
+        if (!res.headersSent) sendJson(res, error.statusCode || 500, { ok: false, error: error.message });
     }
 }
 
-async function handleCapture(triggerSource = "unknown") {
-    if (state.isProcessing) {
-        // Use warning for already processing
-        logWarn(`Already processing. Ignoring trigger from ${triggerSource}.`);
-        if(state.isRunning && triggerSource === 'command' && rl) rl.prompt();
-        return;
-    }
-
-    // Check prerequisites
-    if (!state.apiKey || !state.googleAI || !state.model) {
-         logError("Cannot capture: Gemini API Key or Model not configured/initialized.");
-         logWarn("Use 'set-apikey' and 'set-model' commands first.");
-         if(state.isRunning && triggerSource === 'command' && rl) rl.prompt();
-         return;
+/**
+ * Starts the API server on 127.0.0.1:state.apiPort, generating a token first if there is none.
+ * @returns {Promise<boolean>} True if the server is listening.
+ */
+async function startApiServer() {
+    if (state.apiServer) return true;
+    if (!state.apiToken) {
+        state.apiToken = crypto.randomBytes(24).toString('hex');
+        await saveSettings();
     }
-     if (!state.worker) {
-         logError("Cannot capture: Tesseract worker not initialized.");
-         if(state.isRunning && triggerSource === 'command' && rl) rl.prompt();
-         return;
-     }
-
-    state.isProcessing = true;
-
-    // --- Capture Process Group ---
-    console.log("\n"); // Add newline before the group
-    console.group(chalk.bold(`--- Capture Triggered (Source: ${chalk.blueBright(triggerSource)}) ---`));
-
-    const screenshotPath = path.join(__dirname, SCREENSHOT_FILENAME);
 
+    const server = http.createServer((req, res) => { handleApiRequest(req, res); });
     try {
-        // 1. Take Screenshot
-        logDebug("Taking screenshot...");
-        const displays = await screenshot.listDisplays();
-        if (!displays || displays.length === 0) throw new Error("No displays found.");
-        await screenshot({ filename: screenshotPath, screen: displays[0].id });
-        logDebug(`Screenshot saved to ${screenshotPath}`);
-
-        // 2. Perform OCR
-        logDebug("Starting OCR...");
-        const ocrText = await performOCR(screenshotPath);
-        if (ocrText.startsWith("Error:")) {
-            logError(`OCR step failed: ${ocrText.substring(7)}`, null); // Remove "Error: " prefix
-        } else {
-            logDebug("OCR finished.");
-        }
-
-        // 3. Query Gemini
-        logDebug("Starting Gemini query...");
-        const geminiResponse = await queryGemini(ocrText, screenshotPath);
-         if (geminiResponse.startsWith(ERROR_PREFIX)) { // Check for our error prefix
-             throw new Error(geminiResponse.substring(ERROR_PREFIX.length + 1)); // Throw the specific Gemini error message
-         }
-        logDebug("Gemini query finished.");
-
-        // 4. Show Notification
-        logInfo("Displaying notification...");
-        notifier.notify({
-            title: 'AI Helper Result',
-            message: geminiResponse.substring(0, 256), // Limit message length for notifications
-            icon: path.join(__dirname, 'icon.png'),
-            sound: true,
-            wait: false, // Don't wait for user interaction
-            // timeout removed
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(state.apiPort, '127.0.0.1', resolve);
         });
-        logInfo(geminiResponse); // Log the full response to console
-        logSuccess("Capture process completed successfully."); // Use success log
-
     } catch (error) {
-        // Log the specific error that occurred during the process
-        logError(`Capture process failed: ${error.message}`, state.debugMode ? error.stack : ''); // Show stack only in debug
-
-    } finally {
-        // Cleanup screenshot file
-        try {
-            await fs.access(screenshotPath); // Check if file exists before unlinking
-            await fs.unlink(screenshotPath);
-            logDebug("Screenshot file deleted.");
-        } catch (unlinkError) {
-            // Only log if it's not a "file not found" error
-            if (unlinkError.code !== 'ENOENT') {
-                 logWarn(`Could not delete screenshot file: ${unlinkError.message}`);
-            } else {
-                 logDebug("Screenshot file not found for deletion (may have failed earlier).");
-            }
-        }
-        state.isProcessing = false;
-        logDebug("Processing lock released.");
-
-        console.groupEnd(); // End the capture process group
-        console.log(""); // Add newline after the group
-
-        if(state.isRunning && triggerSource === 'command' && rl) {
-             rl.prompt(); // Re-enable prompt only if triggered by command
-        }
+        logError(`Could not start the HTTP API on port ${state.apiPort}`, error);
+        return false;
     }
+    state.apiServer = server;
+    logSuccess(`HTTP API listening on http://127.0.0.1:${state.apiPort}`);
+    return true;
+}
+
+async function stopApiServer() {
+    if (!state.apiServer) return;
+    const server = state.apiServer;
+    state.apiServer = null;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    logInfo("HTTP API stopped.");
 }
 
 // --- Global Input Listener Setup ---
@@ -555,32 +340,46 @@ function setupGlobalListener() {
         logInfo(`Setting up global key listener for: ${chalk.blueBright(formatTriggerKey(state.triggerKey))}`);
         state.globalListener = new GlobalKeyboardListener();
 
+        // The main trigger captures with the active profile; profile triggers capture with their own profile
+        const bindings = [{ triggerKey: state.triggerKey, profileName: null }];
+        if (state.clipboardTriggerKey) {
+            if (isSameTriggerKey(state.clipboardTriggerKey, state.triggerKey)) {
+                logWarn("Clipboard hotkey is the same as the capture hotkey. Ignoring it.");
+            } else {
+                logInfo(`Clipboard hotkey: ${chalk.blueBright(formatTriggerKey(state.clipboardTriggerKey))}`);
+                bindings.push({ triggerKey: state.clipboardTriggerKey, clipboard: true });
+            }
+        }
+        for (const [name, profile] of Object.entries(state.profiles)) {
+            if (!profile.triggerKey) continue;
+            if (bindings.some(b => isSameTriggerKey(b.triggerKey, profile.triggerKey))) {
+                logWarn(`Hotkey ${formatTriggerKey(profile.triggerKey)} for profile "${name}" is already in use. Ignoring it.`);
+                continue;
+            }
+            logInfo(`Profile ${chalk.blueBright(name)} hotkey: ${chalk.blueBright(formatTriggerKey(profile.triggerKey))}`);
+            bindings.push({ triggerKey: profile.triggerKey, profileName: name });
+        }
+
         state.globalListener.addListener((event, down) => {
-            // Ignore key up events and events while processing or not running
-            if (event.state !== "DOWN" || !state.isRunning || state.isProcessing) {
+            // Ignore key up events and events while not running (triggers during processing are queued)
+            if (event.state !== "DOWN" || !state.isRunning) {
                 return;
             }
 
-            // Check if the pressed key combination matches the triggerKey
-            const keyNameMatch = event.name === state.triggerKey.name;
-            // Handle Ctrl/Cmd mapping for Mac
-            const ctrlOrMeta = down['LEFT CTRL'] || down['RIGHT CTRL'] || (state.operatingSystem === 'darwin' && (down['LEFT META'] || down['RIGHT META']));
-            const ctrlMatch = state.triggerKey.ctrl ? ctrlOrMeta : !ctrlOrMeta;
-            const shiftMatch = state.triggerKey.shift ? (down['LEFT SHIFT'] || down['RIGHT SHIFT']) : !(down['LEFT SHIFT'] || down['RIGHT SHIFT']);
-            const altMatch = state.triggerKey.alt ? (down['LEFT ALT'] || down['RIGHT ALT']) : !(down['LEFT ALT'] || down['RIGHT ALT']);
-            // Explicitly check meta key state (usually Command on Mac, Windows key on Win)
-            const metaPressed = down['LEFT META'] || down['RIGHT META'];
-            const metaMatch = state.triggerKey.meta ? metaPressed : !metaPressed;
-
             // Debugging key presses
             // logDebug(`Key Event: ${event.name}, State: ${event.state}, Down: ${JSON.stringify(down)}`);
-            // logDebug(`Matches: Key=${keyNameMatch}, Ctrl=${ctrlMatch}, Shift=${shiftMatch}, Alt=${altMatch}, Meta=${metaMatch}`);
-
 
-            if (keyNameMatch && ctrlMatch && shiftMatch && altMatch && metaMatch) {
-                logDebug(`Hotkey ${chalk.blueBright(formatTriggerKey(state.triggerKey))} detected.`);
+            const binding = bindings.find(b => matchesTriggerKey(b.triggerKey, event, down));
+            if (binding) {
+                logDebug(`Hotkey ${chalk.blueBright(formatTriggerKey(binding.triggerKey))} detected.`);
                 // Use setImmediate to avoid potential issues within the listener callback
-                setImmediate(() => handleCapture('hotkey'));
+                if (binding.clipboard) {
+                    setImmediate(() => handleClipboardCapture('hotkey'));
+                    return;
+                }
+                // Look the profile up now so prompt/model edits made since the listener started are picked up
+                const profile = getProfile(binding.profileName);
+                setImmediate(() => handleCapture('hotkey', profile ? { profile } : {}));
             }
         });
 
@@ -593,87 +392,37 @@ function setupGlobalListener() {
     }
 }
 
-// Helper to format the trigger key object into a readable string
-function formatTriggerKey(keyConfig) {
-    let parts = [];
-    if (keyConfig.ctrl) parts.push("CTRL");
-    if (keyConfig.shift) parts.push("SHIFT");
-    if (keyConfig.alt) parts.push("ALT");
-    if (keyConfig.meta) parts.push("META");
-    // Bold the key name part
-    parts.push(chalk.bold(keyConfig.name || '<?>'));
-    return parts.join('+');
-}
-
-// Helper to parse a string like "CTRL+SHIFT+K" into a trigger key object
-function parseTriggerKey(keyString) {
-    if (!keyString || typeof keyString !== 'string') return null;
-
-    const parts = keyString.toUpperCase().split('+').map(p => p.trim()).filter(p => p);
-    if (parts.length === 0) return null;
-
-    const newTrigger = { name: null, ctrl: false, shift: false, alt: false, meta: false };
-    const keyNamePart = parts[parts.length - 1];
-
-    // Basic validation for key name (allow common special keys)
-    const allowedSpecialKeys = ['F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9', 'F10', 'F11', 'F12', 'SPACE', 'ENTER', 'TAB', 'ESCAPE', 'DELETE', 'BACKSPACE', 'UP ARROW', 'DOWN ARROW', 'LEFT ARROW', 'RIGHT ARROW', 'PAGE UP', 'PAGE DOWN', 'HOME', 'END', 'INSERT'];
-    if (keyNamePart.length > 1 && !/^[A-Z0-9]$/.test(keyNamePart) && !allowedSpecialKeys.includes(keyNamePart)) {
-         logWarn(`Possibly invalid key name detected: "${keyNamePart}". Ensure it's a single letter/number or a known special key (e.g., F1, SPACE, ENTER).`);
-    }
-     if (keyNamePart.length === 1 && !/^[A-Z0-9]$/.test(keyNamePart)) {
-         logWarn(`Possibly invalid single character key name detected: "${keyNamePart}". Use A-Z or 0-9.`);
-     }
-
-    newTrigger.name = keyNamePart; // Store the key name as parsed
-
-    for (let i = 0; i < parts.length - 1; i++) {
-        switch (parts[i]) {
-            case 'CTRL': case 'CONTROL': newTrigger.ctrl = true; break;
-            case 'SHIFT': newTrigger.shift = true; break;
-            case 'ALT': newTrigger.alt = true; break;
-            case 'META': case 'CMD': case 'COMMAND': case 'WIN': case 'WINDOWS': newTrigger.meta = true; break;
-            default: logWarn(`Unrecognized modifier: "${parts[i]}". Ignoring.`);
-        }
-    }
-
-    if (!newTrigger.name) {
-        logError("Invalid trigger key string: No key name found.");
-        return null;
-    }
-    return newTrigger;
-}
-
-
 // --- Command Line Interface (CLI) ---
 
 // Define the prompt string (plain white, bold)
 const cliPrompt = chalk.white.bold('AI Helper> ');
 
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-    prompt: cliPrompt // Use the defined prompt string
-});
+const CLI_COMMANDS_WHILE_PROCESSING = ['capture', 'c', 'clipboard', 'cb', 'queue', 'watch', 'usage', 'history', 'get', 'init', 'last', 'help', 'quit', 'exit'];
 
-// Wrapper for rl.question that returns a Promise
-function askQuestion(query) {
-    // Use light yellow for questions
-    return new Promise(resolve => rl.question(chalk.yellowBright(query), resolve));
+function setupCli() {
+    state.cli = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        prompt: cliPrompt // Use the defined prompt string
+    });
+    state.cli.on('line', handleCliLine);
+    state.cli.on('close', handleCliClose);
 }
 
 // --- CLI Command Handler ---
-rl.on('line', async (line) => {
-    // Ignore input if not running (except for quit/exit) or if processing a capture
-    if ((!state.isRunning && !['quit', 'exit'].includes(line.trim().toLowerCase())) || state.isProcessing) {
-        // If processing, maybe give a small message?
-        if (state.isProcessing) {
-            // Temporarily pause readline input during processing? Might be complex.
-            // For now, just ignore the input line.
-            logDebug("Ignoring CLI input while processing.");
-        }
+async function handleCliLine(line) {
+    // Ignore input if not running (except for quit/exit)
+    if (!state.isRunning && !['quit', 'exit'].includes(line.trim().toLowerCase())) {
+        return;
+    }
+    // While processing, only commands that queue work or just read state are accepted; the rest could change the
+    // provider or model under the running request
+    const lineCommand = line.trim().split(' ')[0].toLowerCase();
+    if (state.isProcessing && lineCommand && !CLI_COMMANDS_WHILE_PROCESSING.includes(lineCommand)) {
+        const busyWith = state.activeJob ? formatJobName(state.activeJob) : 'a request';
+        logWarn(`Busy with ${busyWith}. "${lineCommand}" can be used once it finishes (see 'queue').`);
         return;
     }
-
 
     const args = line.trim().split(' ');
     const command = args[0].toLowerCase();
@@ -687,40 +436,94 @@ rl.on('line', async (line) => {
             console.group(chalk.bold("--- Current Configuration ---")); // Use bold for title
             console.log(`Operating System: ${chalk.blueBright(state.operatingSystem)}`);
             // Use colors for status indication only
+            const providerUrl = state.provider === 'openai' ? state.openaiBaseUrl : state.provider === 'ollama' ? state.ollamaBaseUrl : null;
+            console.log(`AI Provider: ${chalk.blueBright(getProvider().label)}${providerUrl ? ` (${chalk.blueBright(providerUrl)})` : ''}`);
             const apiKeyStatus = state.apiKey ? chalk.greenBright('Set') : chalk.yellowBright('Not Set');
             console.log(`API Key Status: ${apiKeyStatus}`);
-            const modelStatus = (!state.apiKey || !state.googleAI || !state.model) ? chalk.yellowBright('(Inactive/Not Initialized)') : chalk.greenBright('(Active)');
-            console.log(`AI Model: ${chalk.blueBright(state.aiModel)} ${modelStatus}`);
+            console.log(`Secret Storage: ${chalk.blueBright(state.secretStorage ? state.secretStorage.label : 'None')}${isSecretStoreLocked() ? chalk.redBright(' (locked)') : ''}`);
+            if (state.provider === 'openai') {
+                const openaiKeyStatus = state.openaiApiKey ? chalk.greenBright('Set') : chalk.white('Not Set');
+                console.log(`OpenAI-compatible API Key Status: ${openaiKeyStatus}`);
+            }
+            const modelStatus = !getProvider().isReady() ? chalk.yellowBright('(Inactive/Not Initialized)') : chalk.greenBright('(Active)');
+            console.log(`AI Model: ${chalk.blueBright(getModelName())} ${modelStatus}`);
+            const fallbackText = state.fallbackModels.length > 0 ? state.fallbackModels.join(', ') : 'None';
+            console.log(`Fallback Models: ${chalk.blueBright(fallbackText)}`);
+            const timeoutText = state.requestTimeoutSeconds ? `${state.requestTimeoutSeconds}s` : 'None';
+            console.log(`Request Timeout: ${chalk.blueBright(timeoutText)} (Retries: ${chalk.blueBright(state.maxRetries)})`);
             const fetchedModelCount = state.fetchedModels.length > 0 ? `(${state.fetchedModels.length} fetched)` : '(Not fetched/failed)';
             console.log(`Available Models: ${chalk.blueBright(fetchedModelCount)}`);
             const debugStatus = state.debugMode ? chalk.greenBright('Enabled') : chalk.white('Disabled'); // White for disabled
             console.log(`Debug Mode: ${debugStatus}`);
+            const streamStatus = state.streamResponses ? chalk.greenBright('Enabled') : chalk.white('Disabled');
+            console.log(`Streaming Responses: ${streamStatus}`);
             // Notification timeout removed
             const listenerStatus = state.globalListener ? chalk.greenBright('Active') : chalk.redBright('Inactive/Failed');
             // Highlight the hotkey itself
             console.log(`Trigger Hotkey: ${chalk.blueBright(formatTriggerKey(state.triggerKey))} (${listenerStatus})`);
+            console.log(`Clipboard Hotkey: ${chalk.blueBright(state.clipboardTriggerKey ? formatTriggerKey(state.clipboardTriggerKey) : 'None')}`);
+            const autoCopyStatus = state.copyToClipboard ? chalk.greenBright('Enabled') : chalk.white('Disabled');
+            console.log(`Copy Responses to Clipboard: ${autoCopyStatus}`);
             // Italicize the prompt value
             console.log(`Custom Prompt: "${chalk.italic(state.customPrompt)}"`);
+            console.log(`System Instruction: ${state.systemInstruction ? `"${chalk.italic(state.systemInstruction)}"` : chalk.white('None')}`);
+            console.log(`Generation: ${chalk.blueBright(formatGenerationConfig())}`);
+            console.log(`Pipeline: ${chalk.blueBright(state.pipelineMode)} (sends ${PIPELINE_MODES[state.pipelineMode]})`);
+            console.log(`Image Upload: ${chalk.blueBright(formatImageUploadSettings())} (Last Payload: ${chalk.blueBright(formatLastImageUpload())})`);
+            console.log(`OCR: ${chalk.blueBright(formatOcrSettings())} (Preprocessing: ${chalk.blueBright(formatOcrPreprocessing())})`);
+            console.log(`OCR Text Format: ${chalk.blueBright(state.ocrTextFormat)} (Low-confidence mark below: ${chalk.blueBright(formatOcrMinConfidence())})`);
+            const redactionRuleNames = [...state.redactionBuiltins, ...state.redactionRules.map(rule => rule.name)];
+            console.log(`Redaction: ${state.redactionEnabled ? chalk.greenBright('Enabled') : chalk.white('Disabled')} (Rules: ${chalk.blueBright(redactionRuleNames.join(', ') || 'None')})`);
+            console.log(`JSON Responses: ${state.jsonResponse ? chalk.greenBright('Enabled') : chalk.white('Disabled')}`);
+            console.log(`Safety Thresholds${state.provider === 'gemini' ? '' : ' (Gemini only)'}: ${chalk.blueBright(formatSafetyThresholds())}`);
+            const profileCount = Object.keys(state.profiles).length;
+            console.log(`Active Profile: ${chalk.blueBright(state.activeProfile || 'None (custom prompt)')} (${profileCount} defined)`);
+            const regionText = state.captureRegion ? formatRegion(state.captureRegion) : 'None';
+            console.log(`Capture Mode: ${chalk.blueBright(state.captureMode)} (Region: ${chalk.blueBright(regionText)})`);
+            console.log(`Capture Display: ${chalk.blueBright(formatDisplaySetting(state.displayId))}`);
+            const historyStatus = state.historyEnabled ? chalk.greenBright('Enabled') : chalk.white('Disabled');
+            const historyRetention = `keep ${state.historyMaxEntries || 'unlimited'}, max age ${state.historyMaxAgeDays ? `${state.historyMaxAgeDays} days` : 'unlimited'}`;
+            console.log(`Capture History: ${historyStatus} (${historyRetention})`);
+            const queueStatus = state.activeJob ? `running ${formatJobName(state.activeJob)}, ` : '';
+            console.log(`Capture Queue: ${queueStatus}${state.captureQueue.length} pending (limit ${state.queueMaxSize})`);
+            console.log(`Watch Folder: ${chalk.blueBright(formatWatchStatus())}`);
+            const usageToday = sumUsage(getUsageInPeriod(await loadUsageRecords(), USAGE_LIMIT_PERIODS.daily.keyLength));
+            console.log(`Usage Today: ${chalk.blueBright(formatUsageTotals(usageToday))} (Limits: ${chalk.blueBright(formatUsageLimits())})`);
+            const apiStatus = state.apiServer ? chalk.greenBright('Running') : state.apiEnabled ? chalk.redBright('Enabled (not running)') : chalk.white('Disabled');
+            console.log(`HTTP API: ${apiStatus} (Port: ${chalk.blueBright(state.apiPort)})`);
+            console.log(`Config File: ${chalk.blueBright(CONFIG_PATH)}`);
+            const overrides = Object.values(settingsOverrides).map(o => o.envKey);
+            if (overrides.length > 0) {
+                console.log(`Environment Overrides: ${chalk.yellowBright(overrides.join(', '))}`);
+            }
             console.groupEnd();
             console.log(""); // Add newline after the group
             break;
 
-        case 'set-apikey':
-            if (value) {
-                state.apiKey = value;
-                logInfo("API Key updated.");
-                await saveEnvSettings();
-                logInfo("Attempting to re-initialize Gemini services with new key...");
-                // Re-initialize, which will also attempt to fetch models
-                await initializeServices(true);
+        case 'set-apikey': {
+            let apiKey = value;
+            if (apiKey) {
+                forgetHistoryLine(apiKey);
+                logWarn("The key was typed on the command line and may stay in your terminal's scrollback. Run 'set-apikey' alone to enter it hidden.");
             } else {
-                logInfo("Usage: set-apikey <your_gemini_api_key>");
-                logWarn("Get your key from Google AI Studio. To paste, right click or paste into the command prompt");
+                logInfo("Get your key from Google AI Studio. To paste, right click or paste into the command prompt. Input is hidden; leave it empty to cancel.");
+                apiKey = await askHidden("Gemini API Key: ");
+                if (!apiKey) {
+                    logInfo("API Key unchanged.");
+                    break;
+                }
             }
+            state.apiKey = apiKey;
+            logInfo("API Key updated.");
+            await saveSettings();
+            logInfo("Attempting to re-initialize Gemini services with new key...");
+            // Re-initialize, which will also attempt to fetch models
+            await initializeServices(true);
             break;
+        }
 
         case 'set-model':
-            if (!state.apiKey || !state.googleAI) {
+            if (state.provider === 'gemini' && (!state.apiKey || !state.googleAI)) {
                 logError("Cannot set model: API Key not set or Gemini client not initialized.");
                 logWarn("Use 'set-apikey' first. To paste, right click or paste into the command prompt");
                 break;
@@ -729,7 +532,7 @@ rl.on('line', async (line) => {
             // Try fetching models if they haven't been fetched yet
             if (state.fetchedModels.length === 0) {
                 logInfo("Models not fetched yet, attempting to fetch now...");
-                state.fetchedModels = await fetchAvailableModels();
+                state.fetchedModels = await getProvider().listModels();
             }
 
             if (state.fetchedModels.length === 0) {
@@ -738,219 +541,1793 @@ rl.on('line', async (line) => {
                 break;
             }
 
-            // --- Pagination Logic (Corrected Numbering) ---
+            // --- Pagination Logic (see lib/model-picker.js) ---
             let selectionMade = false;
             state.modelListPage = 0; // Reset to first page on command start
 
             while (!selectionMade && state.isRunning) { // Loop until a model is selected or cancelled
-                const totalModels = state.fetchedModels.length;
-                const startIndex = state.modelListPage * MODELS_PER_PAGE;
-                const endIndex = Math.min(startIndex + MODELS_PER_PAGE, totalModels);
-                const modelsToShow = state.fetchedModels.slice(startIndex, endIndex);
-                const numModelsOnPage = modelsToShow.length; // Number of models actually displayed
+                const modelPage = getModelPage(state.fetchedModels, state.modelListPage);
 
                 console.log("\n"); // Add newline before the group
-                console.group(chalk.bold(`--- Select AI Model (Page ${state.modelListPage + 1}/${Math.ceil(totalModels / MODELS_PER_PAGE)}) ---`));
-                modelsToShow.forEach((model, index) => {
+                console.group(chalk.bold(`--- Select AI Model (Page ${modelPage.page + 1}/${modelPage.pageCount}) ---`));
+                modelPage.models.forEach((model, index) => {
                     const displayIndex = index + 1; // Model numbers start from 1
-                    const currentMarker = model === state.aiModel ? chalk.greenBright('(Current)') : '';
+                    const currentMarker = model === getModelName() ? chalk.greenBright('(Current)') : '';
                     console.log(`  ${chalk.blueBright(displayIndex)}: ${chalk.blueBright(model)} ${currentMarker}`);
                 });
 
-                // Option numbering starts *after* the last model number on the page
-                let currentOptionNumber = numModelsOnPage + 1;
-                const showMoreOptionNumber = endIndex < totalModels ? currentOptionNumber++ : null;
-                const goPreviousOptionNumber = state.modelListPage > 0 ? currentOptionNumber++ : null;
-                const cancelOptionNumber = 0; // Keep cancel as 0
-
                 console.log(chalk.bold("-".repeat(52))); // Separator line
-                if (showMoreOptionNumber) console.log(`  ${chalk.blueBright(showMoreOptionNumber)}: Show More`);
-                if (goPreviousOptionNumber) console.log(`  ${chalk.blueBright(goPreviousOptionNumber)}: Go Previous`);
-                console.log(`  ${chalk.blueBright(cancelOptionNumber)}: Cancel`);
+                if (modelPage.showMoreOption) console.log(`  ${chalk.blueBright(modelPage.showMoreOption)}: Show More`);
+                if (modelPage.goPreviousOption) console.log(`  ${chalk.blueBright(modelPage.goPreviousOption)}: Go Previous`);
+                console.log(`  ${chalk.blueBright(modelPage.cancelOption)}: Cancel`);
                 console.groupEnd(); // End the model selection group for this page
                 console.log(""); // Add newline after the group
 
-                const choiceStr = await askQuestion("Enter the number of the model or option: ");
-                const choice = parseInt(choiceStr, 10);
-
-                if (isNaN(choice)) {
-                    logError("Invalid input. Please enter a number.");
-                    continue; // Ask again on the same page
-                }
-
-                // --- Input Handling (Corrected) ---
-                if (choice === cancelOptionNumber) {
-                    logInfo("Model selection cancelled.");
-                    selectionMade = true;
-                } else if (showMoreOptionNumber && choice === showMoreOptionNumber) {
-                    state.modelListPage++;
-                    logDebug("Showing next page of models.");
-                } else if (goPreviousOptionNumber && choice === goPreviousOptionNumber) {
-                    state.modelListPage--;
-                    logDebug("Showing previous page of models.");
-                } else if (choice > 0 && choice <= numModelsOnPage) { // Check against number of models *on this page*
-                    const selectedModel = modelsToShow[choice - 1]; // Get model based on 1-based index
-                    if (selectedModel !== state.aiModel) {
-                        state.aiModel = selectedModel;
-                        logInfo(`AI Model changing to: ${chalk.blueBright(state.aiModel)}`);
-                        if (initializeGeminiModel()) {
-                            await saveEnvSettings();
-                            selectionMade = true; // Exit loop on successful selection
+                const choice = resolveModelChoice(modelPage, await askQuestion("Enter the number of the model or option: "));
+                switch (choice.action) {
+                    case 'not-a-number':
+                        logError("Invalid input. Please enter a number.");
+                        break; // Ask again on the same page
+                    case 'cancel':
+                        logInfo("Model selection cancelled.");
+                        selectionMade = true;
+                        break;
+                    case 'next':
+                        state.modelListPage = modelPage.page + 1;
+                        logDebug("Showing next page of models.");
+                        break;
+                    case 'previous':
+                        state.modelListPage = modelPage.page - 1;
+                        logDebug("Showing previous page of models.");
+                        break;
+                    case 'select':
+                        if (choice.model !== getModelName()) {
+                            setModelName(choice.model);
+                            logInfo(`AI Model changing to: ${chalk.blueBright(choice.model)}`);
+                            if (getProvider().activateModel()) {
+                                await saveSettings();
+                                selectionMade = true; // Exit loop on successful selection
+                            } else {
+                                // Let the user try again or cancel
+                                logError(`Failed to initialize model ${choice.model}. Selection failed. Check logs.`);
+                            }
                         } else {
-                             logError(`Failed to initialize model ${state.aiModel}. Selection failed. Check logs.`);
-                             // Optionally revert state.aiModel or keep loop going
-                             // For simplicity, we'll let the user try again or cancel
+                            logInfo("Selected model is already the current model.");
+                            selectionMade = true; // Exit loop as no change needed
                         }
-                    } else {
-                        logInfo("Selected model is already the current model.");
-                        selectionMade = true; // Exit loop as no change needed
-                    }
-                } else {
-                    logError("Invalid choice number."); // Choice didn't match any model or option
+                        break;
+                    default:
+                        logError("Invalid choice number."); // Choice didn't match any model or option
                 }
                  // Add a small delay if looping to prevent overly fast prompts on error/page change
                  if (!selectionMade) await new Promise(resolve => setTimeout(resolve, 50));
             } // End while loop
 
             needsReprompt = false; // Prompting was handled inside the loop
-            rl.prompt(); // Re-prompt after the selection process finishes
+            state.cli.prompt(); // Re-prompt after the selection process finishes
             break;
             // --- End Pagination Logic ---
 
+        case 'set-provider': {
+            const [providerName, baseUrl] = args.slice(1);
+            if (!providerName || !AI_PROVIDERS[providerName.toLowerCase()]) {
+                if (providerName) logError(`Unknown provider: "${providerName}".`);
+                logInfo(`Current provider: ${chalk.blueBright(getProvider().label)} (${state.provider})`);
+                logInfo("Usage: set-provider <gemini|openai|ollama> [base_url]");
+                logInfo(`Examples: set-provider openai http://localhost:1234/v1, set-provider ollama ${DEFAULT_OLLAMA_BASE_URL}`);
+                break;
+            }
+            const newProvider = providerName.toLowerCase();
+            if (baseUrl) {
+                if (!/^https?:\/\//.test(baseUrl)) {
+                    logError(`Invalid base URL: "${baseUrl}". It must start with http:// or https://`);
+                    break;
+                }
+                if (newProvider === 'openai') state.openaiBaseUrl = baseUrl.replace(/\/+$/, '');
+                else if (newProvider === 'ollama') state.ollamaBaseUrl = baseUrl.replace(/\/+$/, '');
+                else logWarn("The Gemini provider does not use a base URL. Ignoring it.");
+            }
+            state.provider = newProvider;
+            state.fetchedModels = []; // Model lists are per provider
+            logInfo(`AI provider set to: ${chalk.blueBright(getProvider().label)}`);
+            await saveSettings();
+            await initializeServices(true);
+            break;
+        }
+        case 'set-openai-key': {
+            let openaiKey = value;
+            if (openaiKey && openaiKey.toLowerCase() !== 'none') {
+                forgetHistoryLine(openaiKey);
+                logWarn("The key was typed on the command line and may stay in your terminal's scrollback. Run 'set-openai-key' alone to enter it hidden.");
+            } else if (!openaiKey) {
+                logInfo("Only needed for servers that require one (e.g. api.openai.com). Local servers usually don't.");
+                openaiKey = await askHidden("OpenAI-compatible API Key (hidden, 'none' to clear, empty to cancel): ");
+                if (!openaiKey) {
+                    logInfo("OpenAI-compatible API Key unchanged.");
+                    break;
+                }
+            }
+            state.openaiApiKey = openaiKey.toLowerCase() === 'none' ? null : openaiKey;
+            logInfo(state.openaiApiKey ? "OpenAI-compatible API Key updated." : "OpenAI-compatible API Key cleared.");
+            await saveSettings();
+            if (state.provider === 'openai') {
+                state.fetchedModels = [];
+                await initializeServices(true);
+            }
+            break;
+        }
+
+        case 'secret-store':
+            if (!value) {
+                logInfo(`API keys are stored in the ${chalk.blueBright(state.secretStorage.label)} (setting: ${state.secretStore}).`);
+                logInfo(`Usage: secret-store <${SECRET_STORE_CHOICES.join('|')}>. 'auto' uses the OS keychain when available, otherwise an encrypted file.`);
+            } else if (!SECRET_STORE_CHOICES.includes(value.toLowerCase())) {
+                logWarn(`Unknown secret store "${value}". Use one of: ${SECRET_STORE_CHOICES.join(', ')}.`);
+            } else {
+                await changeSecretStore(value.toLowerCase());
+            }
+            break;
 
         case 'prompt':
             if (value) {
                 state.customPrompt = value;
                 logInfo(`Prompt updated.`);
-                await saveEnvSettings();
+                await saveSettings();
             } else {
                 // Italicize current prompt when showing
                 logInfo(`Current Prompt: "${chalk.italic(state.customPrompt)}"`);
                 logInfo("Usage: prompt <your new prompt text>");
             }
             break;
-        case 'debug':
-            state.debugMode = !state.debugMode;
-            // Use green/white for status
-            const debugToggleStatus = state.debugMode ? chalk.greenBright('enabled') : chalk.white('disabled');
-            logInfo(`Debug mode ${debugToggleStatus}.`);
-            await saveEnvSettings();
-            break;
-        // case 'notify-duration': removed
-        case 'set-trigger':
+        case 'system':
             if (value) {
-                const newTrigger = parseTriggerKey(value);
-                if (newTrigger) {
-                    state.triggerKey = newTrigger;
-                    // Highlight new key
-                    logInfo(`Trigger key set to: ${chalk.blueBright(formatTriggerKey(state.triggerKey))}`);
-                    setupGlobalListener(); // Re-setup listener with the new key
-                    if (!state.globalListener) {
-                         logError("Failed to restart listener with the new key. Hotkey might not work.");
-                    }
-                    await saveEnvSettings();
-                } else {
-                    logError(`Invalid trigger format: "${value}". Example: CTRL+SHIFT+K`);
-                }
+                state.systemInstruction = value.toLowerCase() === 'none' ? null : value;
+                logInfo(state.systemInstruction ? "System instruction updated." : "System instruction removed.");
+                await saveSettings();
             } else {
-                logInfo(`Current trigger key: ${chalk.blueBright(formatTriggerKey(state.triggerKey))}`);
-                logInfo("Usage: set-trigger <key_combination> (e.g., set-trigger CTRL+SHIFT+X)");
-                logInfo("Modifiers: CTRL, SHIFT, ALT, META. Key: A-Z, 0-9, F1-F12, SPACE, etc.");
+                logInfo(`Current System Instruction: ${state.systemInstruction ? `"${chalk.italic(state.systemInstruction)}"` : 'None'}`);
+                logInfo("Usage: system <instruction text|none>");
             }
             break;
-        case 'capture':
-        case 'c':
-            needsReprompt = false; // handleCapture will re-prompt if needed
-            await handleCapture('command');
+        case 'pipeline':
+            if (!value) {
+                logInfo(`Pipeline mode: ${chalk.blueBright(state.pipelineMode)} (sends ${PIPELINE_MODES[state.pipelineMode]}).`);
+                Object.entries(PIPELINE_MODES).forEach(([mode, description]) => logInfo(`  ${chalk.blueBright(mode)} - Send ${description}.`));
+                logInfo("Usage: pipeline <mode>");
+            } else if (!PIPELINE_MODES[value.toLowerCase()]) {
+                logWarn(`Unknown pipeline mode "${value}". Use one of: ${Object.keys(PIPELINE_MODES).join(', ')}.`);
+            } else {
+                state.pipelineMode = value.toLowerCase();
+                logInfo(`Pipeline mode set to ${chalk.blueBright(state.pipelineMode)}: captures send ${PIPELINE_MODES[state.pipelineMode]}.`);
+                if (redactsImages() && !pipelineSendsText()) logInfo("Redaction is on, so images are still OCR'd to find what to black out.");
+                if (capturesNeedOcr() && !state.worker) logWarn("Tesseract isn't initialized, so captures will fail until it is. Try 'set-ocr-lang' to recreate the worker.");
+                await saveSettings();
+            }
             break;
-        case 'quit':
-        case 'exit':
-            logInfo("Exit command received. Shutting down...");
-            needsReprompt = false;
-            await shutdown('command');
-            return; // Exit the handler immediately
-        case 'help':
-             console.log("\n"); // Add newline before the group
-             console.group(chalk.bold("--- Available Commands ---"));
-             console.log(`  ${chalk.blueBright('get / init')}        - Show current configuration.`);
-             console.log(`  ${chalk.blueBright('set-apikey <key>')}  - Set your Gemini API Key.`);
-             console.log(`  ${chalk.blueBright('set-model')}          - Choose the Gemini AI model (fetches list, paginated).`);
-             console.log(`  ${chalk.blueBright('prompt <text>')}      - Set a new custom prompt for Gemini.`);
-             console.log(`  ${chalk.blueBright('prompt')}             - Show the current prompt.`);
-             console.log(`  ${chalk.blueBright('debug')}              - Toggle debug logging.`);
-             // notify-duration removed
-             console.log(`  ${chalk.blueBright('set-trigger <combo>')} - Set the global hotkey (e.g., CTRL+SHIFT+C).`);
-             console.log(`  ${chalk.blueBright('capture / c')}        - Manually trigger screenshot, OCR, and AI analysis.`);
-             console.log(`  ${chalk.blueBright('quit / exit')}        - Stop the application.`);
-             console.log(`  ${chalk.blueBright('help')}               - Show this help message.`);
-             console.groupEnd();
-             console.log(""); // Add newline after the group
-             break;
-        default:
-            if (command) {
-                // Use warning for unknown commands
-                logWarn(`Unknown command: "${command}". Type 'help' for available commands.`);
+        case 'set-image-format': {
+            const format = (args[1] || '').toLowerCase();
+            const quality = args[2] === undefined ? state.imageQuality : SETTING_TYPES.integer.fromEnv(args[2]);
+            if (validateSetting(getSettingEntry('imageFormat'), format) || validateSetting(getSettingEntry('imageQuality'), quality)) {
+                logInfo(`Images are sent as ${chalk.blueBright(formatImageUploadSettings())}.`);
+                logInfo(`Usage: set-image-format <${Object.keys(IMAGE_UPLOAD_FORMATS).join('|')}> [quality 1-100]`);
+                break;
             }
-            // If just enter was pressed (empty command), don't show unknown command
+            state.imageFormat = format;
+            state.imageQuality = quality;
+            logInfo(`Images are now sent as ${chalk.blueBright(formatImageUploadSettings())}.`);
+            await saveSettings();
             break;
-    }
-
-    // Re-prompt if the command didn't handle it and we're still running and not processing
-    if (needsReprompt && state.isRunning && !state.isProcessing) {
-        rl.prompt();
-    }
-});
-
-// Handle readline close event
-rl.on('close', () => {
-    logInfo('Readline interface closed.');
-    if (state.isRunning) {
-        logWarn("Readline closed unexpectedly. Initiating shutdown...");
-        // Ensure shutdown is called, even if rl.close() was called during shutdown
-        shutdown('readline_close');
-    } else {
-        logDebug("Readline closed as part of normal shutdown.");
-    }
-});
-
-
-// --- Main Execution ---
+        }
+        case 'set-image-max-size': {
+            const maxDimension = SETTING_TYPES.integer.fromEnv(value); // "none" sends images at full size
+            if (!value || validateSetting(getSettingEntry('imageMaxDimension'), maxDimension)) {
+                logInfo(`Images are sent as ${chalk.blueBright(formatImageUploadSettings())}.`);
+                logInfo("Usage: set-image-max-size <pixels|none>");
+                break;
+            }
+            state.imageMaxDimension = maxDimension;
+            logInfo(maxDimension
+                ? `Images larger than ${chalk.blueBright(`${maxDimension}px`)} on their longer side are now scaled down before sending.`
+                : "Images are now sent at full size.");
+            await saveSettings();
+            break;
+        }
+        case 'set-ocr-lang': {
+            if (!value) {
+                logInfo(`OCR languages: ${chalk.blueBright(state.ocrLanguages)}. Usage: set-ocr-lang <codes>, e.g. set-ocr-lang eng+deu+jpn`);
+                break;
+            }
+            const problem = validateSetting(getSettingEntry('ocrLanguages'), value);
+            if (problem) {
+                logWarn(`Languages ${problem}.`);
+            } else if (await reconfigureOcrWorker({ ocrLanguages: value })) {
+                logInfo(`OCR languages set to ${chalk.blueBright(value)}.`);
+            }
+            break;
+        }
+        case 'set-ocr-engine':
+            if (!OCR_ENGINES.hasOwnProperty(value.toLowerCase())) {
+                logInfo(`OCR engine: ${chalk.blueBright(state.ocrEngine)}. Usage: set-ocr-engine <${Object.keys(OCR_ENGINES).join('|')}>`);
+            } else if (await reconfigureOcrWorker({ ocrEngine: value.toLowerCase() })) {
+                logInfo(`OCR engine set to ${chalk.blueBright(state.ocrEngine)}.`);
+            }
+            break;
+        case 'set-ocr-psm': {
+            const pageSegMode = Number(value);
+            if (!value || validateSetting(getSettingEntry('ocrPageSegMode'), pageSegMode)) {
+                logInfo(`OCR page segmentation mode: ${chalk.blueBright(state.ocrPageSegMode)}. Usage: set-ocr-psm <0-13>`);
+                logInfo("Common modes: 3 automatic (default), 4 single column, 6 single block, 7 single line, 11 sparse text.");
+            } else if (await reconfigureOcrWorker({ ocrPageSegMode: pageSegMode })) {
+                logInfo(`OCR page segmentation mode set to ${chalk.blueBright(pageSegMode)}.`);
+            }
+            break;
+        }
+        case 'set-ocr-whitelist':
+            if (!value) {
+                logInfo(`OCR whitelist: ${chalk.blueBright(state.ocrWhitelist || 'none (all characters)')}. Usage: set-ocr-whitelist <characters|none>`);
+            } else if (await reconfigureOcrWorker({ ocrWhitelist: value.toLowerCase() === 'none' ? null : value })) {
+                logInfo(state.ocrWhitelist ? `OCR limited to the characters ${chalk.blueBright(state.ocrWhitelist)}.` : "OCR whitelist removed.");
+            }
+            break;
+        case 'set-ocr-format':
+            if (!Object.keys(OCR_TEXT_FORMATS).includes(value.toLowerCase())) {
+                logInfo(`OCR text format: ${chalk.blueBright(state.ocrTextFormat)} (${OCR_TEXT_FORMATS[state.ocrTextFormat]}).`);
+                Object.entries(OCR_TEXT_FORMATS).forEach(([format, description]) => logInfo(`  ${chalk.blueBright(format)} - ${description}`));
+                logInfo("Usage: set-ocr-format <format>");
+            } else {
+                state.ocrTextFormat = value.toLowerCase();
+                logInfo(`OCR text format set to ${chalk.blueBright(state.ocrTextFormat)}: ${OCR_TEXT_FORMATS[state.ocrTextFormat]}.`);
+                if (!pipelineSendsText()) logInfo("The image-only pipeline doesn't send the OCR text. Use 'pipeline' to change that.");
+                await saveSettings();
+            }
+            break;
+        case 'set-ocr-min-confidence': {
+            const minConfidence = value.toLowerCase() === 'none' ? 0 : Number(value);
+            if (!value || validateSetting(getSettingEntry('ocrMinConfidence'), minConfidence)) {
+                logInfo(`Words below ${chalk.blueBright(formatOcrMinConfidence())} confidence are marked. Usage: set-ocr-min-confidence <0-100|none>`);
+            } else {
+                state.ocrMinConfidence = minConfidence;
+                logInfo(state.ocrMinConfidence
+                    ? `Words recognized with less than ${chalk.blueBright(formatOcrMinConfidence())} confidence are marked with ${OCR_LOW_CONFIDENCE_MARK} in the lines and table formats.`
+                    : "Low-confidence words are no longer marked.");
+                await saveSettings();
+            }
+            break;
+        }
+        case 'ocr-prep': {
+            // Syntax: ocr-prep [grayscale on|off | upscale <1-4> | invert on|off|auto | threshold <1-255|off> | reset]
+            const step = (args[1] || '').toLowerCase();
+            const stepValue = (args[2] || '').toLowerCase();
+            if (step === 'reset') {
+                state.ocrPreprocessing = { ...DEFAULT_OCR_PREPROCESSING };
+            } else if (Object.keys(DEFAULT_OCR_PREPROCESSING).includes(step) && stepValue) {
+                const parsedValue = step === 'grayscale' ? { on: true, off: false }[stepValue]
+                    : step === 'invert' ? stepValue
+                    : stepValue === 'off' ? DEFAULT_OCR_PREPROCESSING[step] : Number(stepValue);
+                const problem = parsedValue === undefined ? 'must be on or off' : validateSetting(getSettingEntry(`ocrPreprocessing.${step}`), parsedValue);
+                if (problem) {
+                    logWarn(`${step} ${problem}.`);
+                    break;
+                }
+                state.ocrPreprocessing[step] = parsedValue;
+            } else {
+                logInfo(`OCR preprocessing: ${chalk.blueBright(formatOcrPreprocessing())}.`);
+                logInfo(`Usage: ocr-prep grayscale on|off | upscale <1-${OCR_MAX_UPSCALE}> | invert on|off|auto | threshold <1-255|off> | reset`);
+                break;
+            }
+            logInfo(`OCR preprocessing: ${chalk.blueBright(formatOcrPreprocessing())}. Use ${chalk.blueBright('ocr-test <image>')} to compare.`);
+            await saveSettings();
+            break;
+        }
+        case 'ocr-test': {
+            if (!value) {
+                logInfo("Usage: ocr-test <image> - Run OCR on an image with and without preprocessing.");
+                break;
+            }
+            const testImagePath = path.resolve(value);
+            if (!fss.existsSync(testImagePath)) {
+                logError(`Image not found: ${testImagePath}`);
+                break;
+            }
+            if (!state.worker) {
+                logError("Tesseract worker not initialized.");
+                break;
+            }
+            logInfo(`OCR settings: ${chalk.blueBright(formatOcrSettings())} (${chalk.blueBright(state.ocrTextFormat)} format)`);
+            state.isProcessing = true;
+            try {
+                await runOcrTest(testImagePath);
+            } catch (error) {
+                logError("OCR test failed", error);
+            } finally {
+                state.isProcessing = false;
+            }
+            processCaptureQueue(); // Run captures triggered during the test
+            break;
+        }
+        case 'redact': {
+            // Syntax: redact [on|off | builtin <name> on|off | add <name> <regex> | remove <name> | test <image> | test-text <text>]
+            const subCommand = (args[1] || '').toLowerCase();
+            const ruleName = args[2];
+            const ruleValue = args.slice(3).join(' ');
+            switch (subCommand) {
+                case 'on':
+                case 'off':
+                    state.redactionEnabled = subCommand === 'on';
+                    logInfo(`Redaction ${state.redactionEnabled ? chalk.greenBright('enabled') : chalk.white('disabled')}.`);
+                    if (redactsImages() && !pipelineSendsText()) logInfo("Images are still OCR'd in the image-only pipeline to find what to black out.");
+                    if (capturesNeedOcr() && !state.worker) logWarn("Tesseract isn't initialized, so captures will fail until it is. Try 'set-ocr-lang' to recreate the worker.");
+                    await saveSettings();
+                    break;
+                case 'builtin': {
+                    const enable = { on: true, off: false }[ruleValue.toLowerCase()];
+                    if (!REDACTION_BUILTINS[ruleName] || enable === undefined) {
+                        logInfo(`Usage: redact builtin <${Object.keys(REDACTION_BUILTINS).join('|')}> on|off`);
+                        break;
+                    }
+                    state.redactionBuiltins = Object.keys(REDACTION_BUILTINS).filter(name => name === ruleName ? enable : state.redactionBuiltins.includes(name));
+                    logInfo(`Built-in rule ${chalk.blueBright(ruleName)} ${enable ? chalk.greenBright('enabled') : chalk.white('disabled')}.`);
+                    await saveSettings();
+                    break;
+                }
+                case 'add': {
+                    if (!ruleName || !ruleValue) {
+                        logInfo("Usage: redact add <name> <regex> (or /regex/flags, e.g. /ticket-\\d+/i)");
+                        break;
+                    }
+                    const slashed = ruleValue.match(/^\/(.+)\/([a-z]*)$/);
+                    const rule = slashed ? { name: ruleName, pattern: slashed[1], flags: slashed[2] } : { name: ruleName, pattern: ruleValue, flags: '' };
+                    const problem = checkRedactionPattern(rule.pattern, rule.flags);
+                    if (problem) {
+                        logWarn(`Can't use this rule: ${problem}.`);
+                        break;
+                    }
+                    state.redactionRules = [...state.redactionRules.filter(existing => existing.name !== ruleName), rule];
+                    logInfo(`Redaction rule ${chalk.blueBright(ruleName)} saved. Use ${chalk.blueBright('redact test-text <text>')} to try it.`);
+                    await saveSettings();
+                    break;
+                }
+                case 'remove':
+                    if (!state.redactionRules.some(rule => rule.name === ruleName)) {
+                        logWarn(ruleName ? `No redaction rule named "${ruleName}".` : "Usage: redact remove <name>");
+                        break;
+                    }
+                    state.redactionRules = state.redactionRules.filter(rule => rule.name !== ruleName);
+                    logInfo(`Redaction rule ${chalk.blueBright(ruleName)} removed.`);
+                    await saveSettings();
+                    break;
+                case 'test-text': {
+                    const testText = args.slice(2).join(' ');
+                    if (!testText) {
+                        logInfo("Usage: redact test-text <text> - Show what would be redacted from a text.");
+                        break;
+                    }
+                    printTextRedactionTest(testText);
+                    break;
+                }
+                case 'test': {
+                    if (!ruleName) {
+                        logInfo("Usage: redact test <image> - Show what would be redacted from an image, without sending it.");
+                        break;
+                    }
+                    const testImagePath = path.resolve(args.slice(2).join(' '));
+                    if (!fss.existsSync(testImagePath)) {
+                        logError(`Image not found: ${testImagePath}`);
+                        break;
+                    }
+                    if (!state.worker) {
+                        logError("Tesseract worker not initialized.");
+                        break;
+                    }
+                    if (!state.redactionEnabled) logInfo(`Redaction is off; this shows what ${chalk.blueBright('redact on')} would remove.`);
+                    state.isProcessing = true;
+                    try {
+                        await runRedactionTest(testImagePath);
+                    } catch (error) {
+                        logError("Redaction test failed", error);
+                    } finally {
+                        state.isProcessing = false;
+                    }
+                    processCaptureQueue(); // Run captures triggered during the test
+                    break;
+                }
+                case '': {
+                    logInfo(`Redaction: ${state.redactionEnabled ? chalk.greenBright('Enabled') : chalk.white('Disabled')}`);
+                    for (const [name, { description }] of Object.entries(REDACTION_BUILTINS)) {
+                        const status = state.redactionBuiltins.includes(name) ? chalk.greenBright('on') : chalk.white('off');
+                        logInfo(`  ${chalk.blueBright(name)} (${status}) - ${description}`);
+                    }
+                    for (const rule of state.redactionRules) {
+                        logInfo(`  ${chalk.blueBright(rule.name)} (custom) - /${rule.pattern}/${rule.flags || ''}`);
+                    }
+                    logInfo("Usage: redact on|off | builtin <name> on|off | add <name> <regex> | remove <name> | test <image> | test-text <text>");
+                    break;
+                }
+                default:
+                    logWarn(`Unknown redact command: "${subCommand}".`);
+            }
+            break;
+        }
+        case 'json-mode':
+            state.jsonResponse = !state.jsonResponse;
+            logInfo(`JSON responses ${state.jsonResponse ? chalk.greenBright('enabled') : chalk.white('disabled')}.`);
+            if (state.jsonResponse) logInfo("Describe the JSON you want in the prompt or system instruction (OpenAI-compatible servers require the word \"JSON\" in it).");
+            await saveSettings();
+            break;
+        case 'set-gen': {
+            // Syntax: set-gen <parameter> <value|default>
+            const parameterName = Object.keys(GENERATION_PARAMETERS).find(name => name.toLowerCase() === (args[1] || '').toLowerCase());
+            const parameterValue = args[2];
+            if (!parameterName || !parameterValue) {
+                if (args[1] && !parameterName) logWarn(`Unknown generation parameter: "${args[1]}".`);
+                logInfo(`Generation settings: ${chalk.blueBright(formatGenerationConfig())}`);
+                logInfo(`Usage: set-gen <${Object.keys(GENERATION_PARAMETERS).join('|')}> <value|default>`);
+                break;
+            }
+            const { min, max } = GENERATION_PARAMETERS[parameterName];
+            const newValue = parameterValue.toLowerCase() === 'default'
+                ? DEFAULT_GENERATION_CONFIG[parameterName]
+                : parseGenerationValue(parameterName, parameterValue);
+            if (newValue === null) {
+                logError(`Invalid value "${parameterValue}" for ${parameterName}. Use a ${GENERATION_PARAMETERS[parameterName].integer ? 'whole number' : 'number'} from ${min} to ${max}.`);
+                break;
+            }
+            state.generationConfig[parameterName] = newValue;
+            logInfo(`${parameterName} set to ${chalk.blueBright(newValue)}.`);
+            await saveSettings();
+            break;
+        }
+        case 'set-safety': {
+            // Syntax: set-safety <category|all> <none|high|medium|low>
+            const categoryName = (args[1] || '').toLowerCase();
+            const threshold = (args[2] || '').toLowerCase();
+            if ((categoryName !== 'all' && !SAFETY_CATEGORIES[categoryName]) || !SAFETY_THRESHOLDS[threshold]) {
+                if (args[1]) logWarn(`Invalid safety setting: "${value}".`);
+                logInfo(`Safety thresholds: ${chalk.blueBright(formatSafetyThresholds())}`);
+                logInfo(`Usage: set-safety <${Object.keys(SAFETY_CATEGORIES).join('|')}|all> <${Object.keys(SAFETY_THRESHOLDS).join('|')}>`);
+                logInfo("The threshold is the lowest harm probability that gets blocked ('high' blocks only high, 'none' blocks nothing). Gemini only.");
+                break;
+            }
+            const categoryNames = categoryName === 'all' ? Object.keys(SAFETY_CATEGORIES) : [categoryName];
+            categoryNames.forEach(name => { state.safetyThresholds[name] = threshold; });
+            logInfo(`Safety threshold for ${categoryNames.join(', ')} set to ${chalk.blueBright(threshold)}.`);
+            await saveSettings();
+            break;
+        }
+        case 'debug':
+            state.debugMode = !state.debugMode;
+            // Use green/white for status
+            const debugToggleStatus = state.debugMode ? chalk.greenBright('enabled') : chalk.white('disabled');
+            logInfo(`Debug mode ${debugToggleStatus}.`);
+            await saveSettings();
+            break;
+        case 'stream':
+            state.streamResponses = !state.streamResponses;
+            const streamToggleStatus = state.streamResponses ? chalk.greenBright('enabled') : chalk.white('disabled');
+            logInfo(`Streaming responses ${streamToggleStatus}.`);
+            await saveSettings();
+            break;
+        case 'set-timeout': {
+            const timeoutSeconds = SETTING_TYPES.integer.fromEnv(value); // "none" disables the timeout
+            if (!value || validateSetting(getSettingEntry('requestTimeoutSeconds'), timeoutSeconds)) {
+                logInfo(`AI request timeout: ${chalk.blueBright(state.requestTimeoutSeconds ? `${state.requestTimeoutSeconds}s` : 'none')}. Usage: set-timeout <seconds|none>`);
+                break;
+            }
+            state.requestTimeoutSeconds = timeoutSeconds;
+            logInfo(`AI request timeout set to ${chalk.blueBright(state.requestTimeoutSeconds ? `${state.requestTimeoutSeconds}s` : 'none')}.`);
+            await saveSettings();
+            break;
+        }
+        case 'set-retries': {
+            const retries = SETTING_TYPES.integer.fromEnv(value);
+            if (!value || validateSetting(getSettingEntry('maxRetries'), retries)) {
+                logInfo(`Failed AI requests are retried ${chalk.blueBright(state.maxRetries)} time(s). Usage: set-retries <count>`);
+                break;
+            }
+            state.maxRetries = retries;
+            logInfo(`Failed AI requests are now retried ${chalk.blueBright(state.maxRetries)} time(s).`);
+            await saveSettings();
+            break;
+        }
+        case 'set-fallback-models':
+            if (!value) {
+                logInfo(`Fallback models: ${chalk.blueBright(state.fallbackModels.join(', ') || 'None')}. Usage: set-fallback-models <model,model,...|none>`);
+                break;
+            }
+            state.fallbackModels = parseModelList(value);
+            logInfo(`Fallback models set to: ${chalk.blueBright(state.fallbackModels.join(', ') || 'None')}.`);
+            if (state.fallbackModels.length > 0 && state.fetchedModels.length > 0) {
+                const unknownModels = state.fallbackModels.filter(name => !state.fetchedModels.includes(name));
+                if (unknownModels.length > 0) logWarn(`Not offered by ${getProvider().label}: ${unknownModels.join(', ')}`);
+            }
+            await saveSettings();
+            break;
+        // case 'notify-duration': removed
+        case 'set-trigger':
+            if (value) {
+                const newTrigger = parseTriggerKey(value);
+                if (newTrigger) {
+                    state.triggerKey = newTrigger;
+                    // Highlight new key
+                    logInfo(`Trigger key set to: ${chalk.blueBright(formatTriggerKey(state.triggerKey))}`);
+                    setupGlobalListener(); // Re-setup listener with the new key
+                    if (!state.globalListener) {
+                         logError("Failed to restart listener with the new key. Hotkey might not work.");
+                    }
+                    await saveSettings();
+                } else {
+                    logError(`Invalid trigger format: "${value}". Example: CTRL+SHIFT+K`);
+                }
+            } else {
+                logInfo(`Current trigger key: ${chalk.blueBright(formatTriggerKey(state.triggerKey))}`);
+                logInfo("Usage: set-trigger <key_combination> (e.g., set-trigger CTRL+SHIFT+X)");
+                logInfo("Modifiers: CTRL, SHIFT, ALT, META. Key: A-Z, 0-9, F1-F12, SPACE, etc.");
+            }
+            break;
+        case 'capture':
+        case 'c':
+            needsReprompt = false; // handleCapture or the queue will re-prompt
+            handleCapture('command'); // Not awaited: the capture is queued and the CLI stays usable
+            break;
+        case 'clipboard':
+        case 'cb':
+            needsReprompt = false; // handleClipboardCapture or the queue will re-prompt
+            handleClipboardCapture('command');
+            break;
+        case 'set-clipboard-trigger':
+            if (!value) {
+                const currentClipboardKey = state.clipboardTriggerKey ? formatTriggerKey(state.clipboardTriggerKey) : 'None';
+                logInfo(`Current clipboard hotkey: ${chalk.blueBright(currentClipboardKey)}`);
+                logInfo("Usage: set-clipboard-trigger <key_combination|none> (e.g., set-clipboard-trigger CTRL+SHIFT+V)");
+                break;
+            }
+            if (value.toLowerCase() === 'none') {
+                state.clipboardTriggerKey = null;
+                logInfo("Clipboard hotkey removed.");
+            } else {
+                const newClipboardTrigger = parseTriggerKey(value);
+                if (!newClipboardTrigger) {
+                    logError(`Invalid trigger format: "${value}". Example: CTRL+SHIFT+V`);
+                    break;
+                }
+                state.clipboardTriggerKey = newClipboardTrigger;
+                logInfo(`Clipboard hotkey set to: ${chalk.blueBright(formatTriggerKey(newClipboardTrigger))}`);
+            }
+            setupGlobalListener(); // Re-setup listener with the new bindings
+            await saveSettings();
+            break;
+        case 'auto-copy':
+            state.copyToClipboard = !state.copyToClipboard;
+            logInfo(`Copying responses to the clipboard ${state.copyToClipboard ? chalk.greenBright('enabled') : chalk.white('disabled')}.`);
+            await saveSettings();
+            break;
+        case 'capture-region':
+            if (value.toLowerCase() === 'clear') {
+                state.captureRegion = null;
+                state.captureMode = 'full';
+                logInfo("Remembered capture region cleared. Capture mode set to full.");
+                await saveSettings();
+                break;
+            }
+            if (value) {
+                const newRegion = parseRegion(value);
+                if (!newRegion) {
+                    logError(`Invalid region format: "${value}". Example: capture-region 100,200,800,600`);
+                    break;
+                }
+                state.captureRegion = newRegion;
+                await saveSettings();
+            } else if (!state.captureRegion) {
+                logInfo("No region remembered yet.");
+                logInfo("Usage: capture-region <x,y,width,height> (e.g., capture-region 100,200,800,600)");
+                break;
+            }
+            needsReprompt = false; // handleCapture will re-prompt if needed
+            await handleCapture('command', { region: state.captureRegion });
+            break;
+        case 'capture-mode':
+            if (value === 'full' || value === 'region') {
+                if (value === 'region' && !state.captureRegion) {
+                    logError("Cannot use region mode: no region remembered. Use 'capture-region <x,y,width,height>' first.");
+                    break;
+                }
+                state.captureMode = value;
+                logInfo(`Capture mode set to: ${chalk.blueBright(state.captureMode)}`);
+                await saveSettings();
+            } else {
+                logInfo(`Current capture mode: ${chalk.blueBright(state.captureMode)}`);
+                logInfo("Usage: capture-mode <full|region>");
+            }
+            break;
+        case 'set-display': {
+            let displays;
+            try {
+                displays = await state.screenshotter.listDisplays();
+            } catch (error) {
+                logError("Failed to list displays", error);
+                break;
+            }
+            if (!displays || displays.length === 0) {
+                logError("No displays found.");
+                break;
+            }
+
+            let choiceStr = value;
+            if (!choiceStr) {
+                console.log("\n"); // Add newline before the group
+                console.group(chalk.bold("--- Select Display ---"));
+                displays.forEach((display, index) => {
+                    const currentMarker = String(display.id) === state.displayId || (!state.displayId && index === 0) ? chalk.greenBright('(Current)') : '';
+                    console.log(`  ${chalk.blueBright(index + 1)}: ${chalk.blueBright(formatDisplayName(display, index))} (id ${display.id}) ${currentMarker}`);
+                });
+                console.log(chalk.bold("-".repeat(52))); // Separator line
+                const allMarker = state.displayId === 'all' ? chalk.greenBright('(Current)') : '';
+                console.log(`  ${chalk.blueBright('all')}: All displays (one request with every screen) ${allMarker}`);
+                console.log(`  ${chalk.blueBright(0)}: Cancel`);
+                console.groupEnd();
+                console.log(""); // Add newline after the group
+                choiceStr = await askQuestion("Enter the number of the display or 'all': ");
+            }
+
+            choiceStr = choiceStr.trim().toLowerCase();
+            if (choiceStr === '0') {
+                logInfo("Display selection cancelled.");
+            } else if (choiceStr === 'all') {
+                state.displayId = 'all';
+                logInfo(`Capture display set to: ${chalk.blueBright(formatDisplaySetting(state.displayId))}`);
+                await saveSettings();
+            } else {
+                const choice = parseInt(choiceStr, 10);
+                if (isNaN(choice) || choice < 1 || choice > displays.length) {
+                    logError(`Invalid display choice: "${choiceStr}".`);
+                    break;
+                }
+                state.displayId = String(displays[choice - 1].id);
+                logInfo(`Capture display set to: ${chalk.blueBright(formatDisplayName(displays[choice - 1], choice - 1))}`);
+                await saveSettings();
+            }
+            break;
+        }
+        case 'last':
+            if (!state.lastResponse) {
+                logInfo("No response yet. Take a capture first.");
+                break;
+            }
+            console.log("\n"); // Add newline before the group
+            console.group(chalk.bold(`--- Last Response (${chalk.blueBright(state.lastResponse.model)}, ${new Date(state.lastResponse.timestamp).toLocaleString()}) ---`));
+            logInfo(state.lastResponse.text);
+            if (state.lastResponse.viewerPath) logInfo(chalk.gray(`Full page: ${state.lastResponse.viewerPath}`));
+            console.groupEnd();
+            console.log(""); // Add newline after the group
+            if (value.toLowerCase() === 'open') {
+                const viewerPath = state.lastResponse.viewerPath || await writeResponseViewer(state.lastResponse.text, { title: 'AI Helper Result', ...state.lastResponse });
+                if (viewerPath) openWithDefaultApp(viewerPath);
+            }
+            break;
+        case 'ask':
+            if (!value) {
+                logInfo("Usage: ask <follow-up question about the last capture>");
+                break;
+            }
+            state.isProcessing = true;
+            try {
+                const followUpResponse = await askFollowUp(value);
+                if (followUpResponse.startsWith(ERROR_PREFIX)) {
+                    logError(followUpResponse.substring(ERROR_PREFIX.length + 1));
+                } else {
+                    if (!state.streamResponses) logInfo(followUpResponse);
+                    const turnCount = state.conversation.turns.length;
+                    logDebug(`Conversation has ${turnCount}/${MAX_FOLLOW_UP_TURNS} follow-up turns.`);
+                }
+            } finally {
+                state.isProcessing = false;
+            }
+            processCaptureQueue(); // Run captures triggered while waiting for the answer
+            break;
+        case 'reset':
+            state.conversation = null;
+            logInfo("Conversation reset. The next capture starts a new one.");
+            break;
+        case 'profile': {
+            const subCommand = (args[1] || '').toLowerCase();
+            const profileName = args[2];
+            const profileValue = args.slice(3).join(' ');
+
+            switch (subCommand) {
+                case 'add':
+                    if (!profileName || !profileValue) {
+                        logInfo("Usage: profile add <name> <prompt text>");
+                        break;
+                    }
+                    state.profiles[profileName] = { model: null, triggerKey: null, ...state.profiles[profileName], prompt: profileValue };
+                    logInfo(`Profile ${chalk.blueBright(profileName)} saved.`);
+                    await saveProfiles();
+                    break;
+                case 'list':
+                case '': {
+                    const names = Object.keys(state.profiles);
+                    if (names.length === 0) {
+                        logInfo("No profiles defined. Use 'profile add <name> <prompt text>' to create one.");
+                        break;
+                    }
+                    console.log("\n"); // Add newline before the group
+                    console.group(chalk.bold("--- Prompt Profiles ---"));
+                    for (const name of names) {
+                        const profile = state.profiles[name];
+                        const activeMarker = name === state.activeProfile ? chalk.greenBright('(Active)') : '';
+                        const modelText = profile.model ? ` model: ${chalk.blueBright(profile.model)}` : '';
+                        const hotkeyText = profile.triggerKey ? ` hotkey: ${chalk.blueBright(formatTriggerKey(profile.triggerKey))}` : '';
+                        console.log(`${chalk.blueBright(name)} ${activeMarker}${modelText}${hotkeyText}`);
+                        console.log(`  "${chalk.italic(profile.prompt)}"`);
+                    }
+                    console.groupEnd();
+                    console.log(""); // Add newline after the group
+                    break;
+                }
+                case 'use':
+                    if (!profileName) {
+                        logInfo("Usage: profile use <name> (or 'profile use none' for the custom prompt)");
+                    } else if (profileName.toLowerCase() === 'none') {
+                        state.activeProfile = null;
+                        logInfo("Active profile cleared. Captures use the custom prompt.");
+                        await saveProfiles();
+                    } else if (!state.profiles[profileName]) {
+                        logError(`Profile "${profileName}" not found. Use 'profile list' to see profiles.`);
+                    } else {
+                        state.activeProfile = profileName;
+                        logInfo(`Active profile set to: ${chalk.blueBright(profileName)}`);
+                        await saveProfiles();
+                    }
+                    break;
+                case 'remove':
+                    if (!profileName || !state.profiles[profileName]) {
+                        logError(`Profile "${profileName || ''}" not found. Usage: profile remove <name>`);
+                        break;
+                    }
+                    const hadTrigger = !!state.profiles[profileName].triggerKey;
+                    delete state.profiles[profileName];
+                    if (state.activeProfile === profileName) state.activeProfile = null;
+                    logInfo(`Profile ${chalk.blueBright(profileName)} removed.`);
+                    await saveProfiles();
+                    if (hadTrigger) setupGlobalListener(); // Drop its hotkey
+                    break;
+                case 'model':
+                    if (!profileName || !state.profiles[profileName] || !profileValue) {
+                        logInfo("Usage: profile model <name> <model name|none>");
+                        break;
+                    }
+                    if (profileValue.toLowerCase() === 'none') {
+                        state.profiles[profileName].model = null;
+                        logInfo(`Profile ${chalk.blueBright(profileName)} now uses the selected model.`);
+                    } else {
+                        if (state.fetchedModels.length > 0 && !state.fetchedModels.includes(profileValue)) {
+                            logError(`Model "${profileValue}" is not in the list of fetched available models.`);
+                            break;
+                        }
+                        state.profiles[profileName].model = profileValue;
+                        logInfo(`Profile ${chalk.blueBright(profileName)} model set to: ${chalk.blueBright(profileValue)}`);
+                    }
+                    await saveProfiles();
+                    break;
+                case 'trigger':
+                    if (!profileName || !state.profiles[profileName] || !profileValue) {
+                        logInfo("Usage: profile trigger <name> <key_combination|none> (e.g., profile trigger translate CTRL+SHIFT+T)");
+                        break;
+                    }
+                    if (profileValue.toLowerCase() === 'none') {
+                        state.profiles[profileName].triggerKey = null;
+                        logInfo(`Hotkey removed from profile ${chalk.blueBright(profileName)}.`);
+                    } else {
+                        const newTrigger = parseTriggerKey(profileValue);
+                        if (!newTrigger) {
+                            logError(`Invalid trigger format: "${profileValue}". Example: CTRL+SHIFT+K`);
+                            break;
+                        }
+                        state.profiles[profileName].triggerKey = newTrigger;
+                        logInfo(`Profile ${chalk.blueBright(profileName)} hotkey set to: ${chalk.blueBright(formatTriggerKey(newTrigger))}`);
+                    }
+                    await saveProfiles();
+                    setupGlobalListener(); // Re-setup listener with the new bindings
+                    break;
+                default:
+                    logWarn(`Unknown profile command: "${subCommand}".`);
+                    logInfo("Usage: profile <add|list|use|remove|model|trigger> ...");
+            }
+            break;
+        }
+        case 'history': {
+            const subCommand = (args[1] || 'list').toLowerCase();
+            const historyValue = args.slice(2).join(' ');
+
+            switch (subCommand) {
+                case 'on':
+                case 'off':
+                    state.historyEnabled = subCommand === 'on';
+                    logInfo(`Capture history ${state.historyEnabled ? chalk.greenBright('enabled') : chalk.white('disabled')}. Entries are stored in ${HISTORY_DIR}`);
+                    await saveSettings();
+                    break;
+                case 'limit':
+                case 'max-age':
+                    if (!historyValue) {
+                        logInfo(`History keeps ${state.historyMaxEntries || 'unlimited'} entries, max age ${state.historyMaxAgeDays ? `${state.historyMaxAgeDays} days` : 'unlimited'}.`);
+                        logInfo("Usage: history limit <count|none>, history max-age <days|none>");
+                        break;
+                    }
+                    if (subCommand === 'limit') {
+                        state.historyMaxEntries = parseRetentionValue(historyValue, state.historyMaxEntries);
+                    } else {
+                        state.historyMaxAgeDays = parseRetentionValue(historyValue, state.historyMaxAgeDays);
+                    }
+                    logInfo(`History keeps ${state.historyMaxEntries || 'unlimited'} entries, max age ${state.historyMaxAgeDays ? `${state.historyMaxAgeDays} days` : 'unlimited'}.`);
+                    await saveSettings();
+                    await applyHistoryRetention();
+                    break;
+                case 'list':
+                case 'search': {
+                    const searchText = subCommand === 'search' ? historyValue.toLowerCase() : null;
+                    if (subCommand === 'search' && !searchText) {
+                        logInfo("Usage: history search <text>");
+                        break;
+                    }
+                    let entries = await loadHistoryEntries();
+                    if (searchText) {
+                        entries = entries.filter(entry => [entry.prompt, entry.response, ...entry.captures.map(c => c.ocrText)]
+                            .some(text => typeof text === 'string' && text.toLowerCase().includes(searchText)));
+                    }
+                    if (entries.length === 0) {
+                        logInfo(searchText ? `No history entries match "${historyValue}".` : "History is empty.");
+                        if (!state.historyEnabled) logInfo("History is disabled. Use 'history on' to start recording captures.");
+                        break;
+                    }
+                    console.log("\n"); // Add newline before the group
+                    console.group(chalk.bold(searchText ? `--- History matching "${historyValue}" ---` : "--- Capture History ---"));
+                    entries.forEach(printHistoryEntrySummary);
+                    console.groupEnd();
+                    console.log(""); // Add newline after the group
+                    break;
+                }
+                case 'show': {
+                    const entry = await loadHistoryEntry(historyValue);
+                    if (!entry) {
+                        logError(`History entry "${historyValue}" not found. Usage: history show <id>`);
+                        break;
+                    }
+                    console.log("\n"); // Add newline before the group
+                    console.group(chalk.bold(`--- History Entry ${entry.id} ---`));
+                    console.log(`Time: ${new Date(entry.timestamp).toLocaleString()} (Source: ${chalk.blueBright(entry.triggerSource)})`);
+                    console.log(`Model: ${chalk.blueBright(entry.model)} (${entry.provider})${entry.profile ? ` Profile: ${chalk.blueBright(entry.profile)}` : ''}`);
+                    console.log(`Prompt: "${chalk.italic(entry.prompt)}"`);
+                    for (const capture of entry.captures) {
+                        const imageText = capture.image ? path.join(HISTORY_DIR, entry.id, capture.image) : '(none, text input)';
+                        console.log(chalk.bold(`\nImage${capture.label ? ` (${capture.label})` : ''}: `) + imageText);
+                        console.log(chalk.bold(capture.image ? "OCR Text:" : "Text:"));
+                        console.log(capture.ocrText === null ? "(OCR skipped, image-only pipeline)" : capture.ocrText || "(No text detected by OCR)");
+                    }
+                    console.log(chalk.bold("\nResponse:"));
+                    console.log(entry.response);
+                    console.groupEnd();
+                    console.log(""); // Add newline after the group
+                    break;
+                }
+                case 'resend': {
+                    // Syntax: history resend <id> [--prompt <text>]
+                    const [id, ...rest] = args.slice(2);
+                    const restText = rest.join(' ');
+                    const promptMatch = restText.match(/^--prompt\s+(.+)$/);
+                    if (!id || (restText && !promptMatch)) {
+                        logInfo("Usage: history resend <id> [--prompt <text>]");
+                        break;
+                    }
+                    await resendHistoryEntry(id, promptMatch ? promptMatch[1] : null);
+                    break;
+                }
+                default:
+                    logWarn(`Unknown history command: "${subCommand}".`);
+                    logInfo("Usage: history <list|show|search|resend|on|off|limit|max-age> ...");
+            }
+            break;
+        }
+        case 'queue': {
+            const subCommand = (args[1] || 'list').toLowerCase();
+            switch (subCommand) {
+                case 'list': {
+                    console.log("\n"); // Add newline before the group
+                    console.group(chalk.bold(`--- Capture Queue (${state.captureQueue.length}/${state.queueMaxSize} pending) ---`));
+                    const describeJob = job => {
+                        const profileName = job.analyzeOptions?.profile?.name;
+                        const age = Math.round((Date.now() - job.createdAt) / 1000);
+                        return `${chalk.blueBright(formatJobName(job))} from ${job.triggerSource}${profileName ? `, profile ${profileName}` : ''} (${age}s ago)`;
+                    };
+                    console.log(`Running: ${state.activeJob ? describeJob(state.activeJob) : 'nothing'}`);
+                    state.captureQueue.forEach((job, index) => console.log(`${index + 1}. ${describeJob(job)}`));
+                    console.groupEnd();
+                    console.log(""); // Add newline after the group
+                    break;
+                }
+                case 'cancel': {
+                    const jobId = parseInt((args[2] || '').replace(/^#/, ''), 10);
+                    if (!jobId) {
+                        logInfo("Usage: queue cancel <job number>");
+                    } else if (await cancelJob(jobId)) {
+                        logInfo(`Cancelled capture #${jobId}.`);
+                    } else {
+                        logWarn(`No pending capture #${jobId}. Use 'queue' to see pending jobs.`);
+                    }
+                    break;
+                }
+                case 'clear': {
+                    const pendingIds = state.captureQueue.map(job => job.id);
+                    for (const jobId of pendingIds) await cancelJob(jobId);
+                    logInfo(`Cancelled ${pendingIds.length} pending capture(s).`);
+                    break;
+                }
+                case 'limit': {
+                    const limit = parseInt(args[2], 10);
+                    if (!(limit > 0)) {
+                        logInfo(`Up to ${state.queueMaxSize} captures can wait in the queue. Usage: queue limit <n>`);
+                        break;
+                    }
+                    state.queueMaxSize = limit;
+                    logInfo(`Up to ${chalk.blueBright(limit)} captures can now wait in the queue.`);
+                    await saveSettings();
+                    break;
+                }
+                default:
+                    logWarn(`Unknown queue command: "${subCommand}".`);
+                    logInfo("Usage: queue [list|cancel <n>|clear|limit <n>]");
+            }
+            break;
+        }
+        case 'watch': {
+            const subCommand = (args[1] || '').toLowerCase();
+            switch (subCommand) {
+                case '':
+                    logInfo(`Watch folder: ${chalk.blueBright(formatWatchStatus())}`);
+                    if (!state.watcher) logInfo("Usage: watch <dir> | watch stop | watch format <md|json> | watch concurrency <n>");
+                    break;
+                case 'stop':
+                    if (!state.watcher) {
+                        logInfo("Not watching a folder.");
+                        break;
+                    }
+                    logInfo(`Stopped watching ${chalk.blueBright(state.watcher.dir)}. Images already queued are still analyzed.`);
+                    stopWatching();
+                    break;
+                case 'format': {
+                    const format = (args[2] || '').toLowerCase();
+                    if (!Object.keys(WATCH_OUTPUT_FORMATS).includes(format)) {
+                        logInfo(`Results of watched images are written as ${chalk.blueBright(state.watchOutputFormat)}. Usage: watch format <${Object.keys(WATCH_OUTPUT_FORMATS).join('|')}>`);
+                        break;
+                    }
+                    state.watchOutputFormat = format;
+                    logInfo(`Results of watched images are now written as ${WATCH_OUTPUT_FORMATS[format]} (<image>.${format}).`);
+                    await saveSettings();
+                    break;
+                }
+                case 'concurrency': {
+                    const limit = parseInt(args[2], 10);
+                    if (!(limit > 0)) {
+                        logInfo(`Up to ${state.watchConcurrency} watched images are analyzed at a time. Usage: watch concurrency <n>`);
+                        break;
+                    }
+                    state.watchConcurrency = limit;
+                    logInfo(`Up to ${chalk.blueBright(limit)} watched images are now analyzed at a time.`);
+                    if (limit >= state.queueMaxSize) {
+                        logWarn(`That leaves no room in the capture queue (limit ${state.queueMaxSize}) for hotkey captures. See 'queue limit'.`);
+                    }
+                    await saveSettings();
+                    break;
+                }
+                default: {
+                    if (state.watcher) {
+                        logWarn(`Already watching ${state.watcher.dir}. Use 'watch stop' first.`);
+                        break;
+                    }
+                    if (!getProvider().isReady()) {
+                        logError(`Cannot watch: ${getProvider().label} is not configured/initialized.`);
+                        logWarn(getProvider().setupHint);
+                        break;
+                    }
+                    if (capturesNeedOcr() && !state.worker) {
+                        logError("Cannot watch: Tesseract worker not initialized. Use 'pipeline image-only' to analyze without OCR.");
+                        break;
+                    }
+                    const watchDir = args.slice(1).join(' ').replace(/^(["'])(.*)\1$/, '$2');
+                    if (await startWatching(watchDir)) {
+                        logSuccess(`Watching ${chalk.blueBright(state.watcher.dir)}. Results are written next to each image as <image>.${state.watchOutputFormat}; use 'watch stop' to stop.`);
+                    }
+                }
+            }
+            break;
+        }
+        case 'usage': {
+            const subCommand = (args[1] || '').toLowerCase();
+            switch (subCommand) {
+                case 'price': {
+                    const modelName = args[2];
+                    if (!modelName) {
+                        const prices = Object.entries(state.usagePrices).map(([name, price]) => `${name} $${price.input}/$${price.output}`);
+                        logInfo(`Prices (USD per million input/output tokens): ${chalk.blueBright(prices.join(', ') || 'None')}`);
+                        logInfo("Usage: usage price <model> <input> <output> | usage price <model> none");
+                        break;
+                    }
+                    if ((args[3] || '').toLowerCase() === 'none') {
+                        delete state.usagePrices[modelName];
+                        logInfo(`Removed the price of ${chalk.blueBright(modelName)}.`);
+                        await saveSettings();
+                        break;
+                    }
+                    const input = Number(args[3]);
+                    const output = Number(args[4]);
+                    if (!args[3] || !args[4] || !(input >= 0) || !(output >= 0)) {
+                        logInfo("Usage: usage price <model> <input> <output> (USD per million tokens, e.g. usage price gemini-1.5-flash 0.075 0.3)");
+                        break;
+                    }
+                    state.usagePrices[modelName] = { input, output };
+                    logInfo(`Models starting with ${chalk.blueBright(modelName)} now cost $${input} per million input and $${output} per million output tokens.`);
+                    await saveSettings();
+                    break;
+                }
+                case 'limit': {
+                    const period = (args[2] || '').toLowerCase();
+                    const limit = parseUsageLimit(args.slice(3).join(' '));
+                    if (!USAGE_LIMIT_PERIODS[period] || limit === undefined) {
+                        logInfo(`Usage limits: ${chalk.blueBright(formatUsageLimits())}`);
+                        logInfo("Usage: usage limit <daily|monthly> <tokens|$amount|none>, e.g. usage limit daily 500000 or usage limit monthly $5");
+                        break;
+                    }
+                    state[USAGE_LIMIT_PERIODS[period].key] = limit;
+                    logInfo(limit
+                        ? `Captures are refused once the ${period} usage reaches ${chalk.blueBright(formatUsageAmount(limit.amount, limit.unit))}.`
+                        : `Removed the ${period} usage limit.`);
+                    if (limit?.unit === 'usd' && Object.keys(state.usagePrices).length === 0) {
+                        logWarn("No prices are set, so nothing counts towards this limit. Set them with 'usage price'.");
+                    }
+                    await saveSettings();
+                    break;
+                }
+                case 'input-limit': {
+                    const inputValue = (args[2] || '').toLowerCase();
+                    const tokens = parseInt(inputValue, 10);
+                    if (inputValue !== 'auto' && !(tokens > 0)) {
+                        logInfo(`Input limit for the size check: ${chalk.blueBright(state.inputTokenLimit ? `${state.inputTokenLimit} tokens` : 'auto (listed by Gemini)')}`);
+                        logInfo("Usage: usage input-limit <tokens|auto>");
+                        break;
+                    }
+                    state.inputTokenLimit = inputValue === 'auto' ? null : tokens;
+                    logInfo(state.inputTokenLimit
+                        ? `Requests estimated above ${chalk.blueBright(state.inputTokenLimit)} input tokens now get a warning.`
+                        : "The size check now uses the input limit Gemini lists for the model (other providers aren't checked).");
+                    await saveSettings();
+                    break;
+                }
+                default: {
+                    const days = subCommand ? parseInt(subCommand, 10) : USAGE_DAYS_SHOWN;
+                    if (!(days > 0)) {
+                        logWarn(`Unknown usage command: "${subCommand}".`);
+                        logInfo("Usage: usage [days] | usage price ... | usage limit ... | usage input-limit ...");
+                        break;
+                    }
+                    const records = await loadUsageRecords();
+                    const monthRecords = getUsageInPeriod(records, USAGE_LIMIT_PERIODS.monthly.keyLength);
+                    const firstDay = new Date();
+                    firstDay.setDate(firstDay.getDate() - days + 1);
+                    const firstDayKey = getUsageDay(firstDay);
+                    const recordsByDay = {};
+                    for (const record of records) {
+                        const day = getUsageDay(record.time);
+                        if (day >= firstDayKey) (recordsByDay[day] = recordsByDay[day] || []).push(record);
+                    }
+                    const recordsByModel = {};
+                    for (const record of monthRecords) {
+                        (recordsByModel[record.model] = recordsByModel[record.model] || []).push(record);
+                    }
+
+                    console.log("\n"); // Add newline before the group
+                    console.group(chalk.bold("--- Usage ---"));
+                    console.log(`Today: ${chalk.blueBright(formatUsageTotals(sumUsage(getUsageInPeriod(records, USAGE_LIMIT_PERIODS.daily.keyLength))))}`);
+                    console.log(`This Month: ${chalk.blueBright(formatUsageTotals(sumUsage(monthRecords)))}`);
+                    for (const [period, { key, label, keyLength }] of Object.entries(USAGE_LIMIT_PERIODS)) {
+                        const limit = state[key];
+                        const status = limit
+                            ? `${formatUsageAmount(getLimitUsage(limit, getUsageInPeriod(records, keyLength)), limit.unit)} of ${formatUsageAmount(limit.amount, limit.unit)} used`
+                            : `None (set with 'usage limit ${period}')`;
+                        console.log(`${label} Limit: ${chalk.blueBright(status)}`);
+                    }
+                    console.log(`Per Day (last ${days} day${days === 1 ? '' : 's'}):`);
+                    Object.keys(recordsByDay).sort().reverse()
+                        .forEach(day => console.log(`  ${day}: ${formatUsageTotals(sumUsage(recordsByDay[day]))}`));
+                    if (Object.keys(recordsByDay).length === 0) console.log("  No requests.");
+                    console.log("Per Model (this month):");
+                    Object.keys(recordsByModel).sort()
+                        .forEach(model => console.log(`  ${model}: ${formatUsageTotals(sumUsage(recordsByModel[model]))}`));
+                    if (Object.keys(recordsByModel).length === 0) console.log("  No requests.");
+                    if (Object.keys(state.usagePrices).length === 0) {
+                        console.log(chalk.gray("Set prices with 'usage price <model> <input> <output>' to see cost estimates."));
+                    }
+                    console.log(`Records: ${chalk.blueBright(USAGE_PATH)}`);
+                    console.groupEnd();
+                    console.log(""); // Add newline after the group
+                }
+            }
+            break;
+        }
+        case 'api': {
+            const subCommand = (args[1] || 'status').toLowerCase();
+            switch (subCommand) {
+                case 'status':
+                    logInfo(`HTTP API is ${state.apiServer ? chalk.greenBright(`running on http://127.0.0.1:${state.apiPort}`) : chalk.white('not running')}.`);
+                    logInfo("Usage: api <on|off|port <n>|token [reset]>");
+                    break;
+                case 'on':
+                    state.apiEnabled = true;
+                    await saveSettings();
+                    if (await startApiServer()) {
+                        logInfo(`Send "Authorization: Bearer <token>" with each request. Use ${chalk.blueBright('api token')} to show it.`);
+                    }
+                    break;
+                case 'off':
+                    state.apiEnabled = false;
+                    await saveSettings();
+                    await stopApiServer();
+                    break;
+                case 'port': {
+                    const port = parseInt(args[2], 10);
+                    if (!(port > 0 && port < 65536)) {
+                        logInfo("Usage: api port <1-65535>");
+                        break;
+                    }
+                    state.apiPort = port;
+                    logInfo(`HTTP API port set to ${chalk.blueBright(port)}.`);
+                    await saveSettings();
+                    if (state.apiServer) {
+                        await stopApiServer();
+                        await startApiServer();
+                    }
+                    break;
+                }
+                case 'token':
+                    if ((args[2] || '').toLowerCase() === 'reset' || !state.apiToken) {
+                        state.apiToken = crypto.randomBytes(24).toString('hex');
+                        await saveSettings();
+                        logInfo("Generated a new API token. Clients using the old token will get 401 responses.");
+                    }
+                    logInfo(`API token: ${chalk.blueBright(state.apiToken)}`);
+                    break;
+                default:
+                    logWarn(`Unknown api command: "${subCommand}".`);
+                    logInfo("Usage: api <on|off|port <n>|token [reset]>");
+            }
+            break;
+        }
+        case 'quit':
+        case 'exit':
+            logInfo("Exit command received. Shutting down...");
+            needsReprompt = false;
+            await shutdown('command');
+            return; // Exit the handler immediately
+        case 'help':
+             console.log("\n"); // Add newline before the group
+             console.group(chalk.bold("--- Available Commands ---"));
+             console.log(`  ${chalk.blueBright('get / init')}        - Show current configuration.`);
+             console.log(`  ${chalk.blueBright('set-apikey')}         - Set your Gemini API Key (asked for with hidden input).`);
+             console.log(`  ${chalk.blueBright('set-model')}          - Choose the AI model of the current provider (fetches list, paginated).`);
+             console.log(`  ${chalk.blueBright('set-provider <name> [url]')} - Switch AI provider: gemini, openai (any compatible server) or ollama.`);
+             console.log(`  ${chalk.blueBright('set-openai-key')}     - Set the API key for the OpenAI-compatible provider (hidden input).`);
+             console.log(`  ${chalk.blueBright('secret-store <auto|keychain|file>')} - Choose where API keys are stored and move them there.`);
+             console.log(`  ${chalk.blueBright('prompt <text>')}      - Set a new custom prompt for the AI.`);
+             console.log(`  ${chalk.blueBright('prompt')}             - Show the current prompt.`);
+             console.log(`  ${chalk.blueBright('system <text|none>')} - Set (or remove) a system instruction sent with every request.`);
+             console.log(`  ${chalk.blueBright('set-gen <param> <value|default>')} - Set temperature, topK, topP or maxOutputTokens.`);
+             console.log(`  ${chalk.blueBright('set-safety <category|all> <level>')} - Set Gemini safety thresholds (none, high, medium, low).`);
+             console.log(`  ${chalk.blueBright('json-mode')}          - Toggle asking the model for JSON responses.`);
+             console.log(`  ${chalk.blueBright('pipeline <mode>')}    - Send image+text (default), image-only (no OCR) or text-only (no images).`);
+             console.log(`  ${chalk.blueBright('set-image-format <png|jpeg|webp> [quality]')} - Choose how images are encoded for upload.`);
+             console.log(`  ${chalk.blueBright('set-image-max-size <pixels|none>')} - Scale images down to this size before sending (default 2048).`);
+             console.log(`  ${chalk.blueBright('set-ocr-lang <codes>')} - Set the OCR languages, e.g. eng+deu+jpn.`);
+             console.log(`  ${chalk.blueBright('set-ocr-engine <lstm|legacy|combined>')} - Choose the Tesseract engine.`);
+             console.log(`  ${chalk.blueBright('set-ocr-psm <0-13>')} - Set the Tesseract page segmentation mode.`);
+             console.log(`  ${chalk.blueBright('set-ocr-whitelist <chars|none>')} - Only recognize these characters.`);
+             console.log(`  ${chalk.blueBright('ocr-prep <step> <value>')} - Image preprocessing before OCR: grayscale, upscale, invert, threshold (or reset).`);
+             console.log(`  ${chalk.blueBright('ocr-test <image>')}   - Compare OCR of an image with and without preprocessing.`);
+             console.log(`  ${chalk.blueBright('set-ocr-format <plain|lines|table>')} - Send the OCR text plain, as positioned lines, or with tables rebuilt.`);
+             console.log(`  ${chalk.blueBright('set-ocr-min-confidence <0-100|none>')} - Mark words recognized with less confidence (lines and table formats).`);
+             console.log(`  ${chalk.blueBright('redact on|off')}      - Redact emails, tokens, card numbers, internal hosts and custom rules before sending.`);
+             console.log(`  ${chalk.blueBright('redact add <name> <regex>')} / ${chalk.blueBright('redact remove <name>')} - Manage custom redaction rules.`);
+             console.log(`  ${chalk.blueBright('redact builtin <name> on|off')} - Switch a built-in redaction rule.`);
+             console.log(`  ${chalk.blueBright('redact test <image>')} / ${chalk.blueBright('redact test-text <text>')} - Dry run: show what would be redacted.`);
+             console.log(`  ${chalk.blueBright('debug')}              - Toggle debug logging.`);
+             console.log(`  ${chalk.blueBright('stream')}             - Toggle printing responses as they are generated.`);
+             console.log(`  ${chalk.blueBright('set-timeout <seconds|none>')} - Set the timeout of each AI request attempt.`);
+             console.log(`  ${chalk.blueBright('set-retries <count>')} - Set how often timeouts, rate limits and server errors are retried.`);
+             console.log(`  ${chalk.blueBright('set-fallback-models <m1,m2|none>')} - Models to try when the selected one is unavailable or out of quota.`);
+             // notify-duration removed
+             console.log(`  ${chalk.blueBright('set-trigger <combo>')} - Set the global hotkey (e.g., CTRL+SHIFT+C).`);
+             console.log(`  ${chalk.blueBright('capture / c')}        - Manually trigger screenshot, OCR, and AI analysis.`);
+             console.log(`  ${chalk.blueBright('clipboard / cb')}     - Analyze the clipboard (image or text) instead of a screenshot.`);
+             console.log(`  ${chalk.blueBright('set-clipboard-trigger <combo|none>')} - Set a hotkey that analyzes the clipboard.`);
+             console.log(`  ${chalk.blueBright('auto-copy')}          - Toggle copying every response to the clipboard.`);
+             console.log(`  ${chalk.blueBright('capture-region <x,y,w,h>')} - Capture only a region (and remember it). No args reuses the last region.`);
+             console.log(`  ${chalk.blueBright('capture-region clear')} - Forget the remembered region.`);
+             console.log(`  ${chalk.blueBright('capture-mode <full|region>')} - Choose what the hotkey and 'capture' grab.`);
+             console.log(`  ${chalk.blueBright('set-display [n|all]')} - Choose which display to capture, or all of them.`);
+             console.log(`  ${chalk.blueBright('profile add <name> <prompt>')} - Create or update a named prompt profile.`);
+             console.log(`  ${chalk.blueBright('profile list')}       - List prompt profiles.`);
+             console.log(`  ${chalk.blueBright('profile use <name|none>')} - Use a profile for 'capture' and the main hotkey.`);
+             console.log(`  ${chalk.blueBright('profile remove <name>')} - Delete a profile.`);
+             console.log(`  ${chalk.blueBright('profile model <name> <model|none>')} - Give a profile its own model.`);
+             console.log(`  ${chalk.blueBright('profile trigger <name> <combo|none>')} - Bind a profile to its own hotkey.`);
+             console.log(`  ${chalk.blueBright('history on|off')}     - Enable or disable the local capture history.`);
+             console.log(`  ${chalk.blueBright('history list')}       - List history entries, newest first.`);
+             console.log(`  ${chalk.blueBright('history show <id>')}  - Show an entry's prompt, OCR text and response.`);
+             console.log(`  ${chalk.blueBright('history search <text>')} - Find entries by prompt, OCR text or response.`);
+             console.log(`  ${chalk.blueBright('history resend <id> [--prompt <text>]')} - Send an entry to the AI again.`);
+             console.log(`  ${chalk.blueBright('history limit <n|none>')} / ${chalk.blueBright('history max-age <days|none>')} - Set retention.`);
+             console.log(`  ${chalk.blueBright('last [open]')}        - Reprint the full previous answer ('open' shows it in the browser).`);
+             console.log(`  ${chalk.blueBright('ask <question>')}     - Ask a follow-up question about the last capture.`);
+             console.log(`  ${chalk.blueBright('reset')}              - Forget the follow-up conversation.`);
+             console.log(`  ${chalk.blueBright('queue')}              - Show the running capture and the ones waiting in the queue.`);
+             console.log(`  ${chalk.blueBright('queue cancel <n>')} / ${chalk.blueBright('queue clear')} - Cancel a capture (pending or running) or all pending ones.`);
+             console.log(`  ${chalk.blueBright('queue limit <n>')}    - Set how many captures can wait in the queue (default 5).`);
+             console.log(`  ${chalk.blueBright('watch <dir>')}        - Analyze new images in a folder and write the result next to each one.`);
+             console.log(`  ${chalk.blueBright('watch stop')} / ${chalk.blueBright('watch')} - Stop watching, or show the watched folder.`);
+             console.log(`  ${chalk.blueBright('watch format <md|json>')} - Set the result file format (default md).`);
+             console.log(`  ${chalk.blueBright('watch concurrency <n>')} - Set how many watched images are analyzed at a time (default 2).`);
+             console.log(`  ${chalk.blueBright('usage [days]')}       - Show token usage and estimated cost per day and per model.`);
+             console.log(`  ${chalk.blueBright('usage price <model> <in> <out>|none')} - Set a model's price in USD per million input/output tokens.`);
+             console.log(`  ${chalk.blueBright('usage limit <daily|monthly> <tokens|$amount|none>')} - Refuse captures once the usage reaches a limit.`);
+             console.log(`  ${chalk.blueBright('usage input-limit <tokens|auto>')} - Set the input limit for the warning about oversized requests.`);
+             console.log(`  ${chalk.blueBright('api on|off')}         - Start or stop the local HTTP API (127.0.0.1).`);
+             console.log(`  ${chalk.blueBright('api port <n>')}       - Set the HTTP API port (default ${DEFAULT_API_PORT}).`);
+             console.log(`  ${chalk.blueBright('api token [reset]')}  - Show (or regenerate) the HTTP API token.`);
+             console.log(`  ${chalk.blueBright('quit / exit')}        - Stop the application.`);
+             console.log(`  ${chalk.blueBright('help')}               - Show this help message.`);
+             console.groupEnd();
+             console.log(""); // Add newline after the group
+             break;
+        default:
+            if (command) {
+                // Use warning for unknown commands
+                logWarn(`Unknown command: "${command}". Type 'help' for available commands.`);
+            }
+            // If just enter was pressed (empty command), don't show unknown command
+            break;
+    }
+
+    // Re-prompt if the command didn't handle it and we're still running and not processing
+    if (needsReprompt && state.isRunning && !state.isProcessing) {
+        state.cli.prompt();
+    }
+}
+
+// Handle readline close event
+function handleCliClose() {
+    logInfo('Readline interface closed.');
+    if (state.isRunning) {
+        logWarn("Readline closed unexpectedly. Initiating shutdown...");
+        // Ensure shutdown is called, even if state.cli.close() was called during shutdown
+        shutdown('readline_close');
+    } else {
+        logDebug("Readline closed as part of normal shutdown.");
+    }
+}
+
+// --- One-Shot Mode ---
+// `node main.js analyze ...` runs a single analysis without the REPL, hotkeys or notifications, prints the result to
+// stdout and exits with one of EXIT_CODES.
+
+const oneShotAbortController = new AbortController(); // Aborted by Ctrl+C (SIGINT) or SIGTERM, see handleExitSignal()
+
+const ANALYZE_USAGE = `Usage: node main.js analyze [options]
+
+Runs OCR and the AI query once and prints the result. Uses the saved settings; environment variables
+like AI_PROVIDER or AI_MODEL override them for the run.
+
+Options:
+  --image <file>     Analyze this image instead of taking a screenshot.
+  --prompt <text>    Prompt to use (default: active profile or custom prompt).
+  --profile <name>   Use a prompt profile.
+  --model <name>     Model to use (default: the selected model).
+  --ocr-format <f>   Send the OCR text as plain, lines or table (default: the saved format).
+  --json             Print the result as JSON.
+  --help             Show this help.
+
+Exit status: 0 success, 1 analysis failed, 2 invalid usage, 3 not configured, 130 interrupted.`;
+
+/**
+ * Parses command line options. Accepts both "--option value" and "--option=value"; option names are camel-cased
+ * (--ocr-format -> ocrFormat).
+ * @param {string[]} argv Arguments after the command name.
+ * @param {{values: string[], flags: string[], positional?: boolean}} spec Options that take a value, options that
+ *   don't, and whether other arguments are allowed (collected in `args`).
+ * @returns {object} The options, with `false` for flags that weren't given.
+ * @throws {Error} On unknown options, missing values or unexpected arguments.
+ */
+function parseCommandArgs(argv, { values, flags, positional = false }) {
+    const options = Object.fromEntries(flags.map(name => [name, false]));
+    if (positional) options.args = [];
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s, 2);
+        const name = flag.replace(/^--/, '').replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+        if (!flag.startsWith('--')) {
+            if (!positional) throw new Error(`Unexpected argument: "${argv[i]}"`);
+            options.args.push(argv[i]);
+        } else if (flags.includes(name)) {
+            options[name] = true;
+        } else if (values.includes(name)) {
+            const optionValue = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (optionValue === undefined || optionValue === '') throw new Error(`Missing value for ${flag}`);
+            options[name] = optionValue;
+        } else {
+            throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * Parses the arguments of the `analyze` command.
+ * @param {string[]} argv Arguments after "analyze".
+ * @returns {{image?: string, prompt?: string, profile?: string, model?: string, ocrFormat?: string, json: boolean, help: boolean}}
+ * @throws {Error} On unknown options or missing values.
+ */
+function parseAnalyzeArgs(argv) {
+    return parseCommandArgs(argv, { values: ['image', 'prompt', 'profile', 'model', 'ocrFormat'], flags: ['json', 'help'] });
+}
+
+/**
+ * Runs the `analyze` command.
+ * @param {string[]} argv Arguments after "analyze".
+ * @returns {Promise<number>} Exit status (one of EXIT_CODES).
+ */
+async function runAnalyzeCommand(argv) {
+    state.headless = true;
+    let options;
+    try {
+        options = parseAnalyzeArgs(argv);
+    } catch (error) {
+        console.error(`${error.message}\n\n${ANALYZE_USAGE}`);
+        return EXIT_CODES.USAGE;
+    }
+    if (options.help) {
+        console.log(ANALYZE_USAGE);
+        return EXIT_CODES.OK;
+    }
+
+    // Failures are reported on stdout as well when JSON was requested, so callers always get parseable output
+    const fail = (exitCode, message) => {
+        if (options.json) process.stdout.write(JSON.stringify({ ok: false, error: message }) + '\n');
+        logError(message);
+        return exitCode;
+    };
+
+    await loadSettings();
+    await loadProfiles();
+    await migrateLegacyHistory();
+    useSystemAdapters();
+
+    const imagePath = options.image ? path.resolve(options.image) : null;
+    if (imagePath && !fss.existsSync(imagePath)) {
+        return fail(EXIT_CODES.USAGE, `Image not found: ${imagePath}`);
+    }
+    const profile = options.profile ? getProfile(options.profile) : getActiveProfile();
+    if (options.profile && !profile) {
+        return fail(EXIT_CODES.USAGE, `Profile "${options.profile}" not found.`);
+    }
+    if (options.ocrFormat && !Object.keys(OCR_TEXT_FORMATS).includes(String(options.ocrFormat))) {
+        return fail(EXIT_CODES.USAGE, `Unknown OCR format "${options.ocrFormat}". Use one of: ${Object.keys(OCR_TEXT_FORMATS).join(', ')}.`);
+    }
+
+    const { tesseractInitialized } = await initializeServices();
+    if (!getProvider().isReady()) {
+        return fail(EXIT_CODES.NOT_CONFIGURED, `${getProvider().label} is not configured. Run "node main.js" and set it up first.`);
+    }
+    if (!tesseractInitialized && capturesNeedOcr()) {
+        return fail(EXIT_CODES.NOT_CONFIGURED, "Tesseract failed to initialize.");
+    }
+
+    state.isProcessing = true;
+    const captures = [];
+    try {
+        if (imagePath) {
+            captures.push({ imagePath, label: path.basename(imagePath) });
+        } else {
+            await takeScreenshots(captures, state.captureMode === 'region' ? state.captureRegion : null);
+        }
+
+        const prompt = options.prompt || profile?.prompt || state.customPrompt;
+        const { text: response, modelName, providerId } = await analyzeCaptures(captures, {
+            profile, prompt, modelName: options.model, ocrFormat: options.ocrFormat, triggerSource: 'cli', quiet: true, signal: oneShotAbortController.signal,
+        });
+
+        if (options.json) {
+            process.stdout.write(JSON.stringify({
+                ok: true,
+                provider: providerId,
+                model: modelName,
+                prompt,
+                response,
+                captures: captures.map(capture => ({ label: capture.label, image: imagePath, ocrText: capture.ocrText })),
+            }, null, 2) + '\n');
+        } else {
+            process.stdout.write(response + '\n');
+        }
+        return EXIT_CODES.OK;
+
+    } catch (error) {
+        if (!state.isRunning) return fail(EXIT_CODES.INTERRUPTED, "Analysis interrupted.");
+        return fail(EXIT_CODES.FAILED, `Analysis failed: ${error.message}`);
+
+    } finally {
+        if (!imagePath) {
+            for (const capture of captures) await fs.rm(capture.imagePath, { force: true });
+        }
+        state.isProcessing = false;
+        if (state.worker) await state.worker.terminate().catch(() => {});
+        state.worker = null;
+    }
+}
+
+// --- Batch Mode ---
+// `node main.js batch <images...> --out <report>` runs the same prompt over many existing images and writes one
+// report. Every finished image is appended to a journal next to the report (<report>.partial.jsonl), so an interrupted
+// run picks up where it stopped when the same command is run again; the journal is removed once every image succeeded.
+
+const BATCH_REPORT_FORMATS = ['csv', 'jsonl', 'html']; // Chosen by the extension of --out
+const DEFAULT_BATCH_CONCURRENCY = 3;
+
+const BATCH_USAGE = `Usage: node main.js batch <files|folders|patterns...> --out <report> [options]
+
+Analyzes many images with the same prompt and writes a report with the file name, OCR text, response
+and error (if any) of each. Patterns like "shots/**/*.png" are expanded (quote them); a folder stands for
+the images directly in it. Run the same command again to resume an interrupted run or retry failed images.
+
+Options:
+  --out <file>       Report to write: .csv, .jsonl or .html.
+  --prompt <text>    Prompt to use (default: active profile or custom prompt).
+  --profile <name>   Use a prompt profile.
+  --model <name>     Model to use (default: the selected model).
+  --ocr-format <f>   Send the OCR text as plain, lines or table (default: the saved format).
+  --concurrency <n>  Images analyzed at the same time (default: ${DEFAULT_BATCH_CONCURRENCY}).
+  --help             Show this help.
+
+Exit status: 0 all images analyzed, 1 some failed (see the report), 2 invalid usage, 3 not configured,
+130 interrupted (Ctrl+C finishes the images in progress first; run the command again to continue).`;
+
+/**
+ * Converts a glob pattern to a regular expression for '/'-separated paths: * and ? within a folder name, ** for any
+ * number of folders, [abc] / [!abc] character classes and {a,b} alternatives.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+    const toSource = (glob) => {
+        let source = '';
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+            if (char === '*' && glob[i + 1] === '*') {
+                const folders = glob[i + 2] === '/';
+                source += folders ? '(?:[^/]*/)*' : '.*'; // "**/" also matches no folder at all
+                i += folders ? 2 : 1;
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+                const end = glob.indexOf(']', i + 2);
+                source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = end;
+            } else if (char === '{' && glob.indexOf('}', i) !== -1) {
+                const end = glob.indexOf('}', i);
+                source += `(?:${glob.slice(i + 1, end).split(',').map(toSource).join('|')})`;
+                i = end;
+            } else {
+                source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+        return source;
+    };
+    return new RegExp(`^${toSource(pattern)}$`, state.operatingSystem === 'win32' ? 'i' : '');
+}
+
+// Image files matching a glob pattern, sorted
+async function findGlobMatches(pattern) {
+    const segments = (state.operatingSystem === 'win32' ? pattern.replace(/\\/g, '/') : pattern).split('/');
+    const firstGlob = segments.findIndex(segment => /[*?[{]/.test(segment));
+    const base = segments.slice(0, firstGlob).join('/');
+    const baseDir = base === '' && firstGlob > 0 ? '/' : base || '.';
+    const rest = segments.slice(firstGlob).join('/');
+    const matcher = globToRegExp(rest);
+
+    let entries;
+    try {
+        entries = await fs.readdir(baseDir, { recursive: rest.includes('/') });
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return [];
+        throw error;
+    }
+    return entries
+        .filter(entry => isImageFile(entry) && matcher.test(entry.split(path.sep).join('/')))
+        .sort((a, b) => a.localeCompare(b))
+        .map(entry => path.resolve(baseDir, entry));
+}
+
+/**
+ * Expands the image arguments of `batch`: files are taken as they are, folders stand for the images directly in them,
+ * anything else is a glob pattern.
+ * @param {string[]} patterns
+ * @returns {Promise<{files: string[], unmatched: string[]}>} Absolute paths without duplicates, and the arguments that
+ *   matched nothing.
+ */
+async function expandImagePaths(patterns) {
+    const files = new Set();
+    const unmatched = [];
+    for (const pattern of patterns) {
+        const countBefore = files.size;
+        const stats = await fs.stat(pattern).catch(() => null);
+        if (stats?.isFile()) {
+            files.add(path.resolve(pattern));
+        } else if (stats?.isDirectory()) {
+            (await fs.readdir(pattern)).filter(isImageFile).sort((a, b) => a.localeCompare(b))
+                .forEach(name => files.add(path.resolve(pattern, name)));
+        } else if (/[*?[{]/.test(pattern)) {
+            (await findGlobMatches(pattern)).forEach(file => files.add(file));
+        }
+        if (files.size === countBefore) unmatched.push(pattern);
+    }
+    return { files: [...files], unmatched };
+}
+
+// Rows of an earlier, interrupted run keyed by image path. A line cut off by the interruption is ignored.
+async function readBatchJournal(journalPath) {
+    const rows = new Map();
+    let content;
+    try {
+        content = await fs.readFile(journalPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return rows;
+        throw error;
+    }
+    for (const line of content.split('\n')) {
+        try {
+            const row = JSON.parse(line);
+            if (row && typeof row.path === 'string') rows.set(row.path, row);
+        } catch {
+            // Incomplete or empty line
+        }
+    }
+    return rows;
+}
+
+/**
+ * Formats the batch report.
+ * @param {{file: string, ok: boolean, model: string|null, ocrText: string|null, response: string|null, error: string|null}[]} rows
+ * @param {string} format One of BATCH_REPORT_FORMATS.
+ * @param {{prompt: string, generatedAt: string}} details Shown in the HTML report.
+ */
+function formatBatchReport(rows, format, { prompt, generatedAt }) {
+    if (format === 'jsonl') {
+        return rows.map(({ file, ok, model, ocrText, response, error }) => JSON.stringify({ file, ok, model, ocrText, response, error }) + '\n').join('');
+    }
+    if (format === 'csv') {
+        const field = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [['file', 'status', 'model', 'ocr_text', 'response', 'error']]
+            .concat(rows.map(row => [row.file, row.ok ? 'ok' : 'failed', row.model, row.ocrText, row.response, row.error]));
+        return lines.map(line => line.map(field).join(',')).join('\r\n') + '\r\n';
+    }
+
+    const failedCount = rows.filter(row => !row.ok).length;
+    const tableRows = rows.map(row => `<tr class="${row.ok ? 'ok' : 'failed'}">
+<td>${escapeHtml(row.file)}</td>
+<td>${row.ok ? 'ok' : `failed: ${escapeHtml(row.error)}`}</td>
+<td>${row.ocrText ? `<pre>${escapeHtml(row.ocrText)}</pre>` : ''}</td>
+<td>${row.ok ? marked.parse(row.response) : ''}</td>
+</tr>`).join('\n');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+<title>AI Helper Batch Report</title>
+<style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2em; line-height: 1.5; color: #1f2328; }
+    header { color: #656d76; font-size: 0.9em; border-bottom: 1px solid #d0d7de; margin-bottom: 1.5em; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #d0d7de; padding: 0.3em 0.7em; vertical-align: top; text-align: left; }
+    pre { white-space: pre-wrap; margin: 0; font-family: ui-monospace, Consolas, monospace; font-size: 0.85em; }
+    tr.failed td { background: #ffebe9; }
+</style>
+</head>
+<body>
+<header><h1>AI Helper Batch Report</h1><p>${rows.length} image(s), ${failedCount} failed &middot; ${escapeHtml(new Date(generatedAt).toLocaleString())}</p><p>Prompt: ${escapeHtml(prompt)}</p></header>
+<table>
+<thead><tr><th>File</th><th>Status</th><th>OCR Text</th><th>Response</th></tr></thead>
+<tbody>
+${tableRows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Runs the `batch` command.
+ * @param {string[]} argv Arguments after "batch".
+ * @returns {Promise<number>} Exit status (one of EXIT_CODES).
+ */
+async function runBatchCommand(argv) {
+    state.headless = true;
+    let options;
+    try {
+        options = parseCommandArgs(argv, { values: ['out', 'prompt', 'profile', 'model', 'ocrFormat', 'concurrency'], flags: ['help'], positional: true });
+    } catch (error) {
+        console.error(`${error.message}\n\n${BATCH_USAGE}`);
+        return EXIT_CODES.USAGE;
+    }
+    if (options.help) {
+        console.log(BATCH_USAGE);
+        return EXIT_CODES.OK;
+    }
+
+    const fail = (exitCode, message) => {
+        logError(message);
+        return exitCode;
+    };
+    if (options.args.length === 0) return fail(EXIT_CODES.USAGE, `No images given.\n\n${BATCH_USAGE}`);
+    if (!options.out) return fail(EXIT_CODES.USAGE, `Missing --out <report>.\n\n${BATCH_USAGE}`);
+    const outPath = path.resolve(options.out);
+    const format = path.extname(outPath).slice(1).toLowerCase();
+    if (!BATCH_REPORT_FORMATS.includes(format)) {
+        return fail(EXIT_CODES.USAGE, `Unknown report format "${path.extname(outPath)}". Use one of: ${BATCH_REPORT_FORMATS.map(f => `.${f}`).join(', ')}.`);
+    }
+    const concurrency = options.concurrency === undefined ? DEFAULT_BATCH_CONCURRENCY : Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        return fail(EXIT_CODES.USAGE, `--concurrency must be a whole number of at least 1, got "${options.concurrency}".`);
+    }
+
+    await loadSettings();
+    await loadProfiles();
+    await migrateLegacyHistory();
+    useSystemAdapters();
+    // The report is the record of a batch run; hundreds of images shouldn't go to the clipboard or push real captures
+    // out of the history
+    state.copyToClipboard = false;
+    state.historyEnabled = false;
+
+    const profile = options.profile ? getProfile(options.profile) : getActiveProfile();
+    if (options.profile && !profile) {
+        return fail(EXIT_CODES.USAGE, `Profile "${options.profile}" not found.`);
+    }
+    if (options.ocrFormat && !Object.keys(OCR_TEXT_FORMATS).includes(String(options.ocrFormat))) {
+        return fail(EXIT_CODES.USAGE, `Unknown OCR format "${options.ocrFormat}". Use one of: ${Object.keys(OCR_TEXT_FORMATS).join(', ')}.`);
+    }
+    const { files, unmatched } = await expandImagePaths(options.args);
+    unmatched.forEach(pattern => logWarn(`No images found for "${pattern}".`));
+    if (files.length === 0) return fail(EXIT_CODES.USAGE, "No images to analyze.");
+
+    // The OCR worker and the model instance are set up once and shared by all images
+    const { tesseractInitialized } = await initializeServices();
+    if (!getProvider().isReady()) {
+        return fail(EXIT_CODES.NOT_CONFIGURED, `${getProvider().label} is not configured. Run "node main.js" and set it up first.`);
+    }
+    if (!tesseractInitialized && capturesNeedOcr()) {
+        return fail(EXIT_CODES.NOT_CONFIGURED, "Tesseract failed to initialize.");
+    }
+
+    const journalPath = `${outPath}.partial.jsonl`;
+    const rows = await readBatchJournal(journalPath);
+    for (const [filePath, row] of rows) {
+        if (!row.ok || !files.includes(filePath)) rows.delete(filePath); // Failed images are retried
+    }
+    const pending = files.filter(filePath => !rows.has(filePath));
+    if (rows.size > 0) logInfo(`Resuming: ${rows.size} of ${files.length} image(s) were analyzed by an earlier run (${journalPath}).`);
+
+    const prompt = options.prompt || profile?.prompt || state.customPrompt;
+    let journalWrites = Promise.resolve();
+    let finishedCount = rows.size;
+    let nextIndex = 0;
+    const analyzeNext = async () => {
+        while (nextIndex < pending.length && state.isRunning) {
+            const filePath = pending[nextIndex++];
+            const row = { path: filePath, file: path.relative(process.cwd(), filePath) || filePath, ok: false, model: null, ocrText: null, response: null, error: null };
+            let imagePath = null;
+            try {
+                imagePath = await convertToTempPng(filePath, 'batch');
+                const captures = [{ imagePath, label: path.basename(filePath) }];
+                const { text, modelName } = await analyzeCaptures(captures, { profile, prompt, modelName: options.model, ocrFormat: options.ocrFormat, triggerSource: 'batch', quiet: true });
+                Object.assign(row, { ok: true, response: text, model: modelName, ocrText: captures[0].ocrText });
+            } catch (error) {
+                row.error = error.message;
+            } finally {
+                if (imagePath) await fs.rm(imagePath, { force: true }).catch(() => {});
+            }
+            rows.set(filePath, row);
+            finishedCount++;
+            const status = row.ok ? chalk.greenBright('ok') : chalk.redBright(`failed: ${row.error}`);
+            logInfo(`[${finishedCount}/${files.length}] ${row.file}: ${status}`);
+            journalWrites = journalWrites.then(() => fs.appendFile(journalPath, JSON.stringify(row) + '\n'));
+            await journalWrites;
+        }
+    };
+
+    state.isProcessing = true;
+    try {
+        await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, analyzeNext));
+        await journalWrites;
+        if (!state.isRunning) {
+            // Interrupted: images in progress were finished, and the journal lets the next run continue from here
+            logWarn(`Interrupted after ${finishedCount} of ${files.length} image(s). Run the same command again to continue.`);
+            return EXIT_CODES.INTERRUPTED;
+        }
+
+        const reportRows = files.map(filePath => rows.get(filePath));
+        await writeFileAtomic(outPath, formatBatchReport(reportRows, format, { prompt, generatedAt: new Date().toISOString() }));
+        const failedCount = reportRows.filter(row => !row.ok).length;
+        if (failedCount === 0) await fs.rm(journalPath, { force: true });
+        process.stdout.write(`Analyzed ${files.length - failedCount} of ${files.length} image(s)${failedCount ? `, ${failedCount} failed` : ''}. Report: ${outPath}\n`);
+        return failedCount === 0 ? EXIT_CODES.OK : EXIT_CODES.FAILED;
+
+    } catch (error) {
+        return fail(EXIT_CODES.FAILED, `Batch failed: ${error.message}`);
+
+    } finally {
+        state.isProcessing = false;
+        if (state.worker) await state.worker.terminate().catch(() => {});
+        state.worker = null;
+    }
+}
+
+// --- Main Execution ---
 async function main() {
-  
-    loadEnvSettings();
+    await loadSettings();
+    setupCli();
+
+    await loadProfiles();
+    await migrateLegacyHistory();
+    useSystemAdapters();
 
     
   
     console.log(""); // Add newline after init group
     console.group(chalk.bold("--- IMPORTANT ---"));
-    logInfo(`This application uses Google's Gemini AI for analysis.`);
+    logInfo(`This application uses ${getProvider().label} for analysis. Use ${chalk.blueBright('set-provider')} to switch.`);
     
     logInfo(`Type ${chalk.blueBright('help')} for a list of available commands.`);
     console.groupEnd();
     console.log(""); // Add newline after init group
     console.group(chalk.bold("--- Initialization ---"));
 
-    if (!state.apiKey) {
-        
-    } else {
+    if (state.provider === 'gemini' && state.apiKey) {
         logSuccess("Gemini API Key found in settings.");
     }
     // Highlight OS
     logInfo(`Detected OS: ${chalk.blueBright(state.operatingSystem)}`);
     // Initialize services (this will now also try to fetch models if API key exists)
-    const { tesseractInitialized, geminiInitialized } = await initializeServices();
+    const { tesseractInitialized } = await initializeServices();
 
     if (!tesseractInitialized) {
         logError("Tesseract failed to initialize. OCR features will be unavailable.");
     }
-     // Gemini initialization status is now handled within initializeServices logs
+     // AI provider initialization status is now handled within initializeServices logs
 
     setupGlobalListener();
+    if (state.apiEnabled) {
+        await startApiServer();
+    }
+
+    // Clicking a truncated result notification opens the full answer
+    state.notifier.on?.('click', () => {
+        if (state.lastResponse?.viewerPath) openWithDefaultApp(state.lastResponse.viewerPath);
+    });
 
     // Use success log for ready message
     logSuccess("Initialization complete. Ready.");
     // Add reminders if necessary components failed or are missing
-    if (state.apiKey && !state.model) {
+    if (state.provider === 'gemini' && state.apiKey && !state.model) {
         logWarn(`Reminder: Gemini model "${state.aiModel}" failed to initialize or is not set. Use 'set-model' to choose a valid one.`);
     }
     // Highlight hotkey and status
@@ -959,10 +2336,10 @@ async function main() {
     console.log("--- Initialization Finished ---"); // Add newline after init group
     console.log(""); // Add newline after init group
     
-    if (!state.apiKey) {
+    if (state.provider === 'gemini' && !state.apiKey) {
         logWarn("Gemini API Key is NOT configured.");
         logWarn("You need an API key from Google AI Studio (https://aistudio.google.com/app/apikey).");
-        logWarn(`Once you have a key, use the command: ${chalk.blueBright('set-apikey YOUR_API_KEY')}`);
+        logWarn(`Once you have a key, use the command: ${chalk.blueBright('set-apikey')}`);
         logWarn("AI features will be disabled until a key is set.");
         logWarn("To paste in, right click or paste into the command prompt");
        
@@ -974,7 +2351,7 @@ async function main() {
    
    
 
-    rl.prompt(); // Start the CLI prompt
+    state.cli.prompt(); // Start the CLI prompt
 }
 
 // --- Graceful Shutdown ---
@@ -1002,10 +2379,23 @@ const shutdown = async (signal) => {
         logDebug("No active global listener to stop.");
     }
 
+    if (state.apiServer) {
+        logDebug("Stopping HTTP API...");
+        await stopApiServer();
+    }
+
+    stopWatching(); // Images not analyzed yet are picked up on the next start
+
+    // Drop pending captures (and their screenshots); a running one is abandoned with the process
+    if (state.captureQueue.length > 0) {
+        logInfo(`Discarding ${state.captureQueue.length} pending capture(s).`);
+        for (const job of [...state.captureQueue]) await cancelJob(job.id);
+    }
+
     // Close readline interface
-    if (rl && !rl.closed) {
+    if (state.cli && !state.cli.closed) {
         logDebug("Closing readline interface...");
-        rl.close(); // This will trigger the 'close' event handler
+        state.cli.close(); // This will trigger the 'close' event handler
     } else {
          logDebug("Readline interface already closed or not initialized.");
     }
@@ -1034,6 +2424,15 @@ const shutdown = async (signal) => {
 // Ensure shutdown is called only once
 let shuttingDown = false;
 const handleExitSignal = (signal) => {
+    if (state.headless) {
+        // One-shot mode: stdout holds the result, so no shutdown banner, and the command itself exits with
+        // EXIT_CODES.INTERRUPTED once it has stopped ('batch' finishes the images in progress). A second signal quits now.
+        if (!state.isRunning) process.exit(EXIT_CODES.INTERRUPTED);
+        state.isRunning = false;
+        logWarn(`Interrupted by ${signal}. Stopping... (send it again to quit immediately)`);
+        oneShotAbortController.abort(new Error(`Interrupted by ${signal}.`));
+        return;
+    }
     if (!shuttingDown && state.isRunning) {
         shuttingDown = true;
         shutdown(signal).catch(err => {
@@ -1045,50 +2444,85 @@ const handleExitSignal = (signal) => {
     }
 };
 
-process.on('SIGINT', () => handleExitSignal('SIGINT')); // Ctrl+C
-process.on('SIGTERM', () => handleExitSignal('SIGTERM')); // Termination signal
+// Registered only when run as a program, so importing this file doesn't take over the host's process events
+function registerProcessHandlers() {
+    process.on('SIGINT', () => handleExitSignal('SIGINT')); // Ctrl+C
+    process.on('SIGTERM', () => handleExitSignal('SIGTERM')); // Termination signal
+
+    process.on('uncaughtException', (error, origin) => {
+        // Use logError for consistent formatting
+        logError(`FATAL: Uncaught Exception at: ${origin}`, error);
+        if (!shuttingDown && state.isRunning) {
+            shuttingDown = true;
+            // Attempt graceful shutdown but exit quickly after
+            shutdown('uncaughtException').catch(() => {}).finally(() => {
+                console.error(chalk.redBright.bold(`${ERROR_PREFIX} Exiting due to uncaught exception.`));
+                process.exit(1);
+            });
+        } else {
+            // If already shutting down or stopped, just log and exit
+            console.error(chalk.redBright.bold(`${ERROR_PREFIX} Exiting immediately due to uncaught exception during/after shutdown.`));
+            process.exit(1);
+        }
+    });
 
-process.on('uncaughtException', (error, origin) => {
-    // Use logError for consistent formatting
-    logError(`FATAL: Uncaught Exception at: ${origin}`, error);
-    if (!shuttingDown && state.isRunning) {
-        shuttingDown = true;
-        // Attempt graceful shutdown but exit quickly after
-        shutdown('uncaughtException').catch(() => {}).finally(() => {
-            console.error(chalk.redBright.bold(`${ERROR_PREFIX} Exiting due to uncaught exception.`));
+    process.on('unhandledRejection', (reason, promise) => {
+        logError('FATAL: Unhandled Rejection at:', promise);
+        logError('Reason:', reason instanceof Error ? reason.message : reason); // Log the reason's message if it's an Error
+         if (state.debugMode && reason instanceof Error) {
+             console.error(reason.stack); // Log stack in debug mode
+         }
+        if (!shuttingDown && state.isRunning) {
+            shuttingDown = true;
+            shutdown('unhandledRejection').catch(() => {}).finally(() => {
+                console.error(chalk.redBright.bold(`${ERROR_PREFIX} Exiting due to unhandled rejection.`));
+                process.exit(1);
+            });
+        } else {
+            console.error(chalk.redBright.bold(`${ERROR_PREFIX} Exiting immediately due to unhandled rejection during/after shutdown.`));
             process.exit(1);
+        }
+    });
+}
+
+// --- Exports ---
+// Importing this file has no side effects: nothing starts until main(), runAnalyzeCommand() or runBatchCommand() is
+// called. See useAdapters() in lib/adapters.js for running them with other screenshot, OCR, AI or notification
+// implementations.
+module.exports = { main, runAnalyzeCommand, runBatchCommand };
+
+// --- Run ---
+if (require.main === module) {
+    registerProcessHandlers();
+    const [cliCommand, ...cliCommandArgs] = process.argv.slice(2);
+    if (cliCommand === 'analyze') {
+        runAnalyzeCommand(cliCommandArgs).then(exitCode => process.exit(exitCode)).catch(error => {
+            console.error(chalk.redBright.bold(`${ERROR_PREFIX} [CRITICAL ERROR] ${error.message}`));
+            if (state.debugMode) {
+                console.error(error.stack);
+            }
+            process.exit(EXIT_CODES.FAILED);
         });
-    } else {
-        // If already shutting down or stopped, just log and exit
-        console.error(chalk.redBright.bold(`${ERROR_PREFIX} Exiting immediately due to uncaught exception during/after shutdown.`));
-        process.exit(1);
-    }
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-    logError('FATAL: Unhandled Rejection at:', promise);
-    logError('Reason:', reason instanceof Error ? reason.message : reason); // Log the reason's message if it's an Error
-     if (state.debugMode && reason instanceof Error) {
-         console.error(reason.stack); // Log stack in debug mode
-     }
-    if (!shuttingDown && state.isRunning) {
-        shuttingDown = true;
-        shutdown('unhandledRejection').catch(() => {}).finally(() => {
-            console.error(chalk.redBright.bold(`${ERROR_PREFIX} Exiting due to unhandled rejection.`));
-            process.exit(1);
+    } else if (cliCommand === 'batch') {
+        runBatchCommand(cliCommandArgs).then(exitCode => process.exit(exitCode)).catch(error => {
+            console.error(chalk.redBright.bold(`${ERROR_PREFIX} [CRITICAL ERROR] ${error.message}`));
+            if (state.debugMode) {
+                console.error(error.stack);
+            }
+            process.exit(EXIT_CODES.FAILED);
         });
+    } else if (cliCommand) {
+        const isHelp = ['help', '--help', '-h'].includes(cliCommand);
+        (isHelp ? console.log : console.error)(`Usage: node main.js            Start the interactive helper.\n${ANALYZE_USAGE}\n\n${BATCH_USAGE}`);
+        process.exit(isHelp ? EXIT_CODES.OK : EXIT_CODES.USAGE);
     } else {
-        console.error(chalk.redBright.bold(`${ERROR_PREFIX} Exiting immediately due to unhandled rejection during/after shutdown.`));
-        process.exit(1);
-    }
-});
-
-// --- Run ---
-main().catch(error => {
-    // Catch critical errors during initial startup (before error handlers are fully reliable)
-    console.error(chalk.redBright.bold(`${ERROR_PREFIX} [CRITICAL STARTUP ERROR] ${error.message}`));
-    if (state.debugMode) {
-        console.error(error.stack);
+        main().catch(error => {
+            // Catch critical errors during initial startup (before error handlers are fully reliable)
+            console.error(chalk.redBright.bold(`${ERROR_PREFIX} [CRITICAL STARTUP ERROR] ${error.message}`));
+            if (state.debugMode) {
+                console.error(error.stack);
+            }
+            process.exit(1); // Exit immediately on critical startup failure
+        });
     }
-    process.exit(1); // Exit immediately on critical startup failure
-});
+}
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+process.env.AI_HELPER_CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-helper-test-'));
+process.env.SECRET_STORE = 'file';
+process.env.AI_HELPER_PASSPHRASE = 'test passphrase';
+delete process.env.GEMINI_API_KEY;
+
+const { state } = require('../lib/state');
+const { useAdapters } = require('../lib/adapters');
+const { runBatchCommand } = require('../main');
+
+const imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-helper-batch-test-'));
+let requestCount = 0;
+let onRequest = () => {};
+
+// The batch run terminates the OCR worker when it's done, so the fakes are installed before every run
+function useFakes() {
+    useAdapters({
+        ocr: {
+            recognize: async () => ({ data: { text: 'Disk full, "retry"?\n', blocks: [] } }),
+            terminate: async () => {},
+        },
+        ai: {
+            generate: async (modelName) => {
+                requestCount++;
+                return (await onRequest(modelName)) ?? 'Category: storage';
+            },
+        },
+        notifier: { notify: () => {} },
+    });
+}
+
+const writeImage = (name) => sharp({ create: { width: 40, height: 20, channels: 3, background: '#ffffff' } }).png().toFile(path.join(imageDir, name));
+
+test.before(async () => {
+    fs.mkdirSync(path.join(imageDir, 'dialogs', 'nested'), { recursive: true });
+    await writeImage('dialogs/a.png');
+    await writeImage('dialogs/nested/b.png');
+    fs.writeFileSync(path.join(imageDir, 'dialogs', 'c.png'), 'not really an image');
+    fs.writeFileSync(path.join(imageDir, 'dialogs', 'notes.txt'), 'ignored');
+});
+
+test.after(() => {
+    fs.rmSync(imageDir, { recursive: true, force: true });
+    fs.rmSync(process.env.AI_HELPER_CONFIG_DIR, { recursive: true, force: true });
+});
+
+test('reports every image, including failures, and resumes where it stopped', async () => {
+    const pattern = path.join(imageDir, 'dialogs', '**', '*.png');
+    const reportPath = path.join(imageDir, 'report.csv');
+    const journalPath = `${reportPath}.partial.jsonl`;
+
+    useFakes();
+    assert.equal(await runBatchCommand([pattern, '--out', reportPath, '--concurrency', '2']), 1);
+    assert.equal(requestCount, 2);
+
+    const lines = fs.readFileSync(reportPath, 'utf8').split('\r\n');
+    assert.equal(lines[0], 'file,status,model,ocr_text,response,error');
+    const rows = lines.slice(1, -1);
+    assert.equal(rows.length, 3);
+    assert.match(rows[0], /a\.png,ok,.*,"Disk full, ""retry""\?\n",Category: storage,$/);
+    assert.match(rows[1], /c\.png,failed,,,,.+/);
+    assert.match(rows[2], /nested[\\/]b\.png,ok,/);
+    assert.ok(fs.existsSync(journalPath), 'the journal is kept while images failed');
+
+    // Fix the broken image; only it is analyzed on the next run
+    await writeImage('dialogs/c.png');
+    useFakes();
+    assert.equal(await runBatchCommand([pattern, '--out', reportPath]), 0);
+    assert.equal(requestCount, 3);
+    assert.ok(!fs.readFileSync(reportPath, 'utf8').includes('failed'));
+    assert.ok(!fs.existsSync(journalPath));
+});
+
+test('writes JSON Lines reports for a folder', async () => {
+    const reportPath = path.join(imageDir, 'report.jsonl');
+    useFakes();
+    assert.equal(await runBatchCommand([path.join(imageDir, 'dialogs'), `--out=${reportPath}`]), 0);
+    const rows = fs.readFileSync(reportPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(rows.map(row => path.basename(row.file)), ['a.png', 'c.png']);
+    assert.deepEqual(Object.keys(rows[0]), ['file', 'ok', 'model', 'ocrText', 'response', 'error']);
+    assert.equal(rows[0].response, 'Category: storage');
+});
+
+test('an interrupted run finishes the images in progress, journals them and exits with 130', async (t) => {
+    const folder = path.join(imageDir, 'interrupted');
+    fs.mkdirSync(folder);
+    await Promise.all(['1.png', '2.png', '3.png'].map(name => writeImage(`interrupted/${name}`)));
+    const reportPath = path.join(imageDir, 'interrupted.csv');
+    requestCount = 0;
+    onRequest = () => { state.isRunning = false; }; // Like Ctrl+C while the first images are being analyzed
+    t.after(() => {
+        onRequest = () => {};
+        state.isRunning = true;
+    });
+
+    useFakes();
+    assert.equal(await runBatchCommand([folder, '--out', reportPath, '--concurrency', '2']), 130);
+    assert.equal(requestCount, 2, 'no new image is started');
+    assert.ok(!fs.existsSync(reportPath));
+    const journal = fs.readFileSync(`${reportPath}.partial.jsonl`, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(journal.map(row => [path.basename(row.path), row.ok]).sort(), [['1.png', true], ['2.png', true]]);
+});
+
+test('records the model that answered each image, including fallback models', async (t) => {
+    const folder = path.join(imageDir, 'fallback');
+    fs.mkdirSync(folder);
+    await Promise.all(['1.png', '2.png'].map(name => writeImage(`fallback/${name}`)));
+    const reportPath = path.join(imageDir, 'fallback.jsonl');
+    let failed = false;
+    onRequest = async (modelName) => {
+        if (modelName === 'backup-model') return 'Answered by the backup';
+        if (failed) return undefined;
+        failed = true;
+        throw Object.assign(new Error('Model not found'), { status: 404 });
+    };
+    state.fallbackModels = ['backup-model'];
+    t.after(() => {
+        onRequest = () => {};
+        state.fallbackModels = [];
+    });
+
+    useFakes();
+    assert.equal(await runBatchCommand([folder, `--out=${reportPath}`, '--concurrency', '2']), 0);
+    const rows = fs.readFileSync(reportPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(rows.map(row => [row.model, row.response]).sort(), [
+        ['backup-model', 'Answered by the backup'],
+        [state.aiModel, 'Category: storage'],
+    ]);
+});
+
+test('rejects invalid usage', async () => {
+    assert.equal(await runBatchCommand([imageDir]), 2, 'missing --out');
+    assert.equal(await runBatchCommand([imageDir, '--out', 'report.pdf']), 2);
+    assert.equal(await runBatchCommand([imageDir, '--out', 'report.csv', '--concurrency', '0']), 2);
+    assert.equal(await runBatchCommand([path.join(imageDir, 'missing', '*.png'), '--out', path.join(imageDir, 'r.csv')]), 2);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+process.env.AI_HELPER_CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-helper-test-'));
+
+const { state } = require('../lib/state');
+const { useAdapters } = require('../lib/adapters');
+const { handleCapture, handleClipboardCapture } = require('../lib/capture');
+
+// A fake clipboard that holds either text or an image, and records what the helper copies to it
+const clipboard = { text: '', hasImage: false, imagePaths: [], copied: [], failCopy: false };
+const calls = { ocr: 0, requests: [] };
+
+useAdapters({
+    screenshot: {
+        listDisplays: async () => [{ id: 0, name: 'Test display', width: 40, height: 20 }],
+        capture: async ({ filename }) => {
+            await sharp({ create: { width: 40, height: 20, channels: 3, background: '#ffffff' } }).png().toFile(filename);
+        },
+    },
+    ocr: {
+        recognize: async () => {
+            calls.ocr++;
+            return { data: { text: 'Error 42\n', blocks: [] } };
+        },
+        terminate: async () => {},
+    },
+    ai: {
+        generate: async (modelName, contents) => {
+            calls.requests.push(contents[0].parts);
+            return 'fake answer';
+        },
+    },
+    notifier: { notify: () => {} },
+    clipboard: {
+        readText: async () => clipboard.text,
+        readImage: async (destPath) => {
+            if (!clipboard.hasImage) return false;
+            clipboard.imagePaths.push(destPath);
+            await sharp({ create: { width: 40, height: 20, channels: 3, background: '#000000' } }).png().toFile(destPath);
+            return true;
+        },
+        writeText: async (text) => {
+            if (clipboard.failCopy) throw new Error('no clipboard tool');
+            clipboard.copied.push(text);
+        },
+    },
+});
+
+test.beforeEach(() => {
+    Object.assign(clipboard, { text: '', hasImage: false, imagePaths: [], copied: [], failCopy: false });
+    Object.assign(calls, { ocr: 0, requests: [] });
+    Object.assign(state, { pipelineMode: 'image+text', redactionEnabled: false, ocrTextFormat: 'plain', maxRetries: 0, historyEnabled: false, copyToClipboard: false });
+});
+
+test.after(() => fs.rmSync(process.env.AI_HELPER_CONFIG_DIR, { recursive: true, force: true }));
+
+test('sends clipboard text as is, without OCR', async () => {
+    clipboard.text = '  TypeError: x is undefined\n';
+    const result = await handleClipboardCapture('test');
+    assert.equal(result.ok, true);
+    assert.equal(result.response, 'fake answer');
+    assert.deepEqual(result.captures, [{ label: 'Clipboard text', ocrText: 'TypeError: x is undefined' }]);
+    assert.equal(calls.ocr, 0);
+    assert.deepEqual(calls.requests[0].slice(1).map(part => part.text), ['\n--- Text ---', 'TypeError: x is undefined']);
+});
+
+test('prefers an image on the clipboard and runs it through OCR', async () => {
+    clipboard.text = 'ignored';
+    clipboard.hasImage = true;
+    const result = await handleClipboardCapture('test');
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.captures, [{ label: 'Clipboard image', ocrText: 'Error 42\n' }]);
+    assert.equal(calls.ocr, 1);
+    assert.ok(calls.requests[0].some(part => part.inlineData), 'the image is sent');
+    assert.ok(!fs.existsSync(clipboard.imagePaths[0]), 'the clipboard image is deleted afterwards');
+});
+
+test('reports an empty clipboard as a failed capture', async () => {
+    clipboard.text = ' \n';
+    const result = await handleClipboardCapture('test');
+    assert.equal(result.ok, false);
+    assert.equal(result.reason, 'failed');
+    assert.match(result.error, /clipboard is empty/);
+    assert.equal(calls.requests.length, 0);
+});
+
+test('copies the response to the clipboard when enabled', async () => {
+    state.copyToClipboard = true;
+    assert.equal((await handleCapture('test')).ok, true);
+    assert.deepEqual(clipboard.copied, ['fake answer']);
+
+    clipboard.failCopy = true; // A missing clipboard tool doesn't fail the capture
+    assert.equal((await handleCapture('test')).ok, true);
+});
+
+test('leaves the clipboard alone by default', async () => {
+    assert.equal((await handleCapture('test')).ok, true);
+    assert.deepEqual(clipboard.copied, []);
+});
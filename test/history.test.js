@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-helper-test-'));
+process.env.AI_HELPER_CONFIG_DIR = configDir;
+
+const { migrateLegacyHistory } = require('../lib/history');
+
+const legacyDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ai-helper-install-')), 'history');
+const writeEntry = (dir, id, response) => {
+    fs.mkdirSync(path.join(dir, id), { recursive: true });
+    fs.writeFileSync(path.join(dir, id, 'entry.json'), JSON.stringify({ id, response }));
+};
+const readResponse = (id) => JSON.parse(fs.readFileSync(path.join(configDir, 'history', id, 'entry.json'), 'utf8')).response;
+
+test.after(() => {
+    fs.rmSync(configDir, { recursive: true, force: true });
+    fs.rmSync(path.dirname(legacyDir), { recursive: true, force: true });
+});
+
+test('the history folder next to main.js is moved to the config directory', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    writeEntry(legacyDir, '20260101-120000', 'old answer');
+    writeEntry(legacyDir, '20260102-120000', 'kept in place');
+    writeEntry(path.join(configDir, 'history'), '20260102-120000', 'newer answer');
+
+    await migrateLegacyHistory(legacyDir);
+    assert.equal(readResponse('20260101-120000'), 'old answer');
+    assert.equal(readResponse('20260102-120000'), 'newer answer', 'existing entries are not replaced');
+    assert.deepEqual(fs.readdirSync(legacyDir), ['20260102-120000'], 'the clashing entry is left in the old folder');
+
+    fs.rmSync(path.join(legacyDir, '20260102-120000'), { recursive: true });
+    await migrateLegacyHistory(legacyDir);
+    assert.ok(!fs.existsSync(legacyDir), 'the empty old folder is removed');
+});
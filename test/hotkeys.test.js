@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTriggerKey, formatTriggerKeyPlain, isSameTriggerKey, matchesTriggerKey } = require('../lib/hotkeys');
+
+test('parseTriggerKey reads modifiers and the key name', () => {
+    assert.deepEqual(parseTriggerKey('CTRL+SHIFT+C'), { name: 'C', ctrl: true, shift: true, alt: false, meta: false });
+    assert.deepEqual(parseTriggerKey(' alt + f9 '), { name: 'F9', ctrl: false, shift: false, alt: true, meta: false });
+    assert.deepEqual(parseTriggerKey('Control+Cmd+Page Up'), { name: 'PAGE UP', ctrl: true, shift: false, alt: false, meta: true });
+});
+
+test('parseTriggerKey ignores unknown modifiers', () => {
+    assert.deepEqual(parseTriggerKey('HYPER+K'), { name: 'K', ctrl: false, shift: false, alt: false, meta: false });
+});
+
+test('parseTriggerKey rejects empty input', () => {
+    assert.equal(parseTriggerKey(''), null);
+    assert.equal(parseTriggerKey('+'), null);
+    assert.equal(parseTriggerKey(null), null);
+    assert.equal(parseTriggerKey(42), null);
+});
+
+test('formatTriggerKeyPlain output parses back to the same key', () => {
+    for (const text of ['CTRL+SHIFT+C', 'ALT+META+F12', 'SPACE']) {
+        const key = parseTriggerKey(text);
+        assert.equal(formatTriggerKeyPlain(key), text);
+        assert.ok(isSameTriggerKey(parseTriggerKey(formatTriggerKeyPlain(key)), key));
+    }
+});
+
+test('matchesTriggerKey requires exactly the configured modifiers', () => {
+    const key = parseTriggerKey('CTRL+SHIFT+C');
+    assert.ok(matchesTriggerKey(key, { name: 'C' }, { 'LEFT CTRL': true, 'RIGHT SHIFT': true }));
+    assert.ok(!matchesTriggerKey(key, { name: 'C' }, { 'LEFT CTRL': true }));
+    assert.ok(!matchesTriggerKey(key, { name: 'C' }, { 'LEFT CTRL': true, 'LEFT SHIFT': true, 'LEFT ALT': true }));
+    assert.ok(!matchesTriggerKey(key, { name: 'V' }, { 'LEFT CTRL': true, 'LEFT SHIFT': true }));
+});
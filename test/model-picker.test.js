@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getModelPage, resolveModelChoice } = require('../lib/model-picker');
+
+const models = Array.from({ length: 12 }, (_, i) => `model-${i + 1}`);
+
+test('first page offers "Show More" after its models', () => {
+    const page = getModelPage(models, 0);
+    assert.deepEqual(page.models, ['model-1', 'model-2', 'model-3', 'model-4', 'model-5']);
+    assert.equal(page.pageCount, 3);
+    assert.equal(page.showMoreOption, 6);
+    assert.equal(page.goPreviousOption, null);
+    assert.equal(page.cancelOption, 0);
+});
+
+test('middle page offers both "Show More" and "Go Previous"', () => {
+    const page = getModelPage(models, 1);
+    assert.deepEqual(page.models, ['model-6', 'model-7', 'model-8', 'model-9', 'model-10']);
+    assert.equal(page.showMoreOption, 6);
+    assert.equal(page.goPreviousOption, 7);
+});
+
+test('last page is numbered after its remaining models', () => {
+    const page = getModelPage(models, 2);
+    assert.deepEqual(page.models, ['model-11', 'model-12']);
+    assert.equal(page.showMoreOption, null);
+    assert.equal(page.goPreviousOption, 3);
+});
+
+test('pages out of range are clamped', () => {
+    assert.equal(getModelPage(models, 7).page, 2);
+    assert.equal(getModelPage(models, -1).page, 0);
+    const empty = getModelPage([], 0);
+    assert.equal(empty.pageCount, 1);
+    assert.deepEqual(empty.models, []);
+    assert.equal(empty.showMoreOption, null);
+});
+
+test('resolveModelChoice maps numbers to models and options', () => {
+    const page = getModelPage(models, 1);
+    assert.deepEqual(resolveModelChoice(page, '2'), { action: 'select', model: 'model-7' });
+    assert.deepEqual(resolveModelChoice(page, '6'), { action: 'next' });
+    assert.deepEqual(resolveModelChoice(page, '7'), { action: 'previous' });
+    assert.deepEqual(resolveModelChoice(page, '0'), { action: 'cancel' });
+    assert.deepEqual(resolveModelChoice(page, '8'), { action: 'invalid' });
+    assert.deepEqual(resolveModelChoice(page, '-1'), { action: 'invalid' });
+    assert.deepEqual(resolveModelChoice(page, 'abc'), { action: 'not-a-number' });
+});
+
+test('paging forward and back walks the whole list', () => {
+    const seen = [];
+    let page = getModelPage(models, 0);
+    while (true) {
+        seen.push(...page.models);
+        if (!page.showMoreOption) break;
+        assert.equal(resolveModelChoice(page, String(page.showMoreOption)).action, 'next');
+        page = getModelPage(models, page.page + 1);
+    }
+    assert.deepEqual(seen, models);
+    assert.equal(resolveModelChoice(page, String(page.goPreviousOption)).action, 'previous');
+});
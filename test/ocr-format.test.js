@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+process.env.AI_HELPER_CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-helper-test-'));
+
+const { state } = require('../lib/state');
+const { useAdapters } = require('../lib/adapters');
+const { handleCapture } = require('../lib/capture');
+
+// Tesseract's blocks output for a small invoice: a title, a two-column table (the quantities are right-aligned) and a total
+const word = (text, x0, y0, confidence = 95) => ({ text, confidence, bbox: { x0, y0, x1: x0 + text.length * 8, y1: y0 + 14 } });
+const line = (...words) => ({
+    text: `${words.map(w => w.text).join(' ')}\n`,
+    confidence: Math.min(...words.map(w => w.confidence)),
+    bbox: { x0: words[0].bbox.x0, y0: words[0].bbox.y0, x1: words[words.length - 1].bbox.x1, y1: words[0].bbox.y1 },
+    words,
+});
+const OCR_BLOCKS = [
+    { paragraphs: [{ lines: [line(word('Invoice', 10, 10), word('2026-17', 74, 10))] }] },
+    {
+        paragraphs: [{
+            lines: [
+                line(word('Item', 10, 40), word('Qty', 200, 40)),
+                line(word('Blue', 10, 60), word('widget', 50, 60), word('12', 208, 60, 40)),
+                line(word('Red', 10, 80), word('gear|s', 42, 80), word('3', 216, 80)),
+            ],
+        }],
+    },
+    { paragraphs: [{ lines: [line(word('Total:', 10, 110), word('15', 66, 110))] }] },
+];
+const OCR_TEXT = 'Invoice 2026-17\n\nItem Qty\nBlue widget 12\nRed gear|s 3\n\nTotal: 15\n';
+
+const requests = [];
+useAdapters({
+    screenshot: {
+        listDisplays: async () => [{ id: 0, name: 'Test display', width: 240, height: 130 }],
+        capture: async ({ filename }) => {
+            await sharp({ create: { width: 240, height: 130, channels: 3, background: '#ffffff' } }).png().toFile(filename);
+        },
+    },
+    ocr: { recognize: async () => ({ data: { text: OCR_TEXT, blocks: OCR_BLOCKS } }), terminate: async () => {} },
+    ai: {
+        generate: async (modelName, contents) => {
+            requests.push(contents[0].parts);
+            return 'fake answer';
+        },
+    },
+    notifier: { notify: () => {} },
+});
+
+// The OCR text part of the request a capture sends
+async function sentOcrText() {
+    assert.equal((await handleCapture('test')).ok, true);
+    const parts = requests.pop();
+    return parts[parts.findIndex(part => part.text === '\n--- OCR Text ---') + 1].text;
+}
+
+test.beforeEach(() => {
+    Object.assign(state, { pipelineMode: 'image+text', redactionEnabled: false, maxRetries: 0, historyEnabled: false, ocrMinConfidence: 60 });
+    state.ocrPreprocessing = { grayscale: false, upscale: 1, invert: 'off', threshold: 0 };
+});
+
+test.after(() => fs.rmSync(process.env.AI_HELPER_CONFIG_DIR, { recursive: true, force: true }));
+
+test('plain sends the text as Tesseract reads it', async () => {
+    state.ocrTextFormat = 'plain';
+    assert.equal(await sentOcrText(), OCR_TEXT);
+});
+
+test('lines sends every line with its position and marks low-confidence words', async () => {
+    state.ocrTextFormat = 'lines';
+    assert.equal(await sentOcrText(), [
+        '(Each line starts with its [x,y] position in pixels from the top left of the image. Words marked (?) were recognized with low confidence.)',
+        '[10,10] Invoice 2026-17',
+        '[10,40] Item Qty',
+        '[10,60] Blue widget 12(?)',
+        '[10,80] Red gear|s 3',
+        '[10,110] Total: 15',
+    ].join('\n'));
+});
+
+test('table turns the columns into a Markdown table', async () => {
+    state.ocrTextFormat = 'table';
+    assert.equal(await sentOcrText(), [
+        '(Words marked (?) were recognized with low confidence.)',
+        'Invoice 2026-17',
+        '| Item | Qty |',
+        '| --- | --- |',
+        '| Blue widget | 12(?) |',
+        '| Red gear\\|s | 3 |',
+        'Total: 15',
+    ].join('\n'));
+});
+
+test('no words are marked when the confidence threshold is off', async () => {
+    state.ocrTextFormat = 'table';
+    state.ocrMinConfidence = 0;
+    const text = await sentOcrText();
+    assert.ok(!text.includes('(?)'), text);
+    assert.ok(text.startsWith('Invoice 2026-17\n| Item | Qty |'), text);
+});
+
+test('positions are scaled back to the original image when OCR ran on an upscaled copy', async () => {
+    state.ocrTextFormat = 'lines';
+    state.ocrPreprocessing.upscale = 2; // The fake returns the same boxes, so they now stand for twice the size
+    assert.deepEqual((await sentOcrText()).split('\n').slice(1).map(text => text.match(/^\[\d+,\d+\]/)[0]), ['[5,5]', '[5,20]', '[5,30]', '[5,40]', '[5,55]']);
+});
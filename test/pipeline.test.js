@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+process.env.AI_HELPER_CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-helper-test-'));
+
+const { state } = require('../lib/state');
+const { useAdapters } = require('../lib/adapters');
+const { handleCapture } = require('../lib/capture');
+
+const IMAGE_SIZE = { width: 200, height: 60 };
+const word = (text, x0, confidence = 95) => ({ text, confidence, bbox: { x0, y0: 20, x1: x0 + text.length * 8, y1: 34 } });
+const OCR_WORDS = [word('Mail', 10), word('jane@example.com', 50)];
+
+// Fakes for everything outside the process: a blank display, a fixed OCR result and an AI that records its requests
+const calls = { screenshots: 0, ocr: 0, ocrImageWidths: [], requests: [], notifications: [] };
+let aiReply = async () => 'fake answer';
+
+useAdapters({
+    screenshot: {
+        listDisplays: async () => [{ id: 0, name: 'Test display', ...IMAGE_SIZE }],
+        capture: async ({ filename }) => {
+            calls.screenshots++;
+            await sharp({ create: { ...IMAGE_SIZE, channels: 3, background: '#ffffff' } }).png().toFile(filename);
+        },
+    },
+    ocr: {
+        recognize: async (image) => {
+            calls.ocr++;
+            calls.ocrImageWidths.push((await sharp(image).metadata()).width);
+            const line = { text: 'Mail jane@example.com\n', confidence: 95, bbox: { x0: 10, y0: 20, x1: 178, y1: 34 }, words: OCR_WORDS };
+            return { data: { text: 'Mail jane@example.com\n', blocks: [{ paragraphs: [{ lines: [line] }] }] } };
+        },
+        terminate: async () => {},
+    },
+    ai: {
+        label: 'Fake AI',
+        generate: async (modelName, contents) => {
+            calls.requests.push({ modelName, contents });
+            return aiReply();
+        },
+    },
+    notifier: { notify: (options) => calls.notifications.push(options) },
+});
+
+// Text and inline images of the last request, in order
+function lastRequestParts() {
+    const { contents } = calls.requests[calls.requests.length - 1];
+    return contents[0].parts;
+}
+
+test.beforeEach(() => {
+    Object.assign(calls, { screenshots: 0, ocr: 0, ocrImageWidths: [], requests: [], notifications: [] });
+    Object.assign(state, { pipelineMode: 'image+text', redactionEnabled: false, ocrTextFormat: 'plain', maxRetries: 0, historyEnabled: false });
+    Object.assign(state, { imageFormat: 'png', imageQuality: 80, imageMaxDimension: 2048 });
+    aiReply = async () => 'fake answer';
+});
+
+test.after(() => fs.rmSync(process.env.AI_HELPER_CONFIG_DIR, { recursive: true, force: true }));
+
+test('a capture sends the screenshot and its OCR text', async () => {
+    const result = await handleCapture('test');
+    assert.equal(result.ok, true);
+    assert.equal(result.response, 'fake answer');
+    assert.equal(result.provider, 'custom', 'the provider that answered, not the selected one');
+    assert.equal(calls.screenshots, 1);
+    assert.equal(calls.ocr, 1);
+
+    const parts = lastRequestParts();
+    assert.equal(parts[0].text, state.customPrompt);
+    assert.ok(parts.some(part => part.text === 'Mail jane@example.com\n'));
+    assert.ok(parts.some(part => part.inlineData?.mimeType === 'image/png'));
+    assert.equal(calls.notifications.length, 1);
+    assert.equal(calls.notifications[0].message, 'fake answer');
+    assert.equal(state.lastResponse.text, 'fake answer');
+});
+
+test('image-only captures skip OCR', async () => {
+    state.pipelineMode = 'image-only';
+    const result = await handleCapture('test');
+    assert.equal(result.ok, true);
+    assert.equal(calls.ocr, 0);
+    const parts = lastRequestParts();
+    assert.ok(!parts.some(part => part.text?.includes('OCR Text')));
+    assert.ok(parts.some(part => part.inlineData));
+});
+
+test('text-only captures never upload the image', async () => {
+    state.pipelineMode = 'text-only';
+    await handleCapture('test');
+    assert.ok(!lastRequestParts().some(part => part.inlineData));
+});
+
+test('redaction removes matches from the text and blacks them out in the image', async () => {
+    state.redactionEnabled = true;
+    const result = await handleCapture('test');
+    assert.equal(result.ok, true);
+
+    const parts = lastRequestParts();
+    const ocrText = parts.find(part => part.text?.startsWith('Mail'));
+    assert.equal(ocrText.text, 'Mail [REDACTED:email]\n');
+
+    const image = Buffer.from(parts.find(part => part.inlineData).inlineData.data, 'base64');
+    const { data, info } = await sharp(image).raw().toBuffer({ resolveWithObject: true });
+    const pixel = (x, y) => data[(y * info.width + x) * info.channels];
+    assert.equal(pixel(60, 27), 0, 'the email is blacked out');
+    assert.equal(pixel(20, 27), 255, 'other words are left alone');
+});
+
+test('images are scaled down and re-encoded before sending, while OCR reads the full resolution', async () => {
+    Object.assign(state, { imageFormat: 'jpeg', imageQuality: 60, imageMaxDimension: 100 });
+    assert.equal((await handleCapture('test')).ok, true);
+
+    const { inlineData } = lastRequestParts().find(part => part.inlineData);
+    assert.equal(inlineData.mimeType, 'image/jpeg');
+    const sent = await sharp(Buffer.from(inlineData.data, 'base64')).metadata();
+    assert.equal(sent.format, 'jpeg');
+    assert.deepEqual([sent.width, sent.height], [100, 30]);
+    assert.deepEqual(calls.ocrImageWidths, [IMAGE_SIZE.width]);
+    assert.equal(state.lastImageUpload.images, 1);
+    assert.equal(state.lastImageUpload.bytes, Buffer.from(inlineData.data, 'base64').length);
+});
+
+test('a failed AI request is reported in the result and a notification', async () => {
+    aiReply = async () => { throw new Error('model exploded'); };
+    const result = await handleCapture('test');
+    assert.equal(result.ok, false);
+    assert.equal(result.reason, 'failed');
+    assert.match(result.error, /model exploded/);
+    assert.ok(calls.notifications.some(notification => notification.title.startsWith('AI Helper Error')));
+});
+
+test('capture files are deleted after the job', async () => {
+    await handleCapture('test');
+    const leftovers = fs.readdirSync(path.join(__dirname, '..')).filter(name => /^screenshot-\d+\.png$/.test(name));
+    assert.deepEqual(leftovers, []);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-helper-test-'));
+process.env.AI_HELPER_CONFIG_DIR = configDir;
+
+const { state } = require('../lib/state');
+const { loadProfiles, saveProfiles } = require('../lib/profiles');
+const { CONFIG_VERSION } = require('../lib/settings-file');
+
+const profilesPath = path.join(configDir, 'profiles.json');
+const legacyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-helper-install-'));
+const legacyPath = path.join(legacyDir, 'profiles.json');
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+test.beforeEach(() => {
+    fs.rmSync(profilesPath, { force: true });
+    Object.assign(state, { profiles: {}, activeProfile: null });
+});
+
+test.after(() => {
+    fs.rmSync(configDir, { recursive: true, force: true });
+    fs.rmSync(legacyDir, { recursive: true, force: true });
+});
+
+test('profiles next to main.js are moved to the config directory', async () => {
+    fs.writeFileSync(legacyPath, JSON.stringify({ activeProfile: 'translate', profiles: { translate: { prompt: 'Translate this.', model: null } } }));
+    await loadProfiles(legacyPath);
+
+    assert.deepEqual(Object.keys(state.profiles), ['translate']);
+    assert.equal(state.activeProfile, 'translate');
+    const file = readJson(profilesPath);
+    assert.equal(file.version, CONFIG_VERSION);
+    assert.equal(file.settings.profiles.translate.prompt, 'Translate this.');
+    assert.ok(!fs.existsSync(legacyPath));
+    assert.ok(fs.existsSync(`${legacyPath}.migrated`));
+});
+
+test('profiles survive a save and load', async () => {
+    state.profiles = { review: { prompt: 'Review the code.', model: 'gemini-test', triggerKey: null } };
+    state.activeProfile = 'review';
+    assert.equal(await saveProfiles(), true);
+
+    Object.assign(state, { profiles: {}, activeProfile: null });
+    await loadProfiles(legacyPath);
+    assert.deepEqual(state.profiles.review, { prompt: 'Review the code.', model: 'gemini-test', triggerKey: null });
+    assert.equal(state.activeProfile, 'review');
+});
+
+test('a damaged profiles.json is not overwritten', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    fs.writeFileSync(profilesPath, '{ "version": 1, "settings": { "profiles": { "a": ');
+    await loadProfiles(legacyPath);
+    assert.deepEqual(state.profiles, {});
+
+    state.profiles = { b: { prompt: 'New profile.', model: null, triggerKey: null } };
+    assert.equal(await saveProfiles(), false);
+    assert.equal(fs.readFileSync(profilesPath, 'utf8'), '{ "version": 1, "settings": { "profiles": { "a": ', 'the damaged file is left as it was');
+});
+
+test('a damaged old profiles file is neither migrated nor replaced', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    fs.writeFileSync(legacyPath, '{ "profiles": ');
+    await loadProfiles(legacyPath);
+    assert.equal(await saveProfiles(), false);
+    assert.ok(!fs.existsSync(profilesPath));
+    assert.equal(fs.readFileSync(legacyPath, 'utf8'), '{ "profiles": ');
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.AI_HELPER_CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-helper-test-'));
+
+const { state } = require('../lib/state');
+const { useAdapters } = require('../lib/adapters');
+const { initializeServices } = require('../lib/services');
+const { queryAI } = require('../lib/pipeline');
+
+// A local stand-in for the Gemini API: each generateContent request takes the next scripted reply
+const requests = [];
+let replies = [];
+const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/v1beta/models') {
+        const models = ['test-model', 'missing-model', 'backup-model'].map(name => ({ name: `models/${name}`, inputTokenLimit: 100000 }));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ models }));
+    }
+    const model = decodeURIComponent(req.url.match(/^\/v1beta\/models\/([^/:]+):generateContent/)?.[1] || '');
+    requests.push(model);
+    const reply = replies.shift() || answer;
+    req.resume();
+    req.on('end', () => reply(res, model));
+});
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+const answer = (res, model) => sendJson(res, 200, {
+    candidates: [{ content: { role: 'model', parts: [{ text: `Answer from ${model}` }] }, finishReason: 'STOP' }],
+    usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 4 },
+});
+const apiError = (status, statusText, details = []) => (res) => sendJson(res, status, { error: { code: status, message: statusText, status: statusText, details } });
+const hang = () => {}; // Never responds, so the attempt times out
+
+const ask = (modelName) => queryAI([{ label: 'Text', ocrText: 'Disk full' }], { prompt: 'What does this say?', modelName });
+
+test.before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    useAdapters({ ocr: { recognize: async () => ({ data: { text: '', blocks: [] } }), terminate: async () => {} } });
+    Object.assign(state, {
+        provider: 'gemini', apiKey: 'test-key', aiModel: 'test-model', geminiBaseUrl: `http://127.0.0.1:${server.address().port}`,
+        historyEnabled: false, streamResponses: false,
+    });
+    const { aiInitialized } = await initializeServices();
+    assert.equal(aiInitialized, true);
+});
+
+test.beforeEach(() => {
+    requests.length = 0;
+    replies = [];
+    Object.assign(state, { maxRetries: 3, requestTimeoutSeconds: 30, fallbackModels: [] });
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(process.env.AI_HELPER_CONFIG_DIR, { recursive: true, force: true });
+});
+
+test('retries 429 (after the delay the server asks for) and 503 responses', async () => {
+    const retryInfo = { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '0.05s' };
+    replies = [apiError(429, 'RESOURCE_EXHAUSTED', [retryInfo]), apiError(503, 'UNAVAILABLE'), answer];
+    const result = await ask();
+    assert.deepEqual(result, { text: 'Answer from test-model', modelName: 'test-model', providerId: 'gemini' });
+    assert.deepEqual(requests, ['test-model', 'test-model', 'test-model']);
+});
+
+test('retries an attempt that times out', async () => {
+    state.requestTimeoutSeconds = 1;
+    replies = [hang, answer];
+    const result = await ask();
+    assert.equal(result.text, 'Answer from test-model');
+    assert.equal(requests.length, 2);
+});
+
+test('gives up once the retries are used up', async () => {
+    state.maxRetries = 1;
+    replies = [apiError(500, 'INTERNAL'), apiError(500, 'INTERNAL'), answer];
+    const result = await ask();
+    assert.match(result.text, /500 Internal Server Error/);
+    assert.equal(requests.length, 2);
+});
+
+test('moves on to a fallback model when the model is not found', async () => {
+    state.fallbackModels = ['backup-model'];
+    replies = [apiError(404, 'NOT_FOUND')];
+    const result = await ask('missing-model');
+    assert.deepEqual(result, { text: 'Answer from backup-model', modelName: 'backup-model', providerId: 'gemini' });
+    assert.deepEqual(requests, ['missing-model', 'backup-model'], 'a missing model is not retried');
+    const usageRecord = JSON.parse(fs.readFileSync(path.join(process.env.AI_HELPER_CONFIG_DIR, 'usage.jsonl'), 'utf8').trim().split('\n').pop());
+    assert.deepEqual([usageRecord.provider, usageRecord.model], ['gemini', 'backup-model'], 'usage is recorded for the model that answered');
+});
+
+test('does not fall back on errors that only mention a missing model in their message', async () => {
+    state.fallbackModels = ['backup-model'];
+    replies = [(res) => sendJson(res, 400, { error: { code: 400, message: 'API key not found. Please pass a valid API key.', status: 'INVALID_ARGUMENT' } })];
+    const result = await ask();
+    assert.match(result.text, /API key not found/);
+    assert.deepEqual(requests, ['test-model'], 'neither retried nor sent to the fallback model');
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Settings go to a temporary config directory; the config directory is fixed when main.js is loaded
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-helper-test-'));
+process.env.AI_HELPER_CONFIG_DIR = configDir;
+process.env.AI_HELPER_PASSPHRASE = 'test passphrase';
+for (const key of ['AI_PROVIDER', 'SECRET_STORE', 'GEMINI_API_KEY', 'AI_MODEL', 'TRIGGER_KEY', 'FALLBACK_MODELS', 'DEBUG_MODE']) {
+    delete process.env[key];
+}
+
+const { state } = require('../lib/state');
+const { loadSettings, saveSettings, readLegacyEnvFile } = require('../lib/settings');
+const { readSettingsFile, writeSettingsFile, CONFIG_VERSION } = require('../lib/settings-file');
+
+const configPath = path.join(configDir, 'config.json');
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+test.after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+test('settings survive a save and load', async () => {
+    fs.writeFileSync(configPath, JSON.stringify({ version: CONFIG_VERSION, settings: { secretStore: 'file', futureSetting: 'kept' } }));
+    await loadSettings();
+
+    state.aiModel = 'gemini-test-model';
+    state.triggerKey = { name: 'F9', ctrl: false, shift: false, alt: true, meta: false };
+    state.fallbackModels = ['backup-a', 'backup-b'];
+    state.generationConfig.temperature = 0.9;
+    state.apiKey = 'secret-test-key';
+    await saveSettings();
+
+    const file = readJson(configPath);
+    assert.equal(file.version, CONFIG_VERSION);
+    assert.equal(file.settings.aiModel, 'gemini-test-model');
+    assert.equal(file.settings.triggerKey, 'ALT+F9');
+    assert.equal(file.settings.futureSetting, 'kept', 'unknown keys are left alone');
+    assert.equal(file.settings.apiKey, undefined, 'secrets stay out of config.json');
+    assert.ok(!fs.readFileSync(path.join(configDir, 'secrets.enc.json'), 'utf8').includes('secret-test-key'));
+
+    state.aiModel = 'something-else';
+    state.triggerKey = { name: 'C', ctrl: true, shift: true, alt: false, meta: false };
+    state.fallbackModels = [];
+    state.generationConfig.temperature = 0.4;
+    state.apiKey = null;
+    await loadSettings();
+
+    assert.equal(state.aiModel, 'gemini-test-model');
+    assert.deepEqual(state.triggerKey, { name: 'F9', ctrl: false, shift: false, alt: true, meta: false });
+    assert.deepEqual(state.fallbackModels, ['backup-a', 'backup-b']);
+    assert.equal(state.generationConfig.temperature, 0.9);
+    assert.equal(state.apiKey, 'secret-test-key');
+});
+
+test('environment variables override settings without being saved', async () => {
+    process.env.AI_MODEL = 'env-model';
+    try {
+        await loadSettings();
+        assert.equal(state.aiModel, 'env-model');
+        await saveSettings();
+        assert.equal(readJson(configPath).settings.aiModel, 'gemini-test-model');
+    } finally {
+        delete process.env.AI_MODEL;
+    }
+});
+
+test('invalid values in config.json fall back to the current value', async () => {
+    const file = readJson(configPath);
+    file.settings.maxRetries = 'lots';
+    file.settings.triggerKey = '';
+    fs.writeFileSync(configPath, JSON.stringify(file));
+    state.maxRetries = 3;
+    await loadSettings();
+    assert.equal(state.maxRetries, 3);
+    assert.deepEqual(state.triggerKey, { name: 'F9', ctrl: false, shift: false, alt: true, meta: false });
+});
+
+test('a legacy .env file converts to settings', async () => {
+    const envPath = path.join(configDir, 'legacy.env');
+    fs.writeFileSync(envPath, [
+        'GEMINI_API_KEY=legacy-key',
+        'AI_MODEL=gemini-1.5-pro',
+        'TRIGGER_KEY=CTRL+ALT+K',
+        'DEBUG_MODE=true',
+        'FALLBACK_MODELS=a, b',
+        'CUSTOM_PROMPT="Say \\"hi\\""',
+        'MAX_RETRIES=not-a-number',
+    ].join('\n'));
+
+    const settings = await readLegacyEnvFile(envPath);
+    assert.equal(settings.apiKey, 'legacy-key');
+    assert.equal(settings.aiModel, 'gemini-1.5-pro');
+    assert.equal(settings.triggerKey, 'CTRL+ALT+K');
+    assert.equal(settings.debugMode, true);
+    assert.deepEqual(settings.fallbackModels, ['a', 'b']);
+    assert.equal(settings.customPrompt, 'Say "hi"');
+    assert.equal(settings.maxRetries, undefined, 'invalid values are left at their defaults');
+    assert.equal(await readLegacyEnvFile(path.join(configDir, 'missing.env')), null);
+});
+
+test('readSettingsFile refuses to overwrite damaged or newer files', async () => {
+    const filePath = path.join(configDir, 'other.json');
+    assert.deepEqual(await readSettingsFile(filePath), { settings: null, readOnly: false });
+
+    await writeSettingsFile(filePath, { aiModel: 'x' });
+    assert.deepEqual(await readSettingsFile(filePath), { settings: { aiModel: 'x' }, readOnly: false });
+
+    fs.writeFileSync(filePath, '{ not json');
+    assert.deepEqual(await readSettingsFile(filePath), { settings: null, readOnly: true });
+
+    fs.writeFileSync(filePath, JSON.stringify({ settings: {} }));
+    assert.deepEqual(await readSettingsFile(filePath), { settings: null, readOnly: true });
+
+    fs.writeFileSync(filePath, JSON.stringify({ version: CONFIG_VERSION + 1, settings: { aiModel: 'y' } }));
+    assert.deepEqual(await readSettingsFile(filePath), { settings: { aiModel: 'y' }, readOnly: true });
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+process.env.AI_HELPER_CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-helper-test-'));
+
+const { state } = require('../lib/state');
+const { useAdapters } = require('../lib/adapters');
+const { handleCapture } = require('../lib/capture');
+
+const usagePath = path.join(process.env.AI_HELPER_CONFIG_DIR, 'usage.jsonl');
+const calls = { requests: 0, notifications: [] };
+let reportedUsage = { promptTokens: 800, outputTokens: 300 };
+
+useAdapters({
+    screenshot: {
+        listDisplays: async () => [{ id: 0, name: 'Test display', width: 1600, height: 900 }],
+        capture: async ({ filename }) => {
+            await sharp({ create: { width: 1600, height: 900, channels: 3, background: '#ffffff' } }).png().toFile(filename);
+        },
+    },
+    ocr: { recognize: async () => ({ data: { text: 'Hello\n', blocks: [] } }), terminate: async () => {} },
+    ai: {
+        generate: async (modelName, contents, { onUsage }) => {
+            calls.requests++;
+            if (reportedUsage && onUsage) onUsage(reportedUsage);
+            return 'fake answer';
+        },
+    },
+    notifier: { notify: (options) => calls.notifications.push(options) },
+});
+
+const readRecords = () => fs.readFileSync(usagePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+test.beforeEach(() => {
+    Object.assign(calls, { requests: 0, notifications: [] });
+    Object.assign(state, { maxRetries: 0, historyEnabled: false, usageDailyLimit: null, usageMonthlyLimit: null, usagePrices: {}, inputTokenLimit: null });
+    reportedUsage = { promptTokens: 800, outputTokens: 300 };
+});
+
+test.after(() => fs.rmSync(process.env.AI_HELPER_CONFIG_DIR, { recursive: true, force: true }));
+
+test('records the token counts the provider reports', async () => {
+    assert.equal((await handleCapture('test')).ok, true);
+    const [record] = readRecords();
+    assert.equal(record.provider, 'custom', 'the injected provider answered, not the selected one');
+    assert.equal(record.model, state.aiModel);
+    assert.equal(record.promptTokens, 800);
+    assert.equal(record.outputTokens, 300);
+    assert.equal(record.estimated, undefined);
+});
+
+test('estimates the token counts when the provider reports none', async () => {
+    reportedUsage = null;
+    assert.equal((await handleCapture('test')).ok, true);
+    const record = readRecords().pop();
+    assert.equal(record.estimated, true);
+    // Prompt and OCR text plus a 1600x900 image, which takes 3x2 tiles
+    assert.ok(record.promptTokens > 6 * 258, `estimated ${record.promptTokens} prompt tokens`);
+    assert.equal(record.outputTokens, Math.ceil('fake answer'.length / 4));
+});
+
+test('refuses captures once the daily token limit is reached', async () => {
+    const usedToday = readRecords().reduce((sum, record) => sum + record.promptTokens + record.outputTokens, 0);
+    state.usageDailyLimit = { amount: usedToday + 1000, unit: 'tokens' };
+    assert.equal((await handleCapture('test')).ok, true, 'still below the limit');
+
+    const result = await handleCapture('test');
+    assert.equal(result.ok, false);
+    assert.equal(result.reason, 'limit');
+    assert.match(result.error, /Daily usage limit/);
+    assert.equal(calls.requests, 1, 'the refused capture sends nothing');
+    assert.ok(calls.notifications.some(notification => notification.title === 'AI Helper: Usage Limit Reached'));
+});
+
+test('cost limits use the price table', async () => {
+    state.usagePrices = { 'gemini-1.5': { input: 1, output: 2 } }; // Prefix of the default model
+    state.usageMonthlyLimit = { amount: 1000, unit: 'usd' };
+    assert.equal((await handleCapture('test')).ok, true);
+
+    state.usagePrices = { 'gemini-1.5': { input: 1e6, output: 1e6 } }; // Makes the recorded tokens cost far more than $1000
+    const result = await handleCapture('test');
+    assert.equal(result.reason, 'limit');
+    assert.match(result.error, /Monthly usage limit of \$1000\.00/);
+});
+
+test('warns before sending a request over the input limit', async (t) => {
+    const warnings = [];
+    t.mock.method(console, 'warn', (message) => warnings.push(message));
+    state.inputTokenLimit = 100;
+    assert.equal((await handleCapture('test')).ok, true, 'the request is still sent');
+    assert.ok(warnings.some(warning => /more than the 100 input tokens/.test(warning)));
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+process.env.AI_HELPER_CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-helper-test-'));
+
+const { state } = require('../lib/state');
+const { useAdapters } = require('../lib/adapters');
+const { startWatching, stopWatching, pollWatchedFolder } = require('../lib/watch');
+
+const watchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-helper-watch-test-'));
+const requests = [];
+let analyzing = { now: 0, most: 0, queueBusy: false }; // Concurrent AI requests, and whether the capture queue was used
+
+useAdapters({
+    ocr: {
+        recognize: async () => ({ data: { text: 'Error 42\n', blocks: [] } }),
+        terminate: async () => {},
+    },
+    ai: {
+        generate: async (modelName, contents) => {
+            requests.push(contents);
+            analyzing.now++;
+            analyzing.most = Math.max(analyzing.most, analyzing.now);
+            analyzing.queueBusy ||= state.isProcessing || state.captureQueue.length > 0;
+            await new Promise(resolve => setTimeout(resolve, 20));
+            analyzing.now--;
+            return 'looks like error 42';
+        },
+    },
+    notifier: { notify: () => {} },
+});
+
+// The tests scan with pollWatchedFolder() instead of waiting for the timer, and files count as complete right away
+const TEST_TIMING = { pollIntervalMs: 60 * 60 * 1000, settleMs: 0 };
+const writeImage = (name) => sharp({ create: { width: 40, height: 20, channels: 3, background: '#ffffff' } }).toFile(path.join(watchDir, name));
+
+test.after(() => {
+    stopWatching();
+    fs.rmSync(watchDir, { recursive: true, force: true });
+    fs.rmSync(process.env.AI_HELPER_CONFIG_DIR, { recursive: true, force: true });
+});
+
+test('new images get a result file and a ledger entry', async () => {
+    state.watchOutputFormat = 'json';
+    await writeImage('device.jpg');
+    fs.writeFileSync(path.join(watchDir, 'notes.txt'), 'not an image');
+
+    assert.equal(await startWatching(watchDir, TEST_TIMING), true); // The first scan only notes the new file
+    assert.equal(requests.length, 0);
+    await pollWatchedFolder(); // Unchanged since the last scan, so it's analyzed
+    stopWatching();
+
+    const resultPath = path.join(watchDir, 'device.jpg.json');
+
+    const result = JSON.parse(fs.readFileSync(resultPath, 'utf8'));
+    assert.equal(result.image, 'device.jpg');
+    assert.equal(result.response, 'looks like error 42');
+    assert.equal(result.provider, 'custom');
+    assert.equal(result.ocrText, 'Error 42\n');
+    assert.equal(requests.length, 1);
+    assert.ok(requests[0][0].parts.some(part => part.inlineData?.mimeType === 'image/png'));
+
+    const ledger = JSON.parse(fs.readFileSync(path.join(watchDir, '.ai-helper-watch.json'), 'utf8'));
+    assert.deepEqual(Object.keys(ledger.files), ['device.jpg']);
+    assert.equal(ledger.files['device.jpg'].output, 'device.jpg.json');
+});
+
+test('images in the ledger are not analyzed again after a restart', async () => {
+    await writeImage('second.png');
+    assert.equal(await startWatching(watchDir, TEST_TIMING), true);
+    await pollWatchedFolder();
+    await pollWatchedFolder();
+    stopWatching();
+    assert.equal(requests.length, 2, 'only the new image is analyzed');
+    assert.ok(fs.existsSync(path.join(watchDir, 'second.png.json')));
+});
+
+test('images are left alone until they stop changing for the settle time', async () => {
+    await writeImage('copying.png');
+    assert.equal(await startWatching(watchDir, { ...TEST_TIMING, settleMs: 60 * 1000 }), true);
+    await pollWatchedFolder();
+    stopWatching();
+    assert.equal(requests.length, 2);
+    assert.ok(!fs.existsSync(path.join(watchDir, 'copying.png.json')));
+});
+
+test('watched images are analyzed up to watchConcurrency at once, outside the capture queue', async () => {
+    const dir = path.join(watchDir, 'many');
+    fs.mkdirSync(dir);
+    await Promise.all(['a.png', 'b.png', 'c.png'].map(name => writeImage(path.join('many', name))));
+    Object.assign(state, { watchConcurrency: 2, queueMaxSize: 1, watchOutputFormat: 'md' });
+    analyzing = { now: 0, most: 0, queueBusy: false };
+
+    assert.equal(await startWatching(dir, TEST_TIMING), true);
+    await pollWatchedFolder(); // Starts two of the three
+    await pollWatchedFolder(); // And then the last one
+    stopWatching();
+    assert.deepEqual(fs.readdirSync(dir).filter(name => name.endsWith('.md')).sort(), ['a.png.md', 'b.png.md', 'c.png.md']);
+    assert.equal(analyzing.most, 2);
+    assert.equal(analyzing.queueBusy, false, 'neither the queue nor its processing lock is used');
+});
+
+test('a folder that does not exist is refused', async () => {
+    assert.equal(await startWatching(path.join(watchDir, 'missing')), false);
+    assert.equal(state.watcher, null);
+});